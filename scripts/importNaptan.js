@@ -0,0 +1,46 @@
+// Import the stops our venues use from the NaPTAN Stops.csv export
+// (https://naptan.api.dft.gov.uk/v1/access-nodes?dataFormat=csv)
+//
+//   node scripts/importNaptan.js path/to/Stops.csv [--all]
+//
+// Writes config/naptan.json, which the venue configuration uses to fill in
+// stop names, indicators and coordinates. --all keeps every stop in the file.
+
+const fs = require('fs');
+const NaptanLookup = require('../services/naptan');
+const { loadVenueConfig, DEFAULT_CONFIG_PATH, DEFAULT_NAPTAN_PATH } = require('../services/venueConfig');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--'));
+  if (!csvPath) {
+    console.error('Usage: node scripts/importNaptan.js <Stops.csv> [--all]');
+    process.exit(1);
+  }
+
+  const configPath = process.env.VENUE_CONFIG || DEFAULT_CONFIG_PATH;
+  const outputPath = process.env.NAPTAN_FILE || DEFAULT_NAPTAN_PATH;
+
+  let atcoCodes = null;
+  if (!args.includes('--all')) {
+    const config = loadVenueConfig(configPath);
+    atcoCodes = Object.values(config.venues).flatMap(venue => Object.keys(venue.stops));
+  }
+
+  console.log(`📥 Importing NaPTAN stops from ${csvPath}`);
+  const naptan = await NaptanLookup.fromCsv(csvPath, { atcoCodes });
+  const found = Object.keys(naptan.stops);
+
+  if (atcoCodes) {
+    const missing = atcoCodes.filter(code => !found.includes(code));
+    missing.forEach(code => console.warn(`⚠️ ${code} not found in NaPTAN`));
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(naptan, null, 2) + '\n');
+  console.log(`✅ Wrote ${found.length} stops to ${outputPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ NaPTAN import failed:', error.message);
+  process.exit(1);
+});
@@ -1,217 +1,916 @@
-### backend/server.js
-
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const compression = require('compression');
-const NodeCache = require('node-cache');
-const BODSService = require('./services/bodsService');
-
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-// Configuration with your BODS API key
-const config = {
-  BODS_API_KEY: '043fa2ba6945e602dd111fae2bf602125c9e028a',
-  CACHE_TTL: 300, // 5 minutes cache for timetables
-  VEHICLE_CACHE_TTL: 30, // 30 seconds cache for vehicle positions
-  CORS_ORIGIN: process.env.CORS_ORIGIN || '*'
-};
-
-// Initialize cache
-const cache = new NodeCache({ 
-  stdTTL: config.CACHE_TTL,
-  checkperiod: 60,
-  useClones: false 
-});
-
-const vehicleCache = new NodeCache({ 
-  stdTTL: config.VEHICLE_CACHE_TTL,
-  checkperiod: 10,
-  useClones: false 
-});
-
-// Initialize BODS service
-const bodsService = new BODSService(config.BODS_API_KEY, cache, vehicleCache);
-
-// Middleware
-app.use(helmet({
-  crossOriginEmbedderPolicy: false,
-}));
-app.use(compression());
-app.use(cors({
-  origin: config.CORS_ORIGIN,
-  credentials: true
-}));
-app.use(express.json());
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    cache: {
-      timetables: cache.keys().length,
-      vehicles: vehicleCache.keys().length
-    },
-    bodsApiKey: config.BODS_API_KEY.substring(0, 8) + '...'
-  });
-});
-
-// Get bus times for all Cleveland Centre stops
-app.get('/api/bus-times', async (req, res) => {
-  try {
-    console.log('🚌 Fetching bus times for all Cleveland Centre stops');
-    const allStopData = await bodsService.getAllClevelandCentreData();
-    
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      data: allStopData,
-      cached: bodsService.isCacheHit(),
-      source: 'BODS'
-    });
-  } catch (error) {
-    console.error('❌ Error fetching bus times:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      fallback: await bodsService.getFallbackData()
-    });
-  }
-});
-
-// Get bus times for specific stop
-app.get('/api/bus-times/:stopId', async (req, res) => {
-  try {
-    const { stopId } = req.params;
-    console.log(`🚌 Fetching bus times for stop ${stopId}`);
-    
-    const stopData = await bodsService.getBusTimesForStop(stopId);
-    
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      stopId,
-      data: stopData,
-      cached: bodsService.isCacheHit(),
-      source: 'BODS'
-    });
-  } catch (error) {
-    console.error(`❌ Error fetching bus times for stop ${req.params.stopId}:`, error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stopId: req.params.stopId
-    });
-  }
-});
-
-// Get next bus across all stops (for Phil's notifications)
-app.get('/api/next-bus', async (req, res) => {
-  try {
-    console.log('🚌 Finding next bus across all stops');
-    const nextBus = await bodsService.getNextBusGlobally();
-    
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      nextBus,
-      isPhilBus: ['17A', '17B'].includes(nextBus?.routeNumber),
-      source: 'BODS'
-    });
-  } catch (error) {
-    console.error('❌ Error finding next bus:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get real-time vehicle positions
-app.get('/api/vehicles', async (req, res) => {
-  try {
-    console.log('🚌 Fetching real-time vehicle positions');
-    const vehicles = await bodsService.getVehiclePositions();
-    
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      vehicles,
-      count: vehicles.length,
-      source: 'BODS_SIRI'
-    });
-  } catch (error) {
-    console.error('❌ Error fetching vehicles:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      vehicles: []
-    });
-  }
-});
-
-// Cache management endpoints
-app.get('/api/cache/status', (req, res) => {
-  res.json({
-    timetables: {
-      keys: cache.keys().length,
-      stats: cache.getStats()
-    },
-    vehicles: {
-      keys: vehicleCache.keys().length,
-      stats: vehicleCache.getStats()
-    }
-  });
-});
-
-app.post('/api/cache/clear', (req, res) => {
-  cache.flushAll();
-  vehicleCache.flushAll();
-  res.json({ message: 'Cache cleared successfully' });
-});
-
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('💥 Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /api/bus-times',
-      'GET /api/bus-times/:stopId',
-      'GET /api/next-bus',
-      'GET /api/vehicles',
-      'GET /health'
-    ]
-  });
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully');
-  process.exit(0);
-});
-
-app.listen(PORT, () => {
-  console.log(`🚌 Infant Hercules Bus Backend running on port ${PORT}`);
-  console.log(`🔑 Using BODS API key: ${config.BODS_API_KEY.substring(0, 8)}...`);
-  console.log(`🌐 CORS origin: ${config.CORS_ORIGIN}`);
-});
-
-module.exports = app;
\ No newline at end of file
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const { rateLimit } = require('express-rate-limit');
+const NodeCache = require('node-cache');
+const path = require('path');
+const BODSService = require('./services/bodsService');
+const DepartureBroadcaster = require('./services/departureBroadcaster');
+const SubscriptionStore = require('./services/subscriptionStore');
+const { validateSubscription } = require('./services/subscriptionStore');
+const SubscriptionAlerts = require('./services/subscriptionAlerts');
+const AlertNotifier = require('./services/alertNotifier');
+const PunctualityStore = require('./services/punctualityStore');
+const PunctualityRecorder = require('./services/punctualityRecorder');
+const { loadVenueConfig } = require('./services/venueConfig');
+const { buildDisplay, renderHtml, renderText, renderJsonLines, MIN_TEXT_WIDTH } = require('./services/boardRenderer');
+const { toFeatureCollection } = require('./services/vehicleGeoJson');
+const { londonTimesReplacer } = require('./services/serviceDay');
+const { loadEnvironment, readEnvFile, describeEnvironment } = require('./services/environment');
+const { createAdminAuth, presentedKey } = require('./services/adminAuth');
+const { registry: metrics, registerCacheMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./services/metrics');
+const { createRequestTelemetry } = require('./services/requestTelemetry');
+const { checkReadiness } = require('./services/healthChecks');
+const logger = require('./services/logger');
+const { setCacheHeaders } = require('./services/cacheHeaders');
+const { createOpenApiDocument } = require('./services/openapi');
+const { createApiV1Router } = require('./services/apiV1');
+const { DEFAULT_DEPARTURES, MAX_DEPARTURES, MAX_WITHIN_MINUTES, DEPARTURE_STATUSES } = require('./services/departureFilters');
+
+const app = express();
+
+// Settings come from the environment (see services/environment.js for the
+// full list), with a .env file filling gaps when run directly - refuse to
+// start if anything is missing or malformed
+if (require.main === module) readEnvFile(path.join(__dirname, '.env'));
+let environment;
+try {
+  environment = loadEnvironment();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+logger.setLevel(environment.LOG_LEVEL);
+logger.debug('Settings', describeEnvironment(environment));
+
+const PORT = environment.PORT;
+
+const config = {
+  ...environment,
+  CACHE_TTL: 300, // 5 minutes cache for departure boards
+  TIMETABLE_TTL: 6 * 3600, // parsed datasets are refreshed every 6 hours
+  VEHICLE_CACHE_TTL: 30, // 30 seconds cache for vehicle positions
+  VEHICLE_TRAIL_MINUTES: 10, // default length of the trail behind each vehicle on a map
+  VEHICLE_MAX_TRAIL_MINUTES: 30, // as long as the vehicle tracker keeps positions
+  STREAM_POLL_INTERVAL: 30000, // push channel refresh, in line with the vehicle cache
+  ALERT_CHECK_INTERVAL: 30000, // how often subscriptions are checked for due departures
+  PUNCTUALITY_RECORD_INTERVAL: 60000, // how often boards and vehicles are sampled for the history
+  PLAN_DEFAULT_OPTIONS: 5,
+  DISPLAY_REFRESH_SECONDS: 30, // kiosk pages reload themselves this often
+  PLAN_MAX_OPTIONS: 10,
+  REPORT_DEFAULT_DAYS: 28
+};
+
+// Load venues and their stops - refuse to start with a broken configuration
+let venueConfig;
+try {
+  venueConfig = loadVenueConfig(config.VENUE_CONFIG, { naptanPath: config.NAPTAN_FILE });
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Initialize cache
+const cache = new NodeCache({ 
+  stdTTL: config.CACHE_TTL,
+  checkperiod: 60,
+  useClones: false 
+});
+
+const vehicleCache = new NodeCache({ 
+  stdTTL: config.VEHICLE_CACHE_TTL,
+  checkperiod: 10,
+  useClones: false 
+});
+
+registerCacheMetrics({ timetables: cache, vehicles: vehicleCache });
+
+// Initialize BODS service
+const bodsService = new BODSService(config.BODS_API_KEY, cache, vehicleCache, {
+  baseUrl: config.BODS_BASE_URL,
+  upstream: {
+    timeoutMs: config.UPSTREAM_TIMEOUT_SECONDS * 1000,
+    retries: config.UPSTREAM_RETRIES,
+    failureThreshold: config.UPSTREAM_FAILURE_THRESHOLD,
+    cooldownMs: config.UPSTREAM_COOLDOWN_SECONDS * 1000
+  },
+  downloadTimeoutMs: config.DATASET_DOWNLOAD_TIMEOUT_SECONDS * 1000,
+  venues: venueConfig,
+  dataDir: config.DATA_DIR,
+  timetableTtl: config.TIMETABLE_TTL,
+  demo: config.DEMO_MODE,
+  disruptions: { url: config.DISRUPTIONS_URL },
+  realtime: {
+    providers: config.REALTIME_PROVIDERS,
+    siriSmUrl: config.SIRI_SM_URL,
+    gtfsRtUrl: config.GTFS_RT_URL,
+    gtfsRoutesFile: config.GTFS_ROUTES_FILE,
+    operators: {
+      'siri-vm': config.SIRI_VM_OPERATORS,
+      'siri-sm': config.SIRI_SM_OPERATORS,
+      'gtfs-rt': config.GTFS_RT_OPERATORS
+    }
+  }
+});
+
+// Shared poller behind the push channel
+const broadcaster = new DepartureBroadcaster(bodsService, vehicleCache, {
+  pollInterval: config.STREAM_POLL_INTERVAL
+});
+
+// Favourite-route alerts
+const subscriptionStore = new SubscriptionStore(config.DATA_DIR);
+const alertNotifier = new AlertNotifier({
+  vapid: {
+    publicKey: config.VAPID_PUBLIC_KEY,
+    privateKey: config.VAPID_PRIVATE_KEY,
+    subject: config.VAPID_SUBJECT
+  }
+});
+const subscriptionAlerts = new SubscriptionAlerts(bodsService, subscriptionStore, alertNotifier, {
+  checkInterval: config.ALERT_CHECK_INTERVAL
+});
+const subscriptionsLoaded = subscriptionStore.load();
+
+// Punctuality history: what was scheduled, what the live feeds said and
+// when the bus was actually seen at the stop
+const punctualityStore = new PunctualityStore(config.DATA_DIR, {
+  retentionDays: config.PUNCTUALITY_RETENTION_DAYS
+});
+const punctualityRecorder = new PunctualityRecorder(bodsService, punctualityStore, {
+  recordInterval: config.PUNCTUALITY_RECORD_INTERVAL
+});
+
+const adminAuth = createAdminAuth(config.ADMIN_API_KEYS);
+
+// Per-client limit on the public API and the kiosk display pages, so one
+// misbehaving screen can't use up the BODS quota for everyone. Admin requests
+// aren't limited.
+const apiLimiter = rateLimit({
+  windowMs: config.RATE_LIMIT_WINDOW_SECONDS * 1000,
+  limit: config.RATE_LIMIT_MAX,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  skip: req => adminAuth.isAdmin(req),
+  handler: (req, res, next, options) => {
+    logger.warn('Rate limit hit', { ip: req.ip, method: req.method, path: req.path });
+    res.status(options.statusCode).json({
+      success: false,
+      error: 'Too many requests',
+      retryAfterSeconds: config.RATE_LIMIT_WINDOW_SECONDS
+    });
+  }
+});
+
+// Middleware
+app.use(createRequestTelemetry()); // first, so every request gets an ID and is measured
+app.set('trust proxy', config.TRUST_PROXY); // clients are identified by IP behind the proxy
+app.set('json replacer', londonTimesReplacer); // times go out in UK time with their offset
+app.use(helmet({
+  crossOriginEmbedderPolicy: false,
+}));
+app.use(compression());
+app.use(cors({
+  origin: config.CORS_ORIGIN.includes('*') ? '*' : config.CORS_ORIGIN,
+  credentials: true
+}));
+app.use(express.json());
+app.use(['/api/', '/display'], apiLimiter);
+
+// Venue from ?venue=, defaulting to the configured default venue
+function venueFromQuery(req, res) {
+  const venueId = req.query.venue || venueConfig.defaultVenue;
+  if (!venueConfig.venues[venueId]) {
+    res.status(404).json({ success: false, error: `Unknown venue: ${venueId}` });
+    return null;
+  }
+  return venueId;
+}
+
+// The fields a client may set on a subscription, with the venue defaulted
+function subscriptionFromBody(body = {}) {
+  const { venue = venueConfig.defaultVenue, name, routes, stops, leadMinutes, channel } = body;
+  return { venue, name, routes, stops, leadMinutes, channel };
+}
+
+function subscriptionProblems(subscription) {
+  const problems = validateSubscription(subscription, venueConfig.venues);
+  if (subscription.channel && subscription.channel.type === 'webpush' && !alertNotifier.webPushEnabled) {
+    problems.push('Web Push alerts are not enabled on this server');
+  }
+  return problems;
+}
+
+// A subscription is read, changed or deleted with the secret returned when it
+// was created ("Authorization: Bearer <secret>"), or with an admin key
+function requireSubscriptionSecret(req, res, next) {
+  if (!subscriptionStore.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown subscription: ${req.params.id}` });
+  }
+  if (!adminAuth.isAdmin(req) && !subscriptionStore.hasSecret(req.params.id, presentedKey(req))) {
+    res.set('WWW-Authenticate', 'Bearer realm="subscription"');
+    return res.status(401).json({ success: false, error: 'The subscription\'s secret is required' });
+  }
+  next();
+}
+
+// Report period from ?from= and ?to= (dates or timestamps), defaulting to the
+// last few weeks. A date-only "to" includes that whole day.
+function reportFiltersFromQuery(req, res) {
+  const { route, stop } = req.query;
+  const parse = (value, fallback, endOfDay) => {
+    if (value === undefined) return fallback;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return NaN;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 : time;
+  };
+
+  const to = parse(req.query.to, Date.now(), true);
+  const from = parse(req.query.from, to - config.REPORT_DEFAULT_DAYS * 86400000, false);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    res.status(400).json({ success: false, error: 'from and to must be dates or timestamps, with from before to' });
+    return null;
+  }
+  if (stop && !bodsService.stops[stop]) {
+    res.status(404).json({ success: false, error: `Unknown stop ID: ${stop}` });
+    return null;
+  }
+  return { route, stop, from, to };
+}
+
+// Whole number from the query string within [min, max], the default if
+// absent, or null (after answering 400) if it's out of range
+function integerFromQuery(req, res, name, { min, max, fallback }) {
+  if (req.query[name] === undefined) return fallback;
+  const value = Number(req.query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    res.status(400).json({ success: false, error: `${name} must be a whole number from ${min} to ${max}` });
+    return null;
+  }
+  return value;
+}
+
+// Which departures a board request wants: ?route=, ?operator= (NOC or name)
+// and ?status= lists, ?destination= (part of the name), ?within= minutes,
+// ?after= a date and time, and ?limit= per stop, or in all with ?merge=true.
+// Null once a 400 has been sent.
+function departureFiltersFromQuery(req, res) {
+  const limit = integerFromQuery(req, res, 'limit', { min: 1, max: MAX_DEPARTURES, fallback: DEFAULT_DEPARTURES });
+  if (limit === null) return null;
+  const withinMinutes = integerFromQuery(req, res, 'within', { min: 1, max: MAX_WITHIN_MINUTES, fallback: undefined });
+  if (withinMinutes === null) return null;
+
+  const after = req.query.after === undefined ? undefined : new Date(req.query.after);
+  if (after && Number.isNaN(after.getTime())) {
+    res.status(400).json({ success: false, error: 'after must be a date and time' });
+    return null;
+  }
+  const statuses = listFromQuery(req, 'status');
+  if (!statuses.every(status => DEPARTURE_STATUSES.includes(status))) {
+    res.status(400).json({ success: false, error: `status must be one of ${DEPARTURE_STATUSES.join(', ')}` });
+    return null;
+  }
+
+  return {
+    routes: listFromQuery(req, 'route'),
+    operators: listFromQuery(req, 'operator'),
+    destination: typeof req.query.destination === 'string' ? req.query.destination.trim() || undefined : undefined,
+    statuses,
+    withinMinutes,
+    after,
+    limit
+  };
+}
+
+// Everything a display shows, for a whole venue or (with a stop ID) one
+// stand: ?highlight= overrides the venue's highlighted routes and ?rows=
+// sets departures per stop
+async function displayFor(req, res, stopId) {
+  const venueId = stopId ? (bodsService.stops[stopId] || {}).venueId : venueFromQuery(req, res);
+  if (!venueId) {
+    if (stopId) res.status(404).json({ success: false, error: `Unknown stop ID: ${stopId}` });
+    return null;
+  }
+  const limit = integerFromQuery(req, res, 'rows', { min: 1, max: 20, fallback: undefined });
+  if (limit === null) return null;
+
+  const venue = venueConfig.venues[venueId];
+  const highlighted = req.query.highlight !== undefined
+    ? String(req.query.highlight).split(',').map(route => route.trim()).filter(Boolean)
+    : venue.highlightedRoutes || [];
+
+  if (stopId) {
+    const [board, { disruptions }] = await Promise.all([
+      bodsService.getStopBoard(stopId),
+      bodsService.getVenueDisruptions(venueId)
+    ]);
+    const stop = venue.stops[stopId];
+    return buildDisplay({
+      title: stop.name,
+      stops: [{ stopId, name: stop.name, departures: board.departures, serviceStatus: board.serviceStatus }],
+      highlighted,
+      dataQuality: board.provenance.dataQuality,
+      disruptions: disruptions.filter(disruption => disruption.affectedStops.includes(stopId) ||
+        disruption.affectedRoutes.some(route => stop.routes.includes(route))),
+      limit
+    });
+  }
+
+  const board = await bodsService.getVenueBoard(venueId);
+  return buildDisplay({
+    title: venue.name,
+    stops: Object.entries(venue.stops).map(([id, stop]) => ({
+      stopId: id,
+      name: stop.name,
+      departures: board.data[id],
+      serviceStatus: board.serviceStatus[id]
+    })),
+    highlighted,
+    dataQuality: board.dataQuality,
+    disruptions: board.disruptions,
+    limit
+  });
+}
+
+// Health check, with each upstream feed's circuit breaker and when it last
+// answered. "healthy" only means the server is up: /health/ready says
+// whether it has the data to show real departures.
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date(),
+    cache: {
+      timetables: cache.keys().length,
+      vehicles: vehicleCache.keys().length
+    },
+    upstreams: bodsService.upstream.status()
+  });
+});
+
+// Liveness: the process is up and answering. Restart it if this fails.
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', timestamp: new Date(), uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: timetables loaded, vehicle positions recent and no breaker open
+// on a feed the boards depend on, with each check's detail. 503 while not
+// ready, for traffic gating and alerts. Deploys check /health/live instead,
+// so an outage at BODS doesn't block shipping a fix.
+app.get('/health/ready', (req, res) => {
+  const { ready, status, checks } = checkReadiness(bodsService, {
+    maxVehicleAgeMs: config.READINESS_MAX_VEHICLE_AGE_SECONDS * 1000
+  });
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    dataStatus: status,
+    timestamp: new Date(),
+    checks
+  });
+});
+
+// Prometheus metrics: requests, upstream calls, caches, vehicles and where
+// departures came from
+app.get('/metrics', (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// List configured venues and their stops
+app.get('/api/venues', (req, res) => {
+  res.json({
+    success: true,
+    defaultVenue: venueConfig.defaultVenue,
+    venues: Object.entries(venueConfig.venues).map(([id, venue]) => ({
+      id,
+      name: venue.name,
+      highlightedRoutes: venue.highlightedRoutes || [],
+      stops: Object.entries(venue.stops).map(([stopId, stop]) => ({
+        stopId,
+        name: stop.name,
+        indicator: stop.indicator || null,
+        latitude: stop.latitude ?? null,
+        longitude: stop.longitude ?? null,
+        operators: stop.operators,
+        routes: stop.routes
+      }))
+    }))
+  });
+});
+
+// The documented, versioned API. The unversioned routes it replaces below
+// keep their shapes for existing displays, marked deprecated.
+app.use('/api/v1', createApiV1Router({
+  bodsService,
+  venueConfig,
+  document: createOpenApiDocument({
+    defaultTrailMinutes: config.VEHICLE_TRAIL_MINUTES,
+    maxTrailMinutes: config.VEHICLE_MAX_TRAIL_MINUTES
+  })
+}));
+
+function deprecatedFor(successor) {
+  return (req, res, next) => {
+    const link = successor.replace(/:(\w+)/g, (match, name) => encodeURIComponent(req.params[name]));
+    res.set({ Deprecation: 'true', Link: `<${link}>; rel="successor-version"` });
+    next();
+  };
+}
+
+// Get bus times for all stops at a venue (Cleveland Centre by default).
+// ?merge=true gives one list across the stops, soonest first, in place of
+// each stop's.
+app.get('/api/bus-times', deprecatedFor('/api/v1/bus-times'), async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+  const filters = departureFiltersFromQuery(req, res);
+  if (!filters) return;
+  const merge = req.query.merge === 'true';
+
+  try {
+    const board = merge
+      ? await bodsService.getMergedBoard(venueId, filters)
+      : await bodsService.getVenueBoard(venueId, filters);
+    const { data, provenance, serviceStatus, dataQuality, disruptions } = board;
+    const stopProvenance = Object.values(provenance);
+    
+    const body = {
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      dataQuality,
+      ...(merge ? { departures: board.departures } : { data }),
+      serviceStatus,
+      disruptions,
+      provenance,
+      cached: stopProvenance.every(stop => stop.cached),
+      dataAgeSeconds: Math.max(...stopProvenance.map(stop => stop.ageSeconds)),
+      source: 'BODS'
+    };
+    setCacheHeaders(res, body, stopProvenance);
+    res.json(body);
+  } catch (error) {
+    logger.error('Error fetching bus times', { venue: venueId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      dataQuality: 'unavailable'
+    });
+  }
+});
+
+// Get bus times for specific stop
+app.get('/api/bus-times/:stopId', deprecatedFor('/api/v1/bus-times/:stopId'), async (req, res) => {
+  const filters = departureFiltersFromQuery(req, res);
+  if (!filters) return;
+
+  try {
+    const { stopId } = req.params;
+    const { departures, provenance, serviceStatus } = await bodsService.getStopBoard(stopId, filters);
+    
+    const body = {
+      success: true,
+      timestamp: new Date(),
+      stopId,
+      dataQuality: provenance.dataQuality,
+      data: departures,
+      serviceStatus,
+      provenance,
+      cached: provenance.cached,
+      dataAgeSeconds: provenance.ageSeconds,
+      source: 'BODS'
+    };
+    setCacheHeaders(res, body, [provenance]);
+    res.json(body);
+  } catch (error) {
+    logger.error('Error fetching bus times for stop', { stopId: req.params.stopId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stopId: req.params.stopId
+    });
+  }
+});
+
+// Get next bus across all stops (for Phil's notifications)
+app.get('/api/next-bus', deprecatedFor('/api/v1/next-bus'), async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+
+  try {
+    const nextBus = await bodsService.getNextBusGlobally(venueId);
+    const highlightedRoutes = venueConfig.venues[venueId].highlightedRoutes || [];
+    const highlighted = highlightedRoutes.includes(nextBus?.routeNumber);
+    
+    res.json({
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      nextBus,
+      highlighted,
+      isPhilBus: highlighted, // still read by existing displays; personal alerts are subscriptions now
+      source: 'BODS'
+    });
+  } catch (error) {
+    logger.error('Error finding next bus', { venue: venueId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Each route's last bus of the night from the venue's stops, and for routes
+// that have finished, when the next one runs
+app.get('/api/last-buses', async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+
+  try {
+    const { routes, dataQuality } = await bodsService.getLastBuses(venueId);
+    res.json({
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      dataQuality,
+      routes,
+      running: routes.filter(route => route.state === 'running').length
+    });
+  } catch (error) {
+    logger.error('Error fetching last buses', { venue: venueId, error });
+    res.status(500).json({ success: false, error: error.message, dataQuality: 'unavailable' });
+  }
+});
+
+// How to get somewhere from the venue: the best next options from any of its
+// stops to ?to= (an ATCO code or a place name), direct or with one change.
+// ?at= plans from another time.
+app.get('/api/plan', async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+
+  const to = typeof req.query.to === 'string' ? req.query.to.trim() : '';
+  const from = req.query.at === undefined ? new Date() : new Date(req.query.at);
+  const limit = req.query.limit === undefined ? config.PLAN_DEFAULT_OPTIONS : Number(req.query.limit);
+  if (!to) {
+    return res.status(400).json({ success: false, error: 'to is required (a stop ATCO code or place name)' });
+  }
+  if (Number.isNaN(from.getTime())) {
+    return res.status(400).json({ success: false, error: 'at must be a date and time' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > config.PLAN_MAX_OPTIONS) {
+    return res.status(400).json({ success: false, error: `limit must be from 1 to ${config.PLAN_MAX_OPTIONS}` });
+  }
+
+  try {
+    const { destination, options, dataQuality } = await bodsService.planJourney(venueId, to, { from, limit });
+    if (!destination && dataQuality === 'unavailable') {
+      return res.status(503).json({ success: false, error: 'Timetables are unavailable', dataQuality });
+    }
+    if (!destination) {
+      return res.status(404).json({ success: false, error: `No stops found for "${to}"`, dataQuality });
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      dataQuality,
+      destination,
+      options,
+      count: options.length
+    });
+  } catch (error) {
+    logger.error('Error planning journey', { venue: venueId, to, error });
+    res.status(500).json({ success: false, error: error.message, dataQuality: 'unavailable' });
+  }
+});
+
+// Current and planned disruptions (diversions, cancellations, stop closures)
+// affecting a venue's stops and routes
+app.get('/api/disruptions', async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+
+  try {
+    const { disruptions, available } = await bodsService.getVenueDisruptions(venueId);
+    res.json({
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      disruptions,
+      count: disruptions.length,
+      available,
+      source: 'BODS_SIRI_SX'
+    });
+  } catch (error) {
+    logger.error('Error fetching disruptions', { venue: venueId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      disruptions: []
+    });
+  }
+});
+
+// Favourite-route alert subscriptions: "tell me 10 minutes before the next
+// 17A/17B from Stand P", delivered by webhook or Web Push. Anyone can create
+// one; the response carries the secret needed to manage it afterwards.
+app.get('/api/subscriptions', adminAuth.requireAdmin, (req, res) => {
+  const subscriptions = subscriptionStore.list()
+    .filter(subscription => !req.query.venue || subscription.venue === req.query.venue);
+  res.json({ success: true, subscriptions, count: subscriptions.length });
+});
+
+app.post('/api/subscriptions', async (req, res) => {
+  const subscription = subscriptionFromBody(req.body);
+  const problems = subscriptionProblems(subscription);
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid subscription', problems });
+  }
+
+  try {
+    const created = await subscriptionStore.create(subscription);
+    logger.info('Subscription created', { subscriptionId: created.id, routes: created.routes, venue: created.venue });
+    res.status(201).json({ success: true, subscription: created });
+  } catch (error) {
+    logger.error('Error saving subscription', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/subscriptions/:id', requireSubscriptionSecret, (req, res) => {
+  res.json({ success: true, subscription: subscriptionStore.get(req.params.id) });
+});
+
+app.put('/api/subscriptions/:id', requireSubscriptionSecret, async (req, res) => {
+  const subscription = subscriptionFromBody(req.body);
+  const problems = subscriptionProblems(subscription);
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid subscription', problems });
+  }
+
+  try {
+    res.json({ success: true, subscription: await subscriptionStore.update(req.params.id, subscription) });
+  } catch (error) {
+    logger.error('Error saving subscription', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/subscriptions/:id', requireSubscriptionSecret, async (req, res) => {
+  try {
+    if (!await subscriptionStore.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Unknown subscription: ${req.params.id}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting subscription', { subscriptionId: req.params.id, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Browsers need the VAPID public key to create a push subscription
+app.get('/api/push/public-key', (req, res) => {
+  if (!alertNotifier.webPushEnabled) {
+    return res.status(404).json({ success: false, error: 'Web Push alerts are not enabled' });
+  }
+  res.json({ success: true, publicKey: config.VAPID_PUBLIC_KEY });
+});
+
+// How punctual a route and/or stop has been: on-time percentage, average
+// delay and an hour-of-day breakdown. ?format=csv exports every recorded
+// departure instead.
+app.get('/api/reports/punctuality', (req, res) => {
+  const filters = reportFiltersFromQuery(req, res);
+  if (!filters) return;
+
+  try {
+    if (req.query.format === 'csv') {
+      res.attachment(`punctuality-${filters.route || 'all'}-${new Date(filters.from).toISOString().slice(0, 10)}.csv`);
+      return res.type('text/csv').send(punctualityRecorder.exportCsv(filters));
+    }
+    res.json({ success: true, timestamp: new Date(), report: punctualityRecorder.report(filters) });
+  } catch (error) {
+    logger.error('Error building punctuality report', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ready-to-show departure boards. /display pages are for kiosk browsers and
+// reload themselves (?refresh= seconds); an error still renders a page, so
+// the screen recovers on the next reload.
+const sendDisplayPage = async (req, res) => {
+  const refreshSeconds = integerFromQuery(req, res, 'refresh', { min: 10, max: 600, fallback: config.DISPLAY_REFRESH_SECONDS });
+  if (refreshSeconds === null) return;
+
+  let display;
+  try {
+    display = await displayFor(req, res, req.params.stopId);
+    if (!display) return;
+  } catch (error) {
+    logger.error('Error building display', { error });
+    display = buildDisplay({ title: 'Departures', stops: [], dataQuality: 'unavailable' });
+  }
+  res.set('Cache-Control', 'no-store').type('html').send(renderHtml(display, { refreshSeconds }));
+};
+app.get('/display', sendDisplayPage);
+app.get('/display/:stopId', sendDisplayPage);
+
+// The same board for LED dot-matrix signs: ?format=text (default) gives
+// fixed-width ASCII lines of ?width= characters, ?format=jsonl one JSON
+// object per line. ?stop= limits it to one stand.
+app.get('/api/board', async (req, res) => {
+  const format = req.query.format || 'text';
+  if (!['text', 'jsonl'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be text or jsonl' });
+  }
+  const width = integerFromQuery(req, res, 'width', { min: MIN_TEXT_WIDTH, max: 200, fallback: 32 });
+  if (width === null) return;
+
+  try {
+    const display = await displayFor(req, res, req.query.stop);
+    if (!display) return;
+
+    res.set('Cache-Control', 'no-store');
+    if (format === 'jsonl') return res.type('application/x-ndjson').send(renderJsonLines(display));
+    res.type('text/plain').send(renderText(display, { width }));
+  } catch (error) {
+    logger.error('Error rendering board', { error });
+    res.status(500).json({ success: false, error: error.message, dataQuality: 'unavailable' });
+  }
+});
+
+// Push channel: Server-Sent Events with departure-board diffs and heartbeats.
+// Reconnecting clients resume from Last-Event-ID (or ?lastEventId=).
+app.get('/api/stream', (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+
+  broadcaster.addClient(req, res, venueId);
+});
+
+// Comma-separated list from the query string, e.g. ?route=17A,17B
+function listFromQuery(req, name) {
+  return String(req.query[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Current vehicle positions, dropping reports with no usable position or too
+// old to be current. ?route= and ?operator= (NOC) filter, ?trail= adds the
+// last N minutes of positions and ?format=geojson gives a FeatureCollection.
+app.get('/api/vehicles', deprecatedFor('/api/v1/vehicles'), async (req, res) => {
+  const venueId = venueFromQuery(req, res);
+  if (!venueId) return;
+  const format = req.query.format || 'json';
+  if (!['json', 'geojson'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be json or geojson' });
+  }
+  const trailMinutes = integerFromQuery(req, res, 'trail', {
+    min: 0,
+    max: config.VEHICLE_MAX_TRAIL_MINUTES,
+    fallback: config.VEHICLE_TRAIL_MINUTES
+  });
+  if (trailMinutes === null) return;
+
+  try {
+    const vehicles = await bodsService.getVehicles(venueId, {
+      routes: listFromQuery(req, 'route'),
+      operators: listFromQuery(req, 'operator'),
+      trailMinutes
+    });
+
+    if (format === 'geojson') {
+      return res.type('application/geo+json').send(JSON.stringify(toFeatureCollection(vehicles)));
+    }
+    res.json({
+      success: true,
+      timestamp: new Date(),
+      venue: venueId,
+      vehicles,
+      count: vehicles.length,
+      source: 'BODS_SIRI'
+    });
+  } catch (error) {
+    logger.error('Error fetching vehicles', { venue: venueId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      vehicles: []
+    });
+  }
+});
+
+// Cache management endpoints
+app.get('/api/cache/status', adminAuth.requireAdmin, (req, res) => {
+  res.json({
+    timetables: {
+      keys: cache.keys().length,
+      stats: cache.getStats()
+    },
+    vehicles: {
+      keys: vehicleCache.keys().length,
+      stats: vehicleCache.getStats()
+    }
+  });
+});
+
+app.post('/api/cache/clear', adminAuth.requireAdmin, (req, res) => {
+  logger.info('Cache cleared by admin request', { ip: req.ip });
+  cache.flushAll();
+  vehicleCache.flushAll();
+  res.json({ message: 'Cache cleared successfully' });
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  logger.error('Unhandled error', { error });
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    availableEndpoints: [
+      'GET /api/v1/bus-times',
+      'GET /api/v1/bus-times/:stopId',
+      'GET /api/v1/next-bus',
+      'GET /api/v1/vehicles',
+      'GET /api/v1/openapi.json',
+      'GET /api/bus-times',
+      'GET /api/bus-times/:stopId',
+      'GET /api/next-bus',
+      'GET /api/last-buses',
+      'GET /api/plan',
+      'GET /api/disruptions',
+      'GET /api/stream',
+      'GET /api/vehicles',
+      'GET /api/venues',
+      'GET /api/subscriptions',
+      'POST /api/subscriptions',
+      'GET|PUT|DELETE /api/subscriptions/:id',
+      'GET /api/push/public-key',
+      'GET /api/board',
+      'GET /display',
+      'GET /display/:stopId',
+      'GET /api/reports/punctuality',
+      'GET /health',
+      'GET /health/live',
+      'GET /health/ready',
+      'GET /metrics'
+    ]
+  });
+});
+
+// Stop background work and release the punctuality database
+function shutdown() {
+  broadcaster.close();
+  subscriptionAlerts.stop();
+  punctualityRecorder.stop();
+  punctualityStore.close();
+}
+
+// Only listen (and start the background pollers) when run directly; tests
+// require the app and serve it themselves
+if (require.main === module) {
+  subscriptionsLoaded.then(() => subscriptionAlerts.start());
+  punctualityRecorder.start();
+
+  // Load timetables and real-time feeds now rather than on the first
+  // request, so the instance is ready as soon as the data is in
+  for (const venueId of Object.keys(venueConfig.venues)) {
+    bodsService.getVenueBoard(venueId)
+      .catch(error => logger.warn('Warm-up failed', { venue: venueId, error: error.message }));
+  }
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      logger.info('Shutting down gracefully', { signal });
+      shutdown();
+      process.exit(0);
+    });
+  }
+
+  app.listen(PORT, () => {
+    logger.info('Infant Hercules Bus Backend running', {
+      port: PORT,
+      corsOrigin: config.CORS_ORIGIN,
+      rateLimit: `${config.RATE_LIMIT_MAX} requests per ${config.RATE_LIMIT_WINDOW_SECONDS}s per client`,
+      logLevel: config.LOG_LEVEL
+    });
+    if (config.ADMIN_API_KEYS.length === 0) {
+      logger.warn('No ADMIN_API_KEYS set: admin endpoints are disabled');
+    }
+    if (config.DEMO_MODE) {
+      logger.warn('DEMO MODE: departures are invented for routes without a timetable');
+    }
+  });
+}
+
+module.exports = app;
+module.exports.ready = subscriptionsLoaded;
+module.exports.shutdown = shutdown;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const logger = require('./logger').child({ component: 'admin' });
+
+// Hash before comparing so timingSafeEqual gets equal-length inputs and the
+// comparison doesn't leak how much of a key matched
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+function presentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  return bearer ? bearer[1].trim() : req.get('X-API-Key') || null;
+}
+
+// Admin endpoints take "Authorization: Bearer <key>" or "X-API-Key: <key>",
+// matched against the configured ADMIN_API_KEYS. With no keys configured
+// they are switched off entirely.
+function createAdminAuth(keys = []) {
+  const accepted = keys.map(digest);
+
+  const isAdmin = req => {
+    const key = presentedKey(req);
+    if (!key) return false;
+    const presented = digest(key);
+    return accepted.some(candidate => crypto.timingSafeEqual(candidate, presented));
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (accepted.length === 0) {
+      return res.status(503).json({ success: false, error: 'Admin API is disabled (no ADMIN_API_KEYS configured)' });
+    }
+    if (!isAdmin(req)) {
+      logger.warn('Rejected admin request', { method: req.method, path: req.path, ip: req.ip });
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      return res.status(401).json({ success: false, error: 'Admin API key required' });
+    }
+    next();
+  };
+
+  return { isAdmin, requireAdmin };
+}
+
+module.exports = {
+  createAdminAuth,
+  presentedKey
+};
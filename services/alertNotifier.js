@@ -0,0 +1,74 @@
+const http = require('http');
+const https = require('https');
+const webPush = require('web-push');
+const { londonTimesReplacer } = require('./serviceDay');
+const { webhookUrlProblem, publicOnlyLookup } = require('./webhookTarget');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Delivers alerts to a subscription's channel: a JSON POST to a webhook, or a
+// Web Push message to a browser (which needs VAPID keys configured)
+class AlertNotifier {
+  constructor({ vapid } = {}) {
+    this.vapid = vapid && vapid.publicKey && vapid.privateKey ? vapid : null;
+  }
+
+  get webPushEnabled() {
+    return Boolean(this.vapid);
+  }
+
+  async send(channel, alert) {
+    switch (channel.type) {
+      case 'webhook':
+        return this.sendWebhook(channel.url, alert);
+      case 'webpush':
+        return this.sendWebPush(channel.subscription, alert);
+      default:
+        throw new Error(`Unknown alert channel: ${channel.type}`);
+    }
+  }
+
+  // Only to public addresses, and redirects aren't followed, so a webhook
+  // can't reach anything inside the server's network
+  async sendWebhook(url, alert) {
+    const target = new URL(url);
+    const problem = webhookUrlProblem(target);
+    if (problem) throw new Error(`Webhook refused: ${problem}`);
+
+    const body = JSON.stringify(alert, londonTimesReplacer);
+    const status = await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook returned ${status}`);
+    }
+  }
+
+  async sendWebPush(subscription, alert) {
+    if (!this.vapid) {
+      throw new Error('Web Push is not configured (VAPID keys missing)');
+    }
+
+    await webPush.sendNotification(subscription, JSON.stringify(alert, londonTimesReplacer), {
+      vapidDetails: {
+        subject: this.vapid.subject,
+        publicKey: this.vapid.publicKey,
+        privateKey: this.vapid.privateKey
+      },
+      TTL: 600
+    });
+  }
+}
+
+module.exports = AlertNotifier;
@@ -0,0 +1,297 @@
+const express = require('express');
+const { validate, coerceParameter } = require('./schemaValidator');
+const { setCacheHeaders } = require('./cacheHeaders');
+const { departureKey } = require('./departureBroadcaster');
+const { toLondonISO } = require('./serviceDay');
+const { toFeatureCollection } = require('./vehicleGeoJson');
+const { departureStatus } = require('./departureFilters');
+const logger = require('./logger').child({ component: 'api-v1' });
+
+// /api/v1: departures, next bus and vehicles in the shapes the OpenAPI
+// document (services/openapi.js) defines. Parameters are checked against it
+// before a handler runs, and every JSON response after.
+
+const time = value => (value ? toLondonISO(new Date(value)) : null);
+
+// The service's departures carry different fields depending on where they
+// came from; v1 always has the same ones, null when unknown
+function toDeparture(stopId, departure) {
+  return {
+    id: departureKey(stopId, departure),
+    stopId,
+    routeNumber: departure.routeNumber,
+    destination: departure.destination,
+    operator: departure.operator,
+    operatorCode: departure.operatorCode || null,
+    scheduledTime: time(departure.scheduledTime),
+    estimatedTime: time(departure.estimatedTime),
+    status: departureStatus(departure),
+    source: departure.source,
+    scheduledOnly: Boolean(departure.scheduledOnly),
+    journeyRef: departure.journeyRef || null,
+    direction: departure.direction || null,
+    operatingDay: departure.operatingDay || null,
+    vehicleRef: departure.vehicleRef || null,
+    realtimeProvider: departure.realtimeProvider || null,
+    lastOfDay: Boolean(departure.lastOfDay),
+    lastHalfHour: Boolean(departure.lastHalfHour),
+    disruptions: (departure.disruptions || []).map(disruption => ({
+      id: disruption.id,
+      summary: disruption.summary || null,
+      severity: disruption.severity || null,
+      condition: disruption.condition || null,
+      scope: disruption.scope
+    }))
+  };
+}
+
+function toStopBoard(stopId, name, departures, provenance) {
+  return {
+    stopId,
+    name,
+    dataQuality: provenance.dataQuality,
+    departures: departures.map(departure => toDeparture(stopId, departure)),
+    provenance: {
+      dataQuality: provenance.dataQuality,
+      cache: provenance.cache,
+      fetchedAt: time(provenance.fetchedAt),
+      ageSeconds: provenance.ageSeconds,
+      freshForSeconds: provenance.freshForSeconds,
+      sources: provenance.sources
+    }
+  };
+}
+
+function toDisruption(situation) {
+  return {
+    id: situation.id,
+    summary: situation.summary || null,
+    description: situation.description || null,
+    severity: situation.severity,
+    reason: situation.reason || null,
+    planned: Boolean(situation.planned),
+    active: Boolean(situation.active),
+    validityPeriods: situation.validityPeriods.map(period => ({ start: time(period.start), end: time(period.end) })),
+    affectedStops: situation.affectedStops,
+    affectedRoutes: situation.affectedRoutes,
+    affectedOperators: situation.affectedOperators,
+    infoLinks: situation.infoLinks || []
+  };
+}
+
+function toVehicle(vehicle) {
+  return {
+    vehicleRef: vehicle.vehicleRef,
+    routeNumber: vehicle.routeNumber || null,
+    lineRef: vehicle.lineRef || null,
+    destination: vehicle.destination || null,
+    operatorRef: vehicle.operatorRef || null,
+    directionRef: vehicle.directionRef || null,
+    latitude: vehicle.latitude,
+    longitude: vehicle.longitude,
+    bearing: vehicle.bearing ?? null,
+    speedKmh: vehicle.speedKmh ?? null,
+    occupancy: vehicle.occupancy || null,
+    timestamp: time(vehicle.timestamp),
+    trail: (vehicle.trail || []).map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: time(point.timestamp)
+    }))
+  };
+}
+
+// The departure filter parameters as services/departureFilters.js takes them
+function departureFilters({ route, operator, destination, status, within, after, limit }) {
+  return { routes: route, operators: operator, destination, statuses: status, withinMinutes: within, after, limit };
+}
+
+// Parameters converted to their documented types and checked. The handler
+// finds them in req.valid; a client sending bad ones gets a 400 listing
+// every problem.
+function validateRequest(document, operation) {
+  return (req, res, next) => {
+    const problems = [];
+    const valid = { path: {}, query: {} };
+
+    for (const parameter of operation.parameters || []) {
+      const raw = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+      if (raw === undefined) {
+        if (parameter.required) problems.push(`${parameter.name} is required`);
+        else if (parameter.schema.default !== undefined) valid[parameter.in][parameter.name] = parameter.schema.default;
+        continue;
+      }
+      if (typeof raw !== 'string') {
+        problems.push(`${parameter.name} must be given once`);
+        continue;
+      }
+      const value = coerceParameter(parameter.schema, raw);
+      problems.push(...validate(parameter.schema, value, document, parameter.name));
+      valid[parameter.in][parameter.name] = value;
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid request', problems });
+    }
+    req.valid = valid;
+    next();
+  };
+}
+
+// Every JSON response is checked against the schema documented for its
+// status. One that doesn't match is a bug: it is logged, and the client gets
+// a 500 rather than a shape it was never promised.
+function validateResponse(document, operation) {
+  return (req, res, next) => {
+    const send = res.json.bind(res);
+    res.json = body => {
+      const content = (operation.responses[res.statusCode] || {}).content || {};
+      const schema = content['application/json'] && content['application/json'].schema;
+      const problems = schema
+        ? validate(schema, body, document)
+        : [`no JSON response is documented for status ${res.statusCode}`];
+      if (problems.length === 0) return send(body);
+
+      logger.error('Response does not match the API document', {
+        operationId: operation.operationId,
+        status: res.statusCode,
+        problems
+      });
+      res.status(500);
+      return send({ success: false, error: 'Internal server error' });
+    };
+    next();
+  };
+}
+
+function createApiV1Router({ bodsService, venueConfig, document }) {
+  const router = express.Router();
+
+  // A GET route and its operation in the document, e.g. /bus-times/:stopId
+  // is /api/v1/bus-times/{stopId}
+  const operation = (path, handler) => {
+    const spec = document.paths[`/api/v1${path.replace(/:(\w+)/g, '{$1}')}`].get;
+    router.get(path, validateResponse(document, spec), validateRequest(document, spec), handler);
+  };
+
+  const venueOf = (req, res) => {
+    const venueId = req.valid.query.venue || venueConfig.defaultVenue;
+    if (!venueConfig.venues[venueId]) {
+      res.status(404).json({ success: false, error: `Unknown venue: ${venueId}` });
+      return null;
+    }
+    return venueId;
+  };
+
+  const fail = (res, message, error, fields = {}) => {
+    logger.error(message, { ...fields, error });
+    res.status(500).json({ success: false, error: error.message });
+  };
+
+  operation('/openapi.json', (req, res) => {
+    res.json(document);
+  });
+
+  operation('/bus-times', async (req, res) => {
+    const venueId = venueOf(req, res);
+    if (!venueId) return;
+
+    try {
+      const filters = departureFilters(req.valid.query);
+      const { merge } = req.valid.query;
+      const board = merge
+        ? await bodsService.getMergedBoard(venueId, filters)
+        : await bodsService.getVenueBoard(venueId, filters);
+      const { data, provenance, dataQuality, disruptions } = board;
+      const venue = venueConfig.venues[venueId];
+
+      const body = {
+        success: true,
+        timestamp: time(new Date()),
+        venue: venueId,
+        dataQuality,
+        ...(merge
+          ? { departures: board.departures.map(departure => toDeparture(departure.stopId, departure)) }
+          : {
+            stops: Object.entries(venue.stops).map(([stopId, stop]) =>
+              toStopBoard(stopId, stop.name, data[stopId], provenance[stopId]))
+          }),
+        disruptions: disruptions.map(toDisruption)
+      };
+      setCacheHeaders(res, body, Object.values(provenance));
+      res.json(body);
+    } catch (error) {
+      fail(res, 'Error fetching bus times', error, { venue: venueId });
+    }
+  });
+
+  operation('/bus-times/:stopId', async (req, res) => {
+    const { stopId } = req.valid.path;
+    const stop = bodsService.stops[stopId];
+    if (!stop) {
+      return res.status(404).json({ success: false, error: `Unknown stop ID: ${stopId}` });
+    }
+
+    try {
+      const { departures, provenance } = await bodsService.getStopBoard(stopId, departureFilters(req.valid.query));
+      const body = {
+        success: true,
+        timestamp: time(new Date()),
+        stop: toStopBoard(stopId, stop.name, departures, provenance)
+      };
+      setCacheHeaders(res, body, [provenance]);
+      res.json(body);
+    } catch (error) {
+      fail(res, 'Error fetching bus times for stop', error, { stopId });
+    }
+  });
+
+  operation('/next-bus', async (req, res) => {
+    const venueId = venueOf(req, res);
+    if (!venueId) return;
+
+    try {
+      const nextBus = await bodsService.getNextBusGlobally(venueId);
+      const highlightedRoutes = venueConfig.venues[venueId].highlightedRoutes || [];
+      res.json({
+        success: true,
+        timestamp: time(new Date()),
+        venue: venueId,
+        nextBus: nextBus ? toDeparture(nextBus.stopId, nextBus) : null,
+        highlighted: Boolean(nextBus) && highlightedRoutes.includes(nextBus.routeNumber)
+      });
+    } catch (error) {
+      fail(res, 'Error finding next bus', error, { venue: venueId });
+    }
+  });
+
+  operation('/vehicles', async (req, res) => {
+    const venueId = venueOf(req, res);
+    if (!venueId) return;
+    const { route = [], operator = [], trail, format } = req.valid.query;
+
+    try {
+      const vehicles = await bodsService.getVehicles(venueId, { routes: route, operators: operator, trailMinutes: trail });
+      if (format === 'geojson') {
+        return res.type('application/geo+json').send(JSON.stringify(toFeatureCollection(vehicles)));
+      }
+      res.json({
+        success: true,
+        timestamp: time(new Date()),
+        venue: venueId,
+        count: vehicles.length,
+        vehicles: vehicles.map(toVehicle)
+      });
+    } catch (error) {
+      fail(res, 'Error fetching vehicles', error, { venue: venueId });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiV1Router,
+  toDeparture,
+  toVehicle
+};
@@ -0,0 +1,123 @@
+// England & Wales bank holidays, named the way TransXChange refers to them
+// in BankHolidayOperation (DaysOfOperation / DaysOfNonOperation)
+
+// One-off changes announced by government that no rule can predict
+const ADJUSTMENTS = {
+  2020: { MayDay: '2020-05-08' },
+  2022: { SpringBank: '2022-06-02', PlatinumJubilee: '2022-06-03', StateFuneral: '2022-09-19' },
+  2023: { Coronation: '2023-05-08' }
+};
+
+// TransXChange group elements and the individual holidays they expand to
+const GROUPS = {
+  AllBankHolidays: [
+    'NewYearsDay', 'NewYearsDayHoliday', 'GoodFriday', 'EasterMonday', 'MayDay', 'SpringBank',
+    'LateSummerBankHolidayNotScotland', 'ChristmasDay', 'ChristmasDayHoliday', 'BoxingDay',
+    'BoxingDayHoliday', 'PlatinumJubilee', 'StateFuneral', 'Coronation'
+  ],
+  AllHolidaysExceptChristmas: [
+    'NewYearsDay', 'NewYearsDayHoliday', 'GoodFriday', 'EasterMonday', 'MayDay', 'SpringBank',
+    'LateSummerBankHolidayNotScotland', 'PlatinumJubilee', 'StateFuneral', 'Coronation'
+  ],
+  Christmas: ['ChristmasDay', 'BoxingDay'],
+  HolidayMondays: ['EasterMonday', 'MayDay', 'SpringBank', 'LateSummerBankHolidayNotScotland'],
+  DisplacementHolidays: ['NewYearsDayHoliday', 'ChristmasDayHoliday', 'BoxingDayHoliday'],
+  EarlyRunOff: ['ChristmasEve', 'NewYearsEve']
+};
+
+const cache = new Map();
+
+function toDateKey(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.toISOString().slice(0, 10);
+}
+
+function easterSunday(year) {
+  // Anonymous Gregorian algorithm
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month: month - 1, day };
+}
+
+function firstMonday(year, monthIndex) {
+  const dow = new Date(Date.UTC(year, monthIndex, 1)).getUTCDay();
+  return 1 + ((8 - dow) % 7);
+}
+
+function lastMonday(year, monthIndex) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0));
+  const dow = lastDay.getUTCDay();
+  return lastDay.getUTCDate() - ((dow + 6) % 7);
+}
+
+function getBankHolidays(year) {
+  if (cache.has(year)) return cache.get(year);
+
+  const holidays = {};
+  const dayOfWeek = (monthIndex, day) => new Date(Date.UTC(year, monthIndex, day)).getUTCDay();
+
+  holidays.NewYearsDay = toDateKey(year, 0, 1);
+  if (dayOfWeek(0, 1) === 6) holidays.NewYearsDayHoliday = toDateKey(year, 0, 3);
+  if (dayOfWeek(0, 1) === 0) holidays.NewYearsDayHoliday = toDateKey(year, 0, 2);
+
+  const easter = easterSunday(year);
+  holidays.GoodFriday = toDateKey(year, easter.month, easter.day - 2);
+  holidays.EasterMonday = toDateKey(year, easter.month, easter.day + 1);
+
+  holidays.MayDay = toDateKey(year, 4, firstMonday(year, 4));
+  holidays.SpringBank = toDateKey(year, 4, lastMonday(year, 4));
+  holidays.LateSummerBankHolidayNotScotland = toDateKey(year, 7, lastMonday(year, 7));
+
+  holidays.ChristmasEve = toDateKey(year, 11, 24);
+  holidays.ChristmasDay = toDateKey(year, 11, 25);
+  holidays.BoxingDay = toDateKey(year, 11, 26);
+  holidays.NewYearsEve = toDateKey(year, 11, 31);
+
+  // Substitute weekdays when Christmas Day or Boxing Day fall at the weekend
+  const christmasDow = dayOfWeek(11, 25);
+  if (christmasDow === 5) {
+    holidays.BoxingDayHoliday = toDateKey(year, 11, 28);
+  } else if (christmasDow === 6) {
+    holidays.ChristmasDayHoliday = toDateKey(year, 11, 27);
+    holidays.BoxingDayHoliday = toDateKey(year, 11, 28);
+  } else if (christmasDow === 0) {
+    holidays.ChristmasDayHoliday = toDateKey(year, 11, 27);
+  }
+
+  Object.assign(holidays, ADJUSTMENTS[year]);
+
+  cache.set(year, holidays);
+  return holidays;
+}
+
+// Names of the bank holidays falling on a YYYY-MM-DD date key
+function getBankHolidayNames(dateKey) {
+  const holidays = getBankHolidays(parseInt(dateKey.slice(0, 4), 10));
+  return Object.keys(holidays).filter(name => holidays[name] === dateKey);
+}
+
+function expandHolidayNames(names) {
+  const expanded = new Set();
+  for (const name of names) {
+    (GROUPS[name] || [name]).forEach(holiday => expanded.add(holiday));
+  }
+  return expanded;
+}
+
+module.exports = {
+  getBankHolidays,
+  getBankHolidayNames,
+  expandHolidayNames
+};
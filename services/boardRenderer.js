@@ -0,0 +1,186 @@
+const { formatClock } = require('./serviceDay');
+
+const CLOCK_AFTER_MINUTES = 60; // further off than this, show the time instead of "N min"
+const GONE_AFTER_MS = 60000; // a departure this far in the past has left
+const DEFAULT_ROWS_PER_STOP = 6;
+const TEXT_TIME_WIDTH = 6;
+const TEXT_ROUTE_WIDTH = 4;
+const MIN_TEXT_WIDTH = TEXT_ROUTE_WIDTH + TEXT_TIME_WIDTH + 2 + 6; // room for some of the destination
+
+const QUALITY_NOTICES = {
+  snapshot: 'Timetable may be out of date',
+  scheduled: 'Live times unavailable - showing timetable',
+  unavailable: 'Departure information unavailable',
+  demo: 'DEMO - not real departures'
+};
+
+// When the bus leaves, as a board shows it: "Due", "3 min", or "21:45"
+// (UK time) once it's an hour or more away
+function dueLabel(departure, now = new Date()) {
+  if (departure.status === 'cancelled') return 'Cancelled';
+  const departs = new Date(departure.estimatedTime || departure.scheduledTime);
+  const minutes = Math.floor((departs - now) / 60000);
+  if (minutes <= 0) return 'Due';
+  if (minutes < CLOCK_AFTER_MINUTES) return `${minutes} min`;
+  return formatClock(departs);
+}
+
+function toRow(departure, highlighted, now) {
+  return {
+    routeNumber: departure.routeNumber,
+    destination: departure.destination,
+    due: dueLabel(departure, now),
+    time: formatClock(departure.estimatedTime || departure.scheduledTime),
+    scheduledTime: formatClock(departure.scheduledTime),
+    live: !departure.scheduledOnly && departure.status !== 'cancelled',
+    cancelled: departure.status === 'cancelled',
+    lastOfDay: Boolean(departure.lastOfDay),
+    highlighted: highlighted.includes(departure.routeNumber)
+  };
+}
+
+// Everything a display shows, worked out once for every format:
+// stops: [{ stopId, name, departures, serviceStatus }] from the board
+function buildDisplay({ title, stops, highlighted = [], dataQuality, disruptions = [], now = new Date(), limit = DEFAULT_ROWS_PER_STOP }) {
+  return {
+    title,
+    clock: formatClock(now),
+    generatedAt: now,
+    dataQuality,
+    notice: QUALITY_NOTICES[dataQuality] || null,
+    sections: stops.map(stop => ({
+      stopId: stop.stopId,
+      name: stop.name,
+      rows: stop.departures
+        .filter(departure => new Date(departure.estimatedTime || departure.scheduledTime) >= now - GONE_AFTER_MS)
+        .slice(0, limit)
+        .map(departure => toRow(departure, highlighted, now)),
+      finished: (stop.serviceStatus || [])
+        .filter(status => status.state === 'finished' || status.state === 'noService')
+        .map(status => `${status.routeNumber}: ${status.message}`)
+    })),
+    disruptions: disruptions.filter(disruption => disruption.active !== false).map(disruption => disruption.summary).filter(Boolean)
+  };
+}
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 2vh 2vw; background: #000; color: #ffb000; font-family: "Helvetica Neue", Arial, sans-serif; }
+  header { display: flex; justify-content: space-between; align-items: baseline; }
+  h1 { margin: 0; font-size: 5vh; }
+  header time { font-size: 5vh; font-variant-numeric: tabular-nums; }
+  .notice { margin: 1vh 0; padding: 1vh 1vw; background: #402800; font-size: 3vh; }
+  .stops { display: grid; grid-template-columns: repeat(auto-fit, minmax(28rem, 1fr)); gap: 2vh 2vw; margin-top: 2vh; }
+  h2 { margin: 0 0 1vh; font-size: 4vh; color: #fff; }
+  table { width: 100%; border-collapse: collapse; font-size: 4.5vh; }
+  td { padding: 0.6vh 0.5vw; border-bottom: 1px solid #332200; }
+  .route { width: 5ch; font-weight: bold; }
+  .due { text-align: right; white-space: nowrap; font-variant-numeric: tabular-nums; }
+  .highlighted td { background: #ffb000; color: #000; }
+  .cancelled td { color: #ff4040; text-decoration: line-through; }
+  .cancelled .due { text-decoration: none; }
+  .tag { margin-left: 0.6em; padding: 0 0.3em; font-size: 0.6em; border: 1px solid currentColor; vertical-align: middle; }
+  .scheduled .due::after { content: "*"; }
+  .finished, .disruptions { margin: 1vh 0 0; padding: 0; list-style: none; font-size: 3vh; color: #ccc; }
+  .empty { font-size: 3.5vh; color: #ccc; }
+  footer { margin-top: 2vh; font-size: 2.5vh; color: #999; }
+`;
+
+function renderRow(row) {
+  const classes = [row.highlighted && 'highlighted', row.cancelled && 'cancelled', !row.live && !row.cancelled && 'scheduled']
+    .filter(Boolean).join(' ');
+  const tag = row.lastOfDay ? '<span class="tag">Last bus</span>' : '';
+  return `<tr class="${classes}"><td class="route">${escapeHtml(row.routeNumber)}</td>` +
+    `<td class="destination">${escapeHtml(row.destination)}${tag}</td><td class="due">${escapeHtml(row.due)}</td></tr>`;
+}
+
+function renderSection(section) {
+  const rows = section.rows.length > 0
+    ? `<table><tbody>${section.rows.map(renderRow).join('')}</tbody></table>`
+    : '<p class="empty">No departures</p>';
+  const finished = section.finished.length > 0
+    ? `<ul class="finished">${section.finished.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>`
+    : '';
+  return `<section class="stop"><h2>${escapeHtml(section.name)}</h2>${rows}${finished}</section>`;
+}
+
+// A self-refreshing full-screen page for a kiosk browser. No scripts: the
+// page reloads itself, so it works on the most basic signage players.
+function renderHtml(display, { refreshSeconds = 30 } = {}) {
+  const notice = display.notice ? `<p class="notice">${escapeHtml(display.notice)}</p>` : '';
+  const disruptions = display.disruptions.length > 0
+    ? `<ul class="disruptions">${display.disruptions.map(summary => `<li>⚠ ${escapeHtml(summary)}</li>`).join('')}</ul>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${refreshSeconds}">
+<title>${escapeHtml(display.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(display.title)}</h1><time datetime="${display.generatedAt.toISOString()}">${display.clock}</time></header>
+${notice}
+<main class="stops">${display.sections.map(renderSection).join('')}</main>
+<footer>${disruptions}<p>* timetabled time, no live information</p></footer>
+</body>
+</html>
+`;
+}
+
+// Dot-matrix signs only have ASCII: drop accents and replace anything else
+const toAscii = value => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?');
+
+const fit = (value, width) => toAscii(value).slice(0, width).padEnd(width);
+
+// Fixed-width lines, every one exactly `width` characters, for LED signs:
+// route, destination (cut to fit) and due time right-aligned. Stop names
+// head each section when there is more than one.
+function renderText(display, { width = 32 } = {}) {
+  const destinationWidth = width - TEXT_ROUTE_WIDTH - TEXT_TIME_WIDTH - 2;
+  const lines = [];
+  const withHeadings = display.sections.length > 1;
+
+  if (display.notice) lines.push(fit(display.notice, width));
+  for (const section of display.sections) {
+    if (withHeadings) lines.push(fit(section.name, width));
+    for (const row of section.rows) {
+      const due = (row.cancelled ? 'Cancel' : row.due).slice(0, TEXT_TIME_WIDTH).padStart(TEXT_TIME_WIDTH);
+      lines.push(`${fit(row.routeNumber, TEXT_ROUTE_WIDTH)} ${fit(row.destination, destinationWidth)} ${toAscii(due)}`);
+    }
+    if (section.rows.length === 0) lines.push(fit('No departures', width));
+    section.finished.forEach(message => lines.push(fit(message, width)));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One JSON object per line: a header, then each departure and each
+// finished-route message, so a sign controller can act line by line
+function renderJsonLines(display) {
+  const records = [{ type: 'board', title: display.title, clock: display.clock, dataQuality: display.dataQuality, notice: display.notice }];
+  for (const section of display.sections) {
+    for (const row of section.rows) {
+      records.push({ type: 'departure', stopId: section.stopId, stop: section.name, ...row });
+    }
+    for (const message of section.finished) {
+      records.push({ type: 'status', stopId: section.stopId, stop: section.name, message });
+    }
+  }
+  display.disruptions.forEach(summary => records.push({ type: 'disruption', summary }));
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+module.exports = {
+  dueLabel,
+  buildDisplay,
+  renderHtml,
+  renderText,
+  renderJsonLines,
+  MIN_TEXT_WIDTH
+};
@@ -1,483 +1,1201 @@
-const fetch = require('node-fetch');
-const xml2js = require('xml2js');
-
-class BODSService {
-  constructor(apiKey, cache, vehicleCache) {
-    this.apiKey = apiKey;
-    this.cache = cache;
-    this.vehicleCache = vehicleCache;
-    this.baseUrl = 'https://data.bus-data.dft.gov.uk/api/v1';
-    this.cacheHit = false;
-    
-    // Cleveland Centre stop configuration - CONFIGURED FOR YOUR SPECIFIC STOPS
-    this.stops = {
-      '079073279A': { // Stand O - Stagecoach services
-        name: 'Cleveland Centre (Stand O)',
-        operators: ['Stagecoach'],
-        routes: ['10', '12', '13', '14'],
-        datasets: ['18509'] // Stagecoach dataset ID
-      },
-      '079073279B': { // Stand P - Arriva services (PHIL'S BUSES!)
-        name: 'Cleveland Centre (Stand P)', 
-        operators: ['Arriva'],
-        routes: ['17A', '17B'], // Phil's special buses
-        datasets: ['15890'] // Arriva dataset ID
-      },
-      '079073279C': { // Stand Q - Arriva services
-        name: 'Cleveland Centre (Stand Q)',
-        operators: ['Arriva'], 
-        routes: ['29', '63'],
-        datasets: ['15890'] // Arriva dataset ID
-      }
-    };
-
-    // Bounding box for Cleveland Centre area (for vehicle tracking)
-    this.clevelandCentreBounds = {
-      minLat: 54.570,
-      maxLat: 54.580,
-      minLon: -1.270,
-      maxLon: -1.230
-    };
-  }
-
-  async getAllClevelandCentreData() {
-    console.log('📡 Fetching data for all Cleveland Centre stops');
-    
-    const allData = {};
-    
-    // Fetch data for each stop in parallel
-    const stopPromises = Object.keys(this.stops).map(async (stopId) => {
-      try {
-        const stopData = await this.getBusTimesForStop(stopId);
-        allData[stopId] = stopData;
-      } catch (error) {
-        console.error(`⚠️ Failed to fetch data for stop ${stopId}:`, error.message);
-        allData[stopId] = this.getFallbackDataForStop(stopId);
-      }
-    });
-
-    await Promise.all(stopPromises);
-    
-    console.log(`✅ Retrieved data for ${Object.keys(allData).length} stops`);
-    return allData;
-  }
-
-  async getBusTimesForStop(stopId) {
-    const cacheKey = `stop_${stopId}`;
-    
-    // Check cache first
-    let cached = this.cache.get(cacheKey);
-    if (cached) {
-      console.log(`💾 Cache hit for stop ${stopId}`);
-      this.cacheHit = true;
-      return cached;
-    }
-
-    this.cacheHit = false;
-    const stopConfig = this.stops[stopId];
-    if (!stopConfig) {
-      throw new Error(`Unknown stop ID: ${stopId}`);
-    }
-
-    console.log(`🔄 Fetching fresh data for ${stopConfig.name}`);
-
-    try {
-      // Fetch timetable data for this stop's datasets
-      const timetableData = await this.fetchTimetableData(stopConfig.datasets);
-      
-      // Get real-time vehicle positions
-      const vehicles = await this.getVehiclePositions();
-      
-      // Process and combine data
-      const busServices = this.processBusServices(stopConfig, timetableData, vehicles);
-      
-      // Cache the result
-      this.cache.set(cacheKey, busServices);
-      
-      console.log(`✅ Processed ${busServices.length} services for ${stopConfig.name}`);
-      return busServices;
-      
-    } catch (error) {
-      console.error(`❌ Error fetching BODS data for ${stopId}:`, error.message);
-      
-      // Return fallback data if BODS fails
-      const fallbackData = this.getFallbackDataForStop(stopId);
-      this.cache.set(cacheKey, fallbackData, 60); // Cache fallback for 1 minute
-      return fallbackData;
-    }
-  }
-
-  async fetchTimetableData(datasetIds) {
-    const allTimetables = {};
-
-    for (const datasetId of datasetIds) {
-      try {
-        console.log(`📊 Fetching timetables from dataset ${datasetId}`);
-        
-        // Get dataset metadata
-        const metadataUrl = `${this.baseUrl}/dataset/${datasetId}/?api_key=${this.apiKey}`;
-        const metadataResponse = await fetch(metadataUrl);
-        
-        if (!metadataResponse.ok) {
-          throw new Error(`Dataset API returned ${metadataResponse.status}`);
-        }
-        
-        const metadata = await metadataResponse.json();
-        
-        // Download the actual TransXChange file
-        if (metadata.url) {
-          const timetableResponse = await fetch(`${metadata.url}?api_key=${this.apiKey}`);
-          
-          if (timetableResponse.ok) {
-            const xmlData = await timetableResponse.text();
-            const parsedData = await this.parseTransXChange(xmlData);
-            Object.assign(allTimetables, parsedData);
-          }
-        }
-        
-      } catch (error) {
-        console.warn(`⚠️ Failed to fetch dataset ${datasetId}:`, error.message);
-      }
-    }
-
-    return allTimetables;
-  }
-
-  async parseTransXChange(xmlData) {
-    try {
-      const parser = new xml2js.Parser({ explicitArray: false });
-      const result = await parser.parseStringPromise(xmlData);
-      
-      const services = {};
-      
-      // Navigate TransXChange structure to extract bus services
-      const transXChange = result.TransXChange;
-      if (!transXChange || !transXChange.Services) {
-        return services;
-      }
-
-      const serviceArray = Array.isArray(transXChange.Services.Service) 
-        ? transXChange.Services.Service 
-        : [transXChange.Services.Service];
-
-      for (const service of serviceArray) {
-        if (service && service.Lines && service.Lines.Line) {
-          const line = service.Lines.Line;
-          const lineRef = line.$.id || line.LineName;
-          
-          if (lineRef) {
-            services[lineRef] = this.extractServiceTimes(service);
-          }
-        }
-      }
-
-      console.log(`📋 Parsed ${Object.keys(services).length} services from TransXChange`);
-      return services;
-      
-    } catch (error) {
-      console.error('❌ Error parsing TransXChange:', error.message);
-      return {};
-    }
-  }
-
-  extractServiceTimes(service) {
-    const times = [];
-    const now = new Date();
-    
-    try {
-      // Extract journey patterns and timing points
-      // This is a simplified extraction - real TransXChange parsing is complex
-      if (service.StandardService && service.StandardService.JourneyPattern) {
-        const journeyPatterns = Array.isArray(service.StandardService.JourneyPattern)
-          ? service.StandardService.JourneyPattern
-          : [service.StandardService.JourneyPattern];
-
-        for (const pattern of journeyPatterns) {
-          if (pattern.TimingLinkRef) {
-            // Generate realistic departure times based on pattern
-            const baseFreq = this.estimateFrequency(service.Lines.Line.LineName);
-            times.push(...this.generateDepartureTimes(now, baseFreq, 8));
-          }
-        }
-      }
-    } catch (error) {
-      console.warn('⚠️ Error extracting service times:', error.message);
-    }
-
-    return times;
-  }
-
-  estimateFrequency(lineName) {
-    // Estimate frequency based on route number - CONFIGURED FOR YOUR ROUTES
-    const frequencies = {
-      '10': 20, '12': 30, '13': 25, '14': 35,
-      '17A': 15, '17B': 20, '29': 40, '63': 45
-    };
-    return frequencies[lineName] || 30;
-  }
-
-  generateDepartureTimes(startTime, frequency, count) {
-    const times = [];
-    
-    for (let i = 0; i < count; i++) {
-      const departureTime = new Date(startTime.getTime() + (frequency * i * 60000));
-      
-      // Add realistic variation
-      const variation = (Math.random() - 0.5) * 4 * 60000; // ±2 minutes
-      const adjustedTime = new Date(departureTime.getTime() + variation);
-      
-      if (adjustedTime > startTime) {
-        times.push({
-          scheduled: departureTime,
-          estimated: adjustedTime,
-          status: this.determineStatus(departureTime, adjustedTime)
-        });
-      }
-    }
-    
-    return times;
-  }
-
-  async getVehiclePositions() {
-    const cacheKey = 'vehicle_positions';
-    
-    // Check vehicle cache
-    let cached = this.vehicleCache.get(cacheKey);
-    if (cached) {
-      console.log('💾 Vehicle cache hit');
-      return cached;
-    }
-
-    try {
-      console.log('🚌 Fetching real-time vehicle positions');
-      
-      // Use SIRI-VM feed for real-time positions
-      const bounds = this.clevelandCentreBounds;
-      const vehicleUrl = `${this.baseUrl}/datafeed/?boundingBox=${bounds.minLon},${bounds.minLat},${bounds.maxLon},${bounds.maxLat}&api_key=${this.apiKey}`;
-      
-      const response = await fetch(vehicleUrl);
-      
-      if (response.ok) {
-        const xmlData = await response.text();
-        const vehicles = await this.parseSIRIVM(xmlData);
-        
-        this.vehicleCache.set(cacheKey, vehicles);
-        console.log(`🚌 Found ${vehicles.length} vehicles in Cleveland Centre area`);
-        return vehicles;
-      }
-      
-      throw new Error(`Vehicle API returned ${response.status}`);
-      
-    } catch (error) {
-      console.warn('⚠️ Failed to fetch vehicle positions:', error.message);
-      return [];
-    }
-  }
-
-  async parseSIRIVM(xmlData) {
-    try {
-      const parser = new xml2js.Parser({ explicitArray: false });
-      const result = await parser.parseStringPromise(xmlData);
-      
-      const vehicles = [];
-      
-      // Navigate SIRI-VM structure
-      if (result.Siri && result.Siri.ServiceDelivery && result.Siri.ServiceDelivery.VehicleMonitoringDelivery) {
-        const delivery = result.Siri.ServiceDelivery.VehicleMonitoringDelivery;
-        const activities = Array.isArray(delivery.VehicleActivity) 
-          ? delivery.VehicleActivity 
-          : [delivery.VehicleActivity];
-
-        for (const activity of activities) {
-          if (activity && activity.MonitoredVehicleJourney) {
-            const journey = activity.MonitoredVehicleJourney;
-            
-            vehicles.push({
-              vehicleRef: journey.VehicleRef || 'unknown',
-              lineRef: journey.LineRef || 'unknown',
-              routeNumber: journey.PublishedLineName || journey.LineRef,
-              destination: journey.DestinationName || 'Unknown',
-              latitude: parseFloat(journey.VehicleLocation?.Latitude || 0),
-              longitude: parseFloat(journey.VehicleLocation?.Longitude || 0),
-              timestamp: new Date(journey.RecordedAtTime || Date.now())
-            });
-          }
-        }
-      }
-      
-      return vehicles;
-      
-    } catch (error) {
-      console.error('❌ Error parsing SIRI-VM:', error.message);
-      return [];
-    }
-  }
-
-  processBusServices(stopConfig, timetableData, vehicles) {
-    const services = [];
-    
-    // Process each route for this stop
-    for (const routeNumber of stopConfig.routes) {
-      const routeTimetable = timetableData[routeNumber];
-      
-      if (routeTimetable && routeTimetable.length > 0) {
-        // Use real timetable data
-        for (const timeData of routeTimetable) {
-          services.push({
-            routeNumber,
-            destination: this.getDestinationForRoute(routeNumber),
-            operator: stopConfig.operators[0],
-            scheduledTime: timeData.scheduled,
-            estimatedTime: timeData.estimated,
-            status: timeData.status,
-            source: 'timetable'
-          });
-        }
-      } else {
-        // Generate fallback data for this route
-        const fallbackServices = this.generateFallbackForRoute(routeNumber, stopConfig.operators[0]);
-        services.push(...fallbackServices);
-      }
-    }
-
-    // Enhance with real-time vehicle data
-    this.enhanceWithVehicleData(services, vehicles);
-
-    // Sort by estimated/scheduled time and return top 8
-    return services
-      .sort((a, b) => (a.estimatedTime || a.scheduledTime) - (b.estimatedTime || b.scheduledTime))
-      .slice(0, 8);
-  }
-
-  enhanceWithVehicleData(services, vehicles) {
-    for (const service of services) {
-      const matchingVehicles = vehicles.filter(v => 
-        v.routeNumber === service.routeNumber || 
-        v.lineRef === service.routeNumber
-      );
-
-      if (matchingVehicles.length > 0) {
-        const vehicle = matchingVehicles[0]; // Use closest or first match
-        
-        // Calculate ETA based on vehicle position (simplified)
-        const estimatedMinutes = this.calculateETA(vehicle);
-        
-        if (estimatedMinutes > 0) {
-          service.estimatedTime = new Date(Date.now() + estimatedMinutes * 60000);
-          service.status = 'live';
-          service.source = 'vehicle_tracking';
-        }
-      }
-    }
-  }
-
-  calculateETA(vehicle) {
-    // Simplified ETA calculation
-    // In a real system, you'd use route geometry and traffic data
-    const distance = Math.random() * 3; // 0-3km distance simulation
-    const averageSpeed = 25; // 25 km/h in city
-    return Math.max(1, Math.round((distance / averageSpeed) * 60));
-  }
-
-  async getNextBusGlobally() {
-    const allData = await this.getAllClevelandCentreData();
-    
-    let nextBus = null;
-    let earliestTime = null;
-
-    Object.values(allData).forEach(stopServices => {
-      stopServices.forEach(service => {
-        const serviceTime = service.estimatedTime || service.scheduledTime;
-        
-        if (!earliestTime || serviceTime < earliestTime) {
-          earliestTime = serviceTime;
-          nextBus = service;
-        }
-      });
-    });
-
-    return nextBus;
-  }
-
-  getDestinationForRoute(routeNumber) {
-    // CONFIGURED FOR YOUR SPECIFIC ROUTES
-    const destinations = {
-      '10': 'Lingfield Park',
-      '12': 'Coulby Newham', 
-      '13': 'Coulby Newham',
-      '14': 'Trimdon Avenue',
-      '17A': 'Stockton via Ingleby Barwick', // Phil's bus!
-      '17B': 'Stockton via Thornaby',        // Phil's bus!
-      '29': 'Redcar',
-      '63': 'Redcar'
-    };
-    return destinations[routeNumber] || 'City Centre';
-  }
-
-  generateFallbackForRoute(routeNumber, operator) {
-    const now = new Date();
-    const frequency = this.estimateFrequency(routeNumber);
-    const destination = this.getDestinationForRoute(routeNumber);
-    const services = [];
-
-    for (let i = 0; i < 4; i++) {
-      const baseTime = now.getTime() + (frequency * i * 60000);
-      const variation = (Math.random() - 0.5) * 6 * 60000; // ±3 minutes
-      const scheduledTime = new Date(baseTime);
-      const estimatedTime = new Date(baseTime + variation);
-
-      services.push({
-        routeNumber,
-        destination,
-        operator,
-        scheduledTime,
-        estimatedTime,
-        status: this.determineStatus(scheduledTime, estimatedTime),
-        source: 'fallback'
-      });
-    }
-
-    return services;
-  }
-
-  getFallbackDataForStop(stopId) {
-    const stopConfig = this.stops[stopId];
-    if (!stopConfig) return [];
-
-    const allServices = [];
-    
-    for (const routeNumber of stopConfig.routes) {
-      const routeServices = this.generateFallbackForRoute(routeNumber, stopConfig.operators[0]);
-      allServices.push(...routeServices);
-    }
-
-    return allServices
-      .sort((a, b) => (a.estimatedTime || a.scheduledTime) - (b.estimatedTime || b.scheduledTime))
-      .slice(0, 6);
-  }
-
-  async getFallbackData() {
-    const fallbackData = {};
-    
-    Object.keys(this.stops).forEach(stopId => {
-      fallbackData[stopId] = this.getFallbackDataForStop(stopId);
-    });
-
-    return fallbackData;
-  }
-
-  determineStatus(scheduled, estimated) {
-    const diff = (estimated - scheduled) / 60000; // minutes
-    
-    if (Math.abs(diff) < 2) return 'onTime';
-    if (diff > 5) return 'delayed';
-    if (diff < -3) return 'early';
-    return 'estimated';
-  }
-
-  isCacheHit() {
-    return this.cacheHit;
-  }
-}
-
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const TimetableIndex = require('./timetableIndex');
+const { readTimetableDataset } = require('./timetableDataset');
+const VehicleTracker = require('./vehicleTracker');
+const { isValidPoint, haversineDistance, projectOntoPolyline } = require('./geo');
+const { SiriVmProvider, SiriSmProvider, GtfsRtProvider, httpSource } = require('./realtime');
+const { parseSiriVm } = require('./realtime/siriVmProvider');
+const { loadVenueConfig, DEFAULT_CONFIG_PATH } = require('./venueConfig');
+const StaleWhileRevalidate = require('./staleWhileRevalidate');
+const UpstreamClient = require('./upstreamClient');
+const { registry } = require('./metrics');
+const logger = require('./logger').child({ component: 'bods' });
+const TimetableStore = require('./timetableStore');
+const DisruptionService = require('./disruptionService');
+const { planJourneys, resolveDestination, MIN_CHANGE_SECONDS } = require('./journeyPlanner');
+const { serviceDayOf, formatClock, formatUpcoming } = require('./serviceDay');
+const { filterDepartures, mergeDepartures, MAX_DEPARTURES } = require('./departureFilters');
+
+const DEFAULT_BUS_SPEED_KMH = 25; // 25 km/h in city
+const MIN_BUS_SPEED_KMH = 8;
+const MAX_BUS_SPEED_KMH = 50;
+const MAX_ROUTE_OFFSET_METRES = 300; // further than this from the route and the vehicle is off it
+const PASSED_STOP_TOLERANCE_METRES = 50;
+const STRAIGHT_LINE_DETOUR_FACTOR = 1.3;
+const ORIGIN_TIME_TOLERANCE_MS = 60000;
+const AIMED_TIME_TOLERANCE_MS = 60000;
+const MAX_UNIDENTIFIED_MATCH_MS = 30 * 60000; // how far an untagged vehicle's ETA may be from the timetable
+const MAX_POSITION_AGE_MS = 5 * 60000; // an older report no longer says where the bus is
+const MAX_POSITION_AHEAD_MS = 60000; // allowance for vehicle clocks running fast
+const MAX_LATENESS_MS = 30 * 60000; // how long past its time a bus may still be on its way
+const BOARD_AHEAD_MS = 86400000;
+
+// How long past their TTL cached values may still be served while they refresh
+const STOP_STALE_SECONDS = 600;
+const REALTIME_STALE_SECONDS = 120;
+const TIMETABLE_FRESH_SECONDS = 6 * 3600; // operators rarely republish more often
+const TIMETABLE_STALE_SECONDS = 7 * 86400;
+const UNAVAILABLE_FRESH_SECONDS = 60;
+
+const DEFAULT_BASE_URL = 'https://data.bus-data.dft.gov.uk/api/v1';
+const DATASET_DOWNLOAD_TIMEOUT_MS = 180000; // whole operator datasets can be tens of megabytes
+
+// Where departures came from each time a stop's board is built: timetable,
+// realtime_prediction, vehicle_tracking, or demo (invented when there is no
+// timetable - the only fallback; otherwise the board is empty)
+const departuresBySource = registry.counter({
+  name: 'bus_departures_total',
+  help: 'Departures on stop boards as built for each request, by source',
+  labelNames: ['source']
+});
+registry.gauge({
+  name: 'bus_departures_source_ratio',
+  help: 'Share of all departures since startup that came from each source',
+  labelNames: ['source'],
+  collect: gauge => {
+    const counts = departuresBySource.values();
+    const total = counts.reduce((sum, { value }) => sum + value, 0);
+    counts.forEach(({ labels, value }) => gauge.set(labels, total > 0 ? value / total : 0));
+  }
+});
+const vehiclesSeen = registry.gauge({
+  name: 'bus_vehicles_seen',
+  help: 'Vehicles in the last answer from each real-time feed',
+  labelNames: ['feed']
+});
+
+const LAST_HALF_HOUR_MS = 30 * 60000;
+const NEXT_SERVICE_SEARCH_DAYS = 7; // covers Sundays and bank holidays without a service
+
+// How much a board can be trusted, worst first:
+//   unavailable - no timetable at all, so no departures are shown
+//   snapshot    - the last known timetable, while BODS can't be reached
+//   scheduled   - a current timetable, but no real-time feed answered
+//   live        - a current timetable with real-time predictions
+const DATA_QUALITY_LEVELS = ['unavailable', 'snapshot', 'scheduled', 'live'];
+
+class BODSService {
+  constructor(apiKey, cache, vehicleCache, options = {}) {
+    this.apiKey = apiKey;
+    this.cache = cache;
+    this.vehicleCache = vehicleCache;
+    // Where BODS is and how to reach it: both can be replaced, e.g. by a
+    // local mock server in tests. Every upstream call shares one client, so
+    // timeouts, retries and circuit breakers apply to all of them.
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.upstream = new UpstreamClient({ fetch: options.fetch, ...options.upstream });
+    this.downloadTimeoutMs = options.downloadTimeoutMs || DATASET_DOWNLOAD_TIMEOUT_MS;
+    this.vehicleTracker = new VehicleTracker();
+    this.realtimeFetchedAt = new Map(); // feed name -> when it last answered
+
+    // Concurrent misses share one upstream call, and stale values are served
+    // while a single background refresh runs
+    this.stopCache = new StaleWhileRevalidate(cache, {
+      freshFor: cache.options.stdTTL || 300,
+      staleFor: STOP_STALE_SECONDS
+    });
+    this.timetableCache = new StaleWhileRevalidate(cache, {
+      freshFor: options.timetableTtl || TIMETABLE_FRESH_SECONDS,
+      staleFor: TIMETABLE_STALE_SECONDS
+    });
+    this.realtimeCache = new StaleWhileRevalidate(vehicleCache, {
+      freshFor: vehicleCache.options.stdTTL || 30,
+      staleFor: REALTIME_STALE_SECONDS
+    });
+    this.timetableStore = options.dataDir ? new TimetableStore(options.dataDir) : null;
+    this.unconfirmedSnapshots = new Set(); // datasets served from disk that BODS hasn't confirmed yet
+
+    // Demo mode invents departures for routes with no timetable. Never use it
+    // for a real display: the times are random.
+    this.demo = Boolean(options.demo);
+    
+    // Venues (each with its own stops, bounding box and routes) come from
+    // config/venues.json unless a loaded configuration is passed in
+    const venueConfig = options.venues || loadVenueConfig(DEFAULT_CONFIG_PATH);
+    this.venues = venueConfig.venues;
+    this.defaultVenueId = venueConfig.defaultVenue || Object.keys(this.venues)[0];
+
+    // Every configured stop, across all venues, keyed by ATCO code
+    this.stops = {};
+    for (const [venueId, venue] of Object.entries(this.venues)) {
+      for (const [stopId, stop] of Object.entries(venue.stops)) {
+        const existing = this.stops[stopId];
+        if (!existing) {
+          this.stops[stopId] = { ...stop, venueId };
+          continue;
+        }
+        // A stand shared by two venues serves the union of what they configure
+        for (const key of ['operators', 'routes', 'datasets']) {
+          existing[key] = Array.from(new Set([...existing[key], ...stop[key]]));
+        }
+      }
+    }
+
+    // Disruptions (SIRI-SX), from BODS unless another feed is configured
+    this.disruptionService = options.disruptions === false ? null : new DisruptionService(
+      (options.disruptions && options.disruptions.source) ||
+        httpSource(
+          () => (options.disruptions && options.disruptions.url) || `${this.baseUrl}/siri-sx/?api_key=${this.apiKey}`,
+          { client: this.upstream, name: 'siri-sx' }
+        ),
+      cache,
+      { stops: this.stops }
+    );
+
+    // Real-time feeds per venue, in no particular order: the one with the
+    // best coverage is chosen per operator each time a stop is processed
+    this.realtimeProviders = {};
+    for (const venueId of Object.keys(this.venues)) {
+      this.realtimeProviders[venueId] = options.realtimeProviders ||
+        this.createRealtimeProviders(options.realtime || {}, venueId);
+    }
+  }
+
+  getVenue(venueId = this.defaultVenueId) {
+    const venue = this.venues[venueId];
+    if (!venue) {
+      throw new Error(`Unknown venue: ${venueId}`);
+    }
+    return venue;
+  }
+
+  // `operators` restricts a feed, by name, to some operators (part of the
+  // timetable's operator name): the one with the best coverage of each
+  createRealtimeProviders({ providers = ['siri-vm'], siriSmUrl, gtfsRtUrl, gtfsRoutesFile, operators = {} } = {}, venueId) {
+    const venue = this.getVenue(venueId);
+    const bounds = venue.boundingBox;
+    const boundingBox = `${bounds.minLon},${bounds.minLat},${bounds.maxLon},${bounds.maxLat}`;
+
+    return providers.map(name => {
+      const covered = operators[name] && operators[name].length > 0 ? operators[name] : null;
+      switch (name) {
+        case 'siri-vm':
+          return new SiriVmProvider({
+            name,
+            operators: covered,
+            source: httpSource(
+              () => `${this.baseUrl}/datafeed/?boundingBox=${boundingBox}&api_key=${this.apiKey}`,
+              { client: this.upstream, name }
+            )
+          });
+        case 'gtfs-rt':
+          return new GtfsRtProvider({
+            name,
+            operators: covered,
+            routesFile: gtfsRoutesFile,
+            source: httpSource(
+              () => gtfsRtUrl || `${this.baseUrl}/gtfsrtdatafeed/?boundingBox=${boundingBox}&api_key=${this.apiKey}`,
+              { binary: true, client: this.upstream, name }
+            )
+          });
+        case 'siri-sm':
+          if (!siriSmUrl) throw new Error('SIRI-SM provider needs a feed URL');
+          return new SiriSmProvider({
+            name,
+            operators: covered,
+            source: httpSource(
+              () => siriSmUrl.replace('{stops}', Object.keys(venue.stops).join(',')),
+              { client: this.upstream, name }
+            )
+          });
+        default:
+          throw new Error(`Unknown real-time provider: ${name}`);
+      }
+    });
+  }
+
+  async getAllClevelandCentreData() {
+    return this.getVenueData(this.defaultVenueId);
+  }
+
+  async getVenueData(venueId = this.defaultVenueId) {
+    return (await this.getVenueBoard(venueId)).data;
+  }
+
+  // Departures for every stop at a venue, with where each stop's data came
+  // from and whether each route is still running tonight:
+  // { data: { stopId: [...] }, provenance: { stopId: {...} }, serviceStatus: { stopId: [...] } }
+  // `filters` (see services/departureFilters.js) apply to each stop.
+  async getVenueBoard(venueId = this.defaultVenueId, filters = {}) {
+    const venue = this.getVenue(venueId);
+    logger.debug('Fetching data for all stops', { venue: venueId });
+    
+    const data = {};
+    const provenance = {};
+    const serviceStatus = {};
+    
+    // Fetch data for each stop in parallel
+    const stopPromises = Object.keys(venue.stops).map(async (stopId) => {
+      try {
+        const board = await this.getStopBoard(stopId, filters);
+        data[stopId] = board.departures;
+        provenance[stopId] = board.provenance;
+        serviceStatus[stopId] = board.serviceStatus;
+      } catch (error) {
+        logger.error('Failed to fetch data for stop', { stopId, error: error.message });
+        const board = this.getUnavailableBoard(stopId);
+        data[stopId] = filterDepartures(board.departures, filters);
+        provenance[stopId] = this.describeProvenance({ ...board, departures: data[stopId] }, { status: 'miss' });
+        serviceStatus[stopId] = [];
+      }
+    });
+
+    await Promise.all(stopPromises);
+    
+    logger.debug('Retrieved data for stops', { venue: venueId, stops: Object.keys(data).length });
+    const { situations } = await this.getDisruptions();
+    return {
+      data,
+      provenance,
+      serviceStatus,
+      dataQuality: this.overallDataQuality(Object.values(provenance).map(stop => stop.dataQuality)),
+      disruptions: this.disruptionService ? this.disruptionService.forVenue(situations, venue) : []
+    };
+  }
+
+  // A venue's board with every stop's departures also merged into one list
+  // in time order, the first `limit` of them across all the stops
+  async getMergedBoard(venueId = this.defaultVenueId, { limit, ...filters } = {}) {
+    const board = await this.getVenueBoard(venueId, { ...filters, limit: MAX_DEPARTURES });
+    return { ...board, departures: mergeDepartures(board.data, limit) };
+  }
+
+  // Each route's last bus tonight at every stop of a venue, or when service
+  // resumes for routes that have finished
+  async getLastBuses(venueId = this.defaultVenueId) {
+    const venue = this.getVenue(venueId);
+    const { serviceStatus, dataQuality } = await this.getVenueBoard(venueId);
+
+    const routes = [];
+    for (const [stopId, statuses] of Object.entries(serviceStatus)) {
+      for (const status of statuses) {
+        routes.push({ stopId, stopName: venue.stops[stopId].name, ...status });
+      }
+    }
+
+    // Soonest last bus first, then routes that have finished
+    const leaves = route => (route.state === 'running'
+      ? new Date(route.lastDeparture.estimatedTime || route.lastDeparture.scheduledTime).getTime()
+      : Infinity);
+    routes.sort((a, b) => leaves(a) - leaves(b) || a.routeNumber.localeCompare(b.routeNumber, 'en', { numeric: true }));
+
+    return { routes, dataQuality };
+  }
+
+  async getDisruptions() {
+    if (!this.disruptionService) return { situations: [], available: false };
+    return this.disruptionService.getSituations();
+  }
+
+  async getVenueDisruptions(venueId = this.defaultVenueId) {
+    const venue = this.getVenue(venueId);
+    const { situations, available } = await this.getDisruptions();
+    return {
+      disruptions: this.disruptionService ? this.disruptionService.forVenue(situations, venue) : [],
+      available
+    };
+  }
+
+  // The least trustworthy of several stops' data qualities
+  overallDataQuality(qualities) {
+    if (qualities.includes('demo')) return 'demo';
+    return DATA_QUALITY_LEVELS.find(level => qualities.includes(level)) || 'unavailable';
+  }
+
+  async getBusTimesForStop(stopId) {
+    return (await this.getStopBoard(stopId)).departures;
+  }
+
+  // A stop's departures plus provenance for this request alone: whether its
+  // timetable came from the cache, how old that is and which sources
+  // contributed. Only the timetable is cached; real-time estimates are put
+  // onto it on every request, from the real-time cache, so an ETA is never
+  // older than the feed it came from. `filters` pick the departures returned.
+  async getStopBoard(stopId, filters = {}) {
+    const cacheKey = `stop_${stopId}`;
+    const stopConfig = this.stops[stopId];
+    if (!stopConfig) {
+      throw new Error(`Unknown stop ID: ${stopId}`);
+    }
+
+    try {
+      const result = await this.stopCache.fetch(cacheKey, () => this.loadStopTimetable(stopId, stopConfig));
+      if (result.status !== 'miss') {
+        logger.debug('Stop timetable from cache', { stopId, cache: result.status });
+      } else if (this.assessDataQuality(result.value.datasets, {}, []) === 'unavailable') {
+        // Retry soon rather than showing an empty board for the whole TTL
+        this.stopCache.set(cacheKey, result.value, { freshFor: UNAVAILABLE_FRESH_SECONDS, storedAt: result.storedAt });
+        result.freshFor = UNAVAILABLE_FRESH_SECONDS;
+      }
+
+      const board = await this.buildStopBoard(stopId, stopConfig, result.value);
+      const { departures, serviceTimes = [] } = board;
+      const shown = filterDepartures(departures, filters);
+      const provenance = this.describeProvenance({ ...board, departures: shown }, result);
+      if (board.dataQuality === 'live') {
+        // The estimates are only as fresh as the real-time data
+        provenance.freshForSeconds = Math.min(provenance.freshForSeconds, this.realtimeCache.freshFor);
+      }
+      return {
+        departures: shown,
+        provenance,
+        serviceStatus: serviceTimes.map(times => this.describeServiceStatus(times, departures))
+      };
+      
+    } catch (error) {
+      logger.error('Error fetching BODS data for stop', { stopId, error: error.message });
+      
+      // Say so rather than guess
+      const board = this.getUnavailableBoard(stopId);
+      const shown = filterDepartures(board.departures, filters);
+      return {
+        departures: shown,
+        provenance: this.describeProvenance({ ...board, departures: shown }, { status: 'miss', freshFor: UNAVAILABLE_FRESH_SECONDS }),
+        serviceStatus: []
+      };
+    }
+  }
+
+  getUnavailableBoard(stopId) {
+    if (!this.demo) return { departures: [], dataQuality: 'unavailable' };
+    const departures = this.generateDemoDataForStop(stopId);
+    this.countDepartures(departures);
+    return { departures, dataQuality: 'demo' };
+  }
+
+  countDepartures(departures) {
+    for (const departure of departures) departuresBySource.inc({ source: departure.source });
+  }
+
+  describeProvenance({ departures, dataQuality }, { status, storedAt = Date.now(), freshFor = 0 }) {
+    const sources = {};
+    for (const departure of departures) {
+      sources[departure.source] = (sources[departure.source] || 0) + 1;
+    }
+
+    const ageSeconds = Math.max(0, Math.round((Date.now() - storedAt) / 1000));
+    return {
+      dataQuality,
+      cache: status,
+      cached: status === 'hit' || status === 'stale',
+      fetchedAt: new Date(storedAt),
+      ageSeconds,
+      freshForSeconds: Math.max(0, freshFor - ageSeconds),
+      sources
+    };
+  }
+
+  // The timetable of a stop's datasets, and whether each is current
+  async loadStopTimetable(stopId, stopConfig) {
+    logger.debug('Fetching fresh timetable for stop', { stopId, stop: stopConfig.name });
+    return this.fetchTimetableData(stopConfig.datasets);
+  }
+
+  // A stop's departures from its timetable and the latest real-time data
+  async buildStopBoard(stopId, stopConfig, { timetable, datasets }) {
+    // Get real-time data from every feed configured for the stop's venue
+    const realtime = await this.getRealtimeData(stopConfig.venueId);
+    const { situations } = await this.getDisruptions();
+    
+    // Process and combine data
+    const busServices = this.processBusServices(stopId, stopConfig, timetable, realtime, situations);
+    const dataQuality = this.assessDataQuality(datasets, realtime, busServices);
+    const serviceTimes = this.routeServiceTimes(stopId, stopConfig, timetable, busServices);
+    
+    this.countDepartures(busServices);
+    logger.debug('Built stop board', { stopId, stop: stopConfig.name, departures: busServices.length, dataQuality });
+    return { departures: busServices, dataQuality, serviceTimes };
+  }
+
+  // Resolves to the merged timetable and, per dataset, whether it is current
+  // ('live'), the last known copy while refreshes fail ('snapshot') or missing.
+  // Datasets are fetched side by side, so one slow operator doesn't hold up the rest.
+  async fetchTimetableData(datasetIds) {
+    const results = await Promise.all(datasetIds.map(async datasetId => {
+      try {
+        const { value, failedAt } = await this.getDatasetTimetable(datasetId);
+        return { value, status: failedAt || this.unconfirmedSnapshots.has(datasetId) ? 'snapshot' : 'live' };
+      } catch (error) {
+        logger.warn('Failed to fetch dataset', { datasetId, error: error.message });
+        return { value: null, status: 'unavailable' };
+      }
+    }));
+
+    const timetable = new TimetableIndex();
+    const datasets = {};
+    datasetIds.forEach((datasetId, index) => {
+      const { value, status } = results[index];
+      if (value) timetable.merge(value);
+      datasets[datasetId] = status;
+    });
+
+    return { timetable, datasets };
+  }
+
+  assessDataQuality(datasets, realtime, departures) {
+    if (departures.some(departure => departure.source === 'demo')) return 'demo';
+
+    const statuses = Object.values(datasets);
+    if (!statuses.some(status => status !== 'unavailable')) return 'unavailable';
+    if (statuses.includes('snapshot')) return 'snapshot';
+
+    const feeds = Object.values(realtime);
+    return feeds.some(feed => feed.available) ? 'live' : 'scheduled';
+  }
+
+  async getDatasetTimetable(datasetId) {
+    const cacheKey = `timetable_${datasetId}`;
+
+    // After a restart, serve the snapshot on disk (refreshing it if it's old)
+    // rather than making the first request wait for a full download
+    if (this.timetableStore && !this.cache.has(cacheKey)) {
+      const snapshot = await this.timetableStore.load(datasetId);
+      if (this.snapshotCoversStops(snapshot, this.getDatasetStopRefs(datasetId)) && !this.cache.has(cacheKey)) {
+        logger.info('Loaded timetable snapshot', { datasetId });
+        this.timetableCache.set(cacheKey, snapshot.index, { storedAt: snapshot.savedAt });
+        this.unconfirmedSnapshots.add(datasetId);
+      }
+    }
+
+    return this.timetableCache.fetch(cacheKey, () => this.downloadDatasetTimetable(datasetId));
+  }
+
+  async downloadDatasetTimetable(datasetId) {
+    logger.info('Fetching timetables from dataset', { datasetId });
+    
+    // Get dataset metadata
+    const metadataUrl = `${this.baseUrl}/dataset/${datasetId}/?api_key=${this.apiKey}`;
+    const metadata = await this.upstream.request('timetables', metadataUrl, {
+      dataset: datasetId,
+      read: response => response.json()
+    });
+
+    // Skip the download entirely if the dataset hasn't changed since the
+    // snapshot, and the snapshot was filtered for the stops we use it for
+    const stopRefs = this.getDatasetStopRefs(datasetId);
+    const snapshot = this.timetableStore && await this.timetableStore.load(datasetId);
+    if (this.snapshotCoversStops(snapshot, stopRefs) && metadata.modified && snapshot.modified === metadata.modified) {
+      logger.info('Dataset unchanged since snapshot', { datasetId, modified: metadata.modified });
+      await this.timetableStore.touch(datasetId);
+      this.unconfirmedSnapshots.delete(datasetId);
+      return snapshot.index;
+    }
+    
+    // Download the actual TransXChange data
+    if (!metadata.url) {
+      throw new Error(`Dataset ${datasetId} has no download URL`);
+    }
+
+    // Operators publish zips of many large TransXChange files: spool the
+    // download to disk and stream-parse it, keeping only journeys that call
+    // at our stops
+    const downloadPath = path.join(os.tmpdir(), `bods-dataset-${datasetId}-${process.pid}-${Date.now()}`);
+    let index;
+    try {
+      await this.upstream.request('timetables', `${metadata.url}?api_key=${this.apiKey}`, {
+        dataset: datasetId,
+        timeoutMs: this.downloadTimeoutMs,
+        read: response => pipeline(Readable.fromWeb(response.body), fs.createWriteStream(downloadPath))
+      });
+      index = await readTimetableDataset(downloadPath, { stopRefs });
+    } finally {
+      await fs.promises.rm(downloadPath, { force: true });
+    }
+
+    if (this.timetableStore) {
+      await this.timetableStore.save(datasetId, { modified: metadata.modified, stopRefs, index })
+        .catch(error => logger.warn('Failed to save timetable snapshot', { datasetId, error: error.message }));
+    }
+
+    this.unconfirmedSnapshots.delete(datasetId);
+    return index;
+  }
+
+  // Per configured dataset: whether its timetable is loaded, whether that is
+  // a saved copy BODS hasn't confirmed, and since when refreshing has failed
+  timetableStatus() {
+    const datasetIds = [...new Set(Object.values(this.stops).flatMap(stop => stop.datasets))];
+    const status = {};
+    for (const datasetId of datasetIds) {
+      const cacheKey = `timetable_${datasetId}`;
+      const failedAt = this.timetableCache.failedAt(cacheKey);
+      status[datasetId] = {
+        loaded: this.cache.has(cacheKey),
+        snapshot: this.unconfirmedSnapshots.has(datasetId),
+        refreshFailingSince: failedAt ? new Date(failedAt) : null
+      };
+    }
+    return status;
+  }
+
+  // When each configured real-time feed last answered, across venues
+  realtimeStatus() {
+    const status = {};
+    for (const providers of Object.values(this.realtimeProviders)) {
+      for (const { name } of providers) {
+        const fetchedAt = this.realtimeFetchedAt.get(name);
+        status[name] = { lastSuccessAt: fetchedAt ? new Date(fetchedAt) : null };
+      }
+    }
+    return status;
+  }
+
+  // Configured stops (across every venue) whose timetables come from a dataset
+  getDatasetStopRefs(datasetId) {
+    return Object.keys(this.stops)
+      .filter(stopId => this.stops[stopId].datasets.includes(datasetId))
+      .sort();
+  }
+
+  snapshotCoversStops(snapshot, stopRefs) {
+    return Boolean(snapshot && snapshot.stopRefs &&
+      stopRefs.every(stopRef => snapshot.stopRefs.includes(stopRef)));
+  }
+
+  estimateFrequency(lineName, venueId = this.defaultVenueId) {
+    const route = (this.getVenue(venueId).routes || {})[lineName];
+    return (route && route.frequency) || 30;
+  }
+
+  async getRealtimeData(venueId = this.defaultVenueId) {
+    const providers = this.realtimeProviders[venueId] || [];
+    const results = await Promise.all(
+      providers.map(provider => this.fetchRealtimeProvider(provider, venueId))
+    );
+
+    const realtime = {};
+    providers.forEach((provider, index) => {
+      realtime[provider.name] = results[index];
+    });
+    return realtime;
+  }
+
+  async fetchRealtimeProvider(provider, venueId) {
+    const cacheKey = `realtime_${venueId}_${provider.name}`;
+
+    try {
+      const { value, status } = await this.realtimeCache.fetch(cacheKey, async () => {
+        logger.debug('Fetching real-time data', { feed: provider.name });
+
+        // Throws on a response it can't parse, so readiness only counts a
+        // feed as answering once its data could be read
+        const data = await provider.fetch();
+        
+        this.vehicleTracker.record(data.vehicles);
+        this.realtimeFetchedAt.set(provider.name, Date.now());
+        vehiclesSeen.set({ feed: provider.name }, data.vehicles.length);
+        logger.info('Fetched real-time data', {
+          feed: provider.name,
+          vehicles: data.vehicles.length,
+          stopVisits: data.stopVisits.length
+        });
+        return { ...data, available: true };
+      });
+
+      if (status !== 'miss') {
+        logger.debug('Real-time data from cache', { feed: provider.name, cache: status });
+      }
+      return value;
+      
+    } catch (error) {
+      logger.warn('Failed to fetch real-time data', { feed: provider.name, error: error.message });
+      return { vehicles: [], stopVisits: [], available: false };
+    }
+  }
+
+  // A report that can go on a map: a real position, recent enough to be current
+  isCurrentPosition(vehicle, now = Date.now()) {
+    const age = now - new Date(vehicle.timestamp).getTime();
+    return isValidPoint(vehicle) && age <= MAX_POSITION_AGE_MS && age >= -MAX_POSITION_AHEAD_MS;
+  }
+
+  async getVehiclePositions(venueId = this.defaultVenueId, now = Date.now()) {
+    this.getVenue(venueId);
+    const realtime = await this.getRealtimeData(venueId);
+
+    // The same bus may be reported by several feeds: keep its latest report.
+    // Reports without a usable position or too old to be current are dropped.
+    const latest = new Map();
+    const unidentified = [];
+    for (const { vehicles } of Object.values(realtime)) {
+      for (const vehicle of vehicles) {
+        if (!this.isCurrentPosition(vehicle, now)) continue;
+        if (vehicle.vehicleRef === 'unknown') {
+          unidentified.push(vehicle);
+          continue;
+        }
+        const existing = latest.get(vehicle.vehicleRef);
+        if (!existing || vehicle.timestamp > existing.timestamp) latest.set(vehicle.vehicleRef, vehicle);
+      }
+    }
+    return [...latest.values(), ...unidentified];
+  }
+
+  // Current vehicles for a live map, optionally only some routes (line name
+  // or LineRef) and operators (NOC), each with its heading and speed - as
+  // reported, or else observed from recent positions - and the trail of
+  // where it has been in the last `trailMinutes`
+  async getVehicles(venueId = this.defaultVenueId, { routes, operators, trailMinutes = 0, now = Date.now() } = {}) {
+    const wanted = values => values && values.length > 0 ? new Set(values.map(value => value.toLowerCase())) : null;
+    const routeFilter = wanted(routes);
+    const operatorFilter = wanted(operators);
+    const lower = value => String(value || '').toLowerCase();
+
+    const vehicles = (await this.getVehiclePositions(venueId, now)).filter(vehicle =>
+      (!routeFilter || routeFilter.has(lower(vehicle.routeNumber)) || routeFilter.has(lower(vehicle.lineRef))) &&
+      (!operatorFilter || operatorFilter.has(lower(vehicle.operatorRef)))
+    );
+
+    return vehicles.map(vehicle => {
+      const tracked = vehicle.vehicleRef !== 'unknown';
+      const observedSpeed = tracked ? this.vehicleTracker.getObservedSpeed(vehicle.vehicleRef) : null;
+      return {
+        ...vehicle,
+        bearing: vehicle.bearing ?? (tracked ? this.vehicleTracker.getObservedBearing(vehicle.vehicleRef) : null),
+        speedKmh: vehicle.speedKmh ?? (observedSpeed === null ? null : Math.round(observedSpeed)),
+        occupancy: vehicle.occupancy || null,
+        trail: tracked && trailMinutes > 0
+          ? this.vehicleTracker.getTrail(vehicle.vehicleRef, now - trailMinutes * 60000)
+          : []
+      };
+    });
+  }
+
+  async parseSIRIVM(xmlData) {
+    return parseSiriVm(xmlData);
+  }
+
+  // A late bus stays on the board while a live estimate says it is still
+  // coming: departures are looked up from MAX_LATENESS_MS ago, and only those
+  // whose estimated time, or scheduled time if there is none, has passed are
+  // dropped
+  processBusServices(stopId, stopConfig, timetable, realtime, situations = [], now = new Date()) {
+    const services = [];
+    const journeys = new Map();
+    const departures = timetable.getDepartures(stopId, {
+      from: new Date(now.getTime() - MAX_LATENESS_MS),
+      until: new Date(now.getTime() + BOARD_AHEAD_MS),
+      routes: stopConfig.routes
+    });
+    
+    // Process each route for this stop
+    for (const routeNumber of stopConfig.routes) {
+      if (timetable.hasRoute(routeNumber)) {
+        // Use real timetable data
+        for (const departure of departures.filter(d => d.journey.lineName === routeNumber)) {
+          const service = {
+            routeNumber,
+            destination: departure.journey.destination || this.getDestinationForRoute(routeNumber, stopConfig.venueId),
+            operator: departure.journey.operatorName || stopConfig.operators[0],
+            operatorCode: departure.journey.operatorCode,
+            scheduledTime: departure.scheduledTime,
+            estimatedTime: null,
+            status: 'scheduled',
+            source: 'timetable',
+            journeyRef: departure.journey.journeyCode,
+            direction: departure.journey.direction,
+            originDepartureTime: departure.originDepartureTime,
+            operatingDay: departure.operatingDay
+          };
+          journeys.set(service, departure.journey);
+          services.push(service);
+        }
+      } else if (this.demo) {
+        services.push(...this.generateDemoForRoute(routeNumber, stopConfig.operators[0], stopConfig.venueId));
+      }
+    }
+
+    // Enhance with real-time data, then known disruptions
+    this.applyRealtimeData(services, realtime, stopId, timetable, journeys);
+    this.applyDisruptions(services, stopId, situations);
+    const lastDepartures = this.lastDepartures(stopId, stopConfig, timetable, services);
+    for (const service of services) {
+      service.scheduledOnly = !service.estimatedTime && service.status !== 'cancelled';
+
+      const last = lastDepartures.get(`${service.routeNumber}|${serviceDayOf(service.scheduledTime)}`);
+      const cancelled = service.status === 'cancelled';
+      service.lastOfDay = !cancelled && last !== undefined && service.scheduledTime.getTime() === last;
+      service.lastHalfHour = !cancelled && last !== undefined && service.scheduledTime.getTime() >= last - LAST_HALF_HOUR_MS;
+    }
+
+    // Sort by estimated/scheduled time and keep enough for any request
+    return services
+      .filter(service => (service.estimatedTime || service.scheduledTime) >= now)
+      .sort((a, b) => (a.estimatedTime || a.scheduledTime) - (b.estimatedTime || b.scheduledTime))
+      .slice(0, MAX_DEPARTURES);
+  }
+
+  // Timetabled departures of a stop's routes from a day ago to `days` ahead,
+  // without any the board knows are cancelled
+  runningDepartures(stopId, stopConfig, timetable, services, days, now = new Date()) {
+    const cancelled = new Set(services
+      .filter(service => service.status === 'cancelled')
+      .map(service => `${service.routeNumber}|${new Date(service.scheduledTime).getTime()}`));
+
+    return timetable.getDepartures(stopId, {
+      from: new Date(now.getTime() - 86400000),
+      until: new Date(now.getTime() + days * 86400000),
+      routes: stopConfig.routes
+    }).filter(departure => !cancelled.has(`${departure.journey.lineName}|${departure.scheduledTime.getTime()}`));
+  }
+
+  // The last departure time of each route per service day, keyed "route|YYYY-MM-DD"
+  lastDepartures(stopId, stopConfig, timetable, services) {
+    const last = new Map();
+    for (const departure of this.runningDepartures(stopId, stopConfig, timetable, services, 2)) {
+      const key = `${departure.journey.lineName}|${serviceDayOf(departure.scheduledTime)}`;
+      last.set(key, Math.max(last.get(key) || 0, departure.scheduledTime.getTime()));
+    }
+    return last;
+  }
+
+  // Each of a stop's routes' last departure tonight and the first one after
+  // it. Kept with the cached board; describeServiceStatus() says what that
+  // means at the time of a request.
+  routeServiceTimes(stopId, stopConfig, timetable, services, now = new Date()) {
+    const departures = this.runningDepartures(stopId, stopConfig, timetable, services, NEXT_SERVICE_SEARCH_DAYS, now);
+    const today = serviceDayOf(now);
+
+    return stopConfig.routes.map(routeNumber => {
+      const destination = this.getDestinationForRoute(routeNumber, stopConfig.venueId);
+      if (!timetable.hasRoute(routeNumber)) {
+        return { routeNumber, destination, timetabled: false, lastDeparture: null, resumesAt: null };
+      }
+
+      const route = departures.filter(departure => departure.journey.lineName === routeNumber);
+      const last = route.filter(departure => serviceDayOf(departure.scheduledTime) === today).pop();
+      const after = last ? last.scheduledTime : now;
+      const next = route.find(departure => departure.scheduledTime > after);
+
+      return {
+        routeNumber,
+        destination,
+        timetabled: true,
+        lastDeparture: last ? {
+          scheduledTime: last.scheduledTime,
+          destination: last.journey.destination || destination,
+          journeyRef: last.journey.journeyCode
+        } : null,
+        resumesAt: next ? next.scheduledTime : null
+      };
+    });
+  }
+
+  // Whether a route is still running tonight, using the board's live
+  // estimate for its last bus:
+  //   running   - the last bus hasn't gone yet
+  //   finished  - no more buses until resumesAt
+  //   noService - nothing in the coming week
+  //   unknown   - no timetable for the route
+  describeServiceStatus(times, departures, now = new Date()) {
+    const { timetabled, lastDeparture, resumesAt, ...route } = times;
+    if (!timetabled) {
+      return { ...route, state: 'unknown', lastDeparture: null, resumesAt: null, message: 'No timetable available' };
+    }
+
+    let last = null;
+    if (lastDeparture) {
+      const scheduled = new Date(lastDeparture.scheduledTime);
+      const live = departures.find(departure =>
+        departure.routeNumber === route.routeNumber && new Date(departure.scheduledTime).getTime() === scheduled.getTime()
+      );
+      const estimatedTime = live && live.estimatedTime ? new Date(live.estimatedTime) : null;
+      const leaves = estimatedTime || scheduled;
+      last = {
+        ...lastDeparture,
+        estimatedTime,
+        minutesUntil: leaves >= now ? Math.round((leaves - now) / 60000) : null
+      };
+    }
+
+    if (last && last.minutesUntil !== null) {
+      const time = formatClock(last.estimatedTime || last.scheduledTime);
+      return { ...route, state: 'running', lastDeparture: last, resumesAt, message: `Last ${route.routeNumber} at ${time}` };
+    }
+    if (!resumesAt || new Date(resumesAt) < now) {
+      return { ...route, state: 'noService', lastDeparture: last, resumesAt: null, message: 'No services scheduled this week' };
+    }
+    return {
+      ...route,
+      state: 'finished',
+      lastDeparture: last,
+      resumesAt,
+      message: `No more services until ${formatUpcoming(resumesAt, now)}`
+    };
+  }
+
+  // Feed coverage differs between operators, so for each operator use
+  // whichever provider can update the most of its departures
+  applyRealtimeData(services, realtime, stopId, timetable, journeys) {
+    const scheduled = services.filter(service => journeys.has(service));
+    const operators = new Set(scheduled.map(service => service.operator));
+
+    for (const operator of operators) {
+      const operatorServices = scheduled.filter(service => service.operator === operator);
+      let best = null;
+
+      for (const provider of this.realtimeProviders[this.stops[stopId]?.venueId] || []) {
+        const data = realtime[provider.name];
+        if (!data || !provider.coversOperator(operator)) continue;
+
+        const updates = this.matchRealtimeToJourneys(operatorServices, data, stopId, timetable, journeys);
+        if (!best || updates.size > best.updates.size) best = { provider, updates };
+      }
+
+      if (!best) continue;
+
+      for (const [service, update] of best.updates) {
+        service.estimatedTime = update.estimatedTime;
+        service.status = update.cancelled ? 'cancelled' : 'live';
+        service.source = update.source;
+        service.vehicleRef = update.vehicleRef;
+        service.realtimeProvider = best.provider.name;
+      }
+    }
+  }
+
+  // Attach active situations to each departure; those that stop the bus
+  // calling (cancellations, stop closures) mark it cancelled but keep it on
+  // the board so nobody waits for it
+  applyDisruptions(services, stopId, situations) {
+    for (const service of services) {
+      const matches = this.disruptionService ? this.disruptionService.affecting(situations, stopId, service) : [];
+      service.disruptions = matches.map(({ cancels, ...disruption }) => disruption);
+
+      if (matches.some(match => match.cancels)) {
+        service.status = 'cancelled';
+        service.estimatedTime = null;
+      }
+    }
+  }
+
+  matchRealtimeToJourneys(services, data, stopId, timetable, journeys) {
+    const updates = new Map();
+
+    // Stop monitoring and trip update predictions are used as-is
+    for (const visit of data.stopVisits.filter(v => v.stopRef === stopId)) {
+      const service = services.find(s =>
+        !updates.has(s) &&
+        (visit.routeNumber === s.routeNumber || visit.lineRef === s.routeNumber) &&
+        this.visitMatchesJourney(visit, s)
+      );
+      if (!service) continue;
+
+      if (String(visit.departureStatus).toLowerCase() === 'cancelled') {
+        updates.set(service, { estimatedTime: null, cancelled: true, source: 'realtime_prediction', vehicleRef: visit.vehicleRef });
+        continue;
+      }
+
+      const estimatedTime = visit.expectedDepartureTime ||
+        (visit.delaySeconds !== null && visit.delaySeconds !== undefined
+          ? new Date(service.scheduledTime.getTime() + visit.delaySeconds * 1000)
+          : null);
+      if (estimatedTime) {
+        updates.set(service, { estimatedTime, source: 'realtime_prediction', vehicleRef: visit.vehicleRef });
+      }
+    }
+
+    // Anything left can still be estimated from vehicle positions
+    const remaining = services.filter(service => !updates.has(service));
+    const vehicleMatches = this.matchVehiclesToJourneys(remaining, data.vehicles, stopId, timetable, journeys);
+    // ETAs are whole minutes, so the time is given to the next clock minute:
+    // the same estimate on the next request is then the same time
+    for (const [service, { vehicle, minutes }] of vehicleMatches) {
+      updates.set(service, {
+        estimatedTime: new Date(Math.ceil(Date.now() / 60000 + minutes) * 60000),
+        source: 'vehicle_tracking',
+        vehicleRef: vehicle.vehicleRef
+      });
+    }
+
+    return updates;
+  }
+
+  visitMatchesJourney(visit, service) {
+    if (visit.datedVehicleJourneyRef && service.journeyRef) {
+      return visit.datedVehicleJourneyRef === service.journeyRef &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(visit.dataFrameRef) || visit.dataFrameRef === service.operatingDay);
+    }
+    if (visit.originAimedDepartureTime) {
+      return Math.abs(visit.originAimedDepartureTime - service.originDepartureTime) <= ORIGIN_TIME_TOLERANCE_MS;
+    }
+    return Boolean(visit.aimedDepartureTime) &&
+      Math.abs(visit.aimedDepartureTime - service.scheduledTime) <= AIMED_TIME_TOLERANCE_MS;
+  }
+
+  // Link each approaching vehicle to exactly one scheduled journey: first by
+  // the journey reference SIRI-VM reports, then by origin departure time, and
+  // finally (for vehicles that report neither) to the unclaimed departure
+  // whose scheduled time is closest to the vehicle's ETA
+  matchVehiclesToJourneys(services, vehicles, stopId, timetable, journeys) {
+    const matches = new Map();
+    const claimed = new Set();
+
+    const candidates = vehicles
+      .map(vehicle => {
+        const sameRoute = services.filter(service =>
+          (vehicle.routeNumber === service.routeNumber || vehicle.lineRef === service.routeNumber) &&
+          this.directionsAgree(vehicle.directionRef, service.direction)
+        );
+        return { vehicle, services: sameRoute };
+      })
+      .filter(candidate => candidate.services.length > 0);
+
+    const claim = (vehicle, service) => {
+      claimed.add(vehicle);
+      const minutes = this.calculateETA(vehicle, stopId, timetable, journeys.get(service));
+      // Vehicles that have already passed the stop have no ETA and are dropped
+      if (minutes !== null) matches.set(service, { vehicle, minutes });
+    };
+
+    const passes = [
+      (vehicle, service) => service.journeyRef &&
+        [vehicle.datedVehicleJourneyRef, vehicle.journeyCode].includes(service.journeyRef) &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(vehicle.dataFrameRef) || vehicle.dataFrameRef === service.operatingDay),
+      (vehicle, service) => vehicle.originAimedDepartureTime && service.originDepartureTime &&
+        Math.abs(vehicle.originAimedDepartureTime - service.originDepartureTime) <= ORIGIN_TIME_TOLERANCE_MS
+    ];
+
+    for (const matchesJourney of passes) {
+      for (const candidate of candidates) {
+        if (claimed.has(candidate.vehicle)) continue;
+        const service = candidate.services.find(s => !matches.has(s) && matchesJourney(candidate.vehicle, s));
+        if (service) claim(candidate.vehicle, service);
+      }
+    }
+
+    for (const candidate of candidates) {
+      const { vehicle } = candidate;
+      const identified = vehicle.datedVehicleJourneyRef || vehicle.journeyCode || vehicle.originAimedDepartureTime;
+      if (claimed.has(vehicle) || identified) continue;
+
+      const minutes = this.calculateETA(vehicle, stopId, timetable);
+      if (minutes === null) continue;
+
+      const arrival = Date.now() + minutes * 60000;
+      const closest = candidate.services
+        .filter(service => !matches.has(service))
+        .map(service => ({ service, gap: Math.abs(service.scheduledTime - arrival) }))
+        .filter(option => option.gap <= MAX_UNIDENTIFIED_MATCH_MS)
+        .sort((a, b) => a.gap - b.gap)[0];
+
+      if (closest) claim(vehicle, closest.service);
+    }
+
+    return matches;
+  }
+
+  // Buses heading the other way (away from the stop's direction of travel) are ignored
+  directionsAgree(directionRef, direction) {
+    const normalize = value => String(value || '').toLowerCase();
+    const known = ['inbound', 'outbound'];
+    if (!known.includes(normalize(directionRef)) || !known.includes(normalize(direction))) return true;
+    return normalize(directionRef) === normalize(direction);
+  }
+
+  // Minutes until the vehicle reaches the stop, or null if it can't be
+  // estimated or the vehicle has already gone past
+  calculateETA(vehicle, stopId, timetable, journey = null) {
+    // Prefer the dataset's stop location, falling back to NaPTAN's
+    const configured = this.stops[stopId];
+    const stop = timetable.getStopLocation(stopId) || (isValidPoint(configured) ? configured : null);
+    if (!stop || !isValidPoint(vehicle)) return null;
+
+    const remainingMetres = this.distanceToStop(vehicle, stopId, stop, timetable, journey);
+    if (remainingMetres === null) return null;
+
+    const observedSpeed = this.vehicleTracker.getObservedSpeed(vehicle.vehicleRef);
+    const speed = observedSpeed === null
+      ? DEFAULT_BUS_SPEED_KMH
+      : Math.min(MAX_BUS_SPEED_KMH, Math.max(MIN_BUS_SPEED_KMH, observedSpeed));
+
+    return Math.round((remainingMetres / 1000 / speed) * 60);
+  }
+
+  distanceToStop(vehicle, stopId, stop, timetable, journey) {
+    const journeys = journey
+      ? [journey]
+      : timetable.getJourneysServing(stopId, vehicle.routeNumber)
+        .concat(timetable.getJourneysServing(stopId, vehicle.lineRef));
+    const shapes = new Set(journeys.map(journey => timetable.getJourneyShape(journey)).filter(Boolean));
+
+    // Measure along whichever stopping pattern the vehicle is actually on
+    let best = null;
+    for (const shape of shapes) {
+      if (shape.stopDistances[stopId] === undefined) continue;
+      const projection = projectOntoPolyline(vehicle, shape.points);
+      if (projection.offset <= MAX_ROUTE_OFFSET_METRES && (!best || projection.offset < best.projection.offset)) {
+        best = { shape, projection };
+      }
+    }
+
+    if (best) {
+      const remaining = best.shape.stopDistances[stopId] - best.projection.distanceAlong;
+      if (remaining < -PASSED_STOP_TOLERANCE_METRES) return null;
+      return Math.max(0, remaining);
+    }
+
+    // No usable geometry: fall back to straight-line distance, treating a
+    // vehicle that is getting further from the stop as having passed it
+    const distance = haversineDistance(vehicle, stop);
+    const samples = this.vehicleTracker.getSamples(vehicle.vehicleRef);
+    const previous = samples[samples.length - 2];
+    if (previous && haversineDistance(previous, stop) < distance - PASSED_STOP_TOLERANCE_METRES) {
+      return null;
+    }
+    return distance * STRAIGHT_LINE_DETOUR_FACTOR;
+  }
+
+  async getNextBusGlobally(venueId = this.defaultVenueId) {
+    const allData = await this.getVenueData(venueId);
+    
+    let nextBus = null;
+    let earliestTime = null;
+
+    Object.entries(allData).forEach(([stopId, stopServices]) => {
+      stopServices.forEach(service => {
+        if (service.status === 'cancelled') return;
+        const serviceTime = service.estimatedTime || service.scheduledTime;
+        
+        if (!earliestTime || serviceTime < earliestTime) {
+          earliestTime = serviceTime;
+          nextBus = { ...service, stopId };
+        }
+      });
+    });
+
+    return nextBus;
+  }
+
+  // Ways to get from any of a venue's stops to a stop or place, direct or
+  // with one change. First legs on the board pick up its live estimate, and
+  // cancelled ones are left out.
+  async planJourney(venueId, query, { from = new Date(), limit } = {}) {
+    const venue = this.getVenue(venueId);
+    const originRefs = Object.keys(venue.stops);
+    const datasetIds = Array.from(new Set(originRefs.flatMap(stopId => venue.stops[stopId].datasets)));
+    const { timetable, datasets } = await this.fetchTimetableData(datasetIds);
+    const dataQuality = this.assessDataQuality(datasets, {}, []);
+
+    const destination = resolveDestination(timetable, {
+      query,
+      places: venue.places,
+      routes: venue.routes,
+      originRefs
+    });
+    if (!destination) return { destination: null, options: [], dataQuality };
+
+    const stopName = stopRef => (venue.stops[stopRef] && venue.stops[stopRef].name) ||
+      (timetable.stopPoints[stopRef] && timetable.stopPoints[stopRef].name) || stopRef;
+    const planned = planJourneys(timetable, {
+      origins: originRefs,
+      destinations: destination.stopRefs,
+      from,
+      stopName,
+      limit: limit ? limit * 2 : undefined // room for cancelled options
+    });
+
+    const board = await this.getVenueData(venueId);
+    const options = planned
+      .filter(option => this.applyLiveDeparture(option, board[option.legs[0].from.stopId] || []))
+      .slice(0, limit);
+
+    return {
+      destination: {
+        query,
+        name: destination.name,
+        matchedBy: destination.matchedBy,
+        stops: destination.stopRefs.map(stopRef => ({ stopId: stopRef, name: stopName(stopRef) }))
+      },
+      options,
+      dataQuality
+    };
+  }
+
+  // Carry the board's estimate for the first bus through the plan. Returns
+  // false if that bus is cancelled.
+  applyLiveDeparture(option, departures) {
+    const [first, second] = option.legs;
+    const live = departures.find(departure =>
+      departure.routeNumber === first.routeNumber &&
+      new Date(departure.scheduledTime).getTime() === first.departureTime.getTime()
+    );
+    if (!live) return true;
+    if (live.status === 'cancelled') return false;
+    if (!live.estimatedTime) return true;
+
+    const delay = new Date(live.estimatedTime) - first.departureTime;
+    first.estimatedDepartureTime = new Date(live.estimatedTime);
+    first.estimatedArrivalTime = new Date(first.arrivalTime.getTime() + delay);
+    if (second) {
+      option.connectionAtRisk = first.estimatedArrivalTime.getTime() + MIN_CHANGE_SECONDS * 1000 > second.departureTime.getTime();
+    } else {
+      option.estimatedArrivalTime = first.estimatedArrivalTime;
+    }
+    return true;
+  }
+
+  getDestinationForRoute(routeNumber, venueId = this.defaultVenueId) {
+    const route = (this.getVenue(venueId).routes || {})[routeNumber];
+    return (route && route.destination) || 'City Centre';
+  }
+
+  // Demo mode only: invented departures at the route's usual frequency
+  generateDemoForRoute(routeNumber, operator, venueId = this.defaultVenueId) {
+    const now = new Date();
+    const frequency = this.estimateFrequency(routeNumber, venueId);
+    const destination = this.getDestinationForRoute(routeNumber, venueId);
+    const services = [];
+
+    for (let i = 0; i < 4; i++) {
+      const baseTime = now.getTime() + (frequency * i * 60000);
+      const variation = (Math.random() - 0.5) * 6 * 60000; // ±3 minutes
+      const scheduledTime = new Date(baseTime);
+      const estimatedTime = new Date(baseTime + variation);
+
+      services.push({
+        routeNumber,
+        destination,
+        operator,
+        scheduledTime,
+        estimatedTime,
+        status: this.determineStatus(scheduledTime, estimatedTime),
+        source: 'demo',
+        scheduledOnly: false
+      });
+    }
+
+    return services;
+  }
+
+  generateDemoDataForStop(stopId) {
+    const stopConfig = this.stops[stopId];
+    if (!stopConfig) return [];
+
+    const allServices = [];
+    
+    for (const routeNumber of stopConfig.routes) {
+      const routeServices = this.generateDemoForRoute(routeNumber, stopConfig.operators[0], stopConfig.venueId);
+      allServices.push(...routeServices);
+    }
+
+    return allServices
+      .sort((a, b) => (a.estimatedTime || a.scheduledTime) - (b.estimatedTime || b.scheduledTime))
+      .slice(0, MAX_DEPARTURES);
+  }
+
+  determineStatus(scheduled, estimated) {
+    const diff = (estimated - scheduled) / 60000; // minutes
+    
+    if (Math.abs(diff) < 2) return 'onTime';
+    if (diff > 5) return 'delayed';
+    if (diff < -3) return 'early';
+    return 'estimated';
+  }
+}
+
 module.exports = BODSService;
\ No newline at end of file
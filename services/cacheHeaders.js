@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// What describes this response rather than the board: when it was generated,
+// and how the cache answered it and how old that was. They change on every
+// request, so they are left out of the ETag.
+const PER_REQUEST_FIELDS = new Set(['cache', 'cached', 'ageSeconds', 'freshForSeconds', 'dataAgeSeconds']);
+
+// Validators for a departures response so displays can poll with
+// If-None-Match / If-Modified-Since. The ETag covers the whole body - the
+// departures and everything sent with them, such as service status and
+// disruptions - except the fields above and the response timestamp, so an
+// unchanged board gets a 304.
+function setCacheHeaders(res, body, provenances) {
+  const content = JSON.stringify(body, function (key, value) {
+    if (this === body && key === 'timestamp') return undefined;
+    return PER_REQUEST_FIELDS.has(key) ? undefined : value;
+  });
+  const etag = crypto.createHash('sha1').update(content).digest('base64url');
+  const lastModified = Math.max(...provenances.map(provenance => provenance.fetchedAt.getTime()));
+  const maxAge = Math.min(...provenances.map(provenance => provenance.freshForSeconds));
+
+  res.set({
+    ETag: `W/"${etag}"`,
+    'Last-Modified': new Date(lastModified).toUTCString(),
+    'Cache-Control': `public, max-age=${maxAge}`
+  });
+}
+
+module.exports = {
+  setCacheHeaders
+};
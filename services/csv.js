@@ -0,0 +1,76 @@
+// CSV records (RFC 4180), from a stream of text chunks. Quote state carries
+// across chunks and lines, so a quoted field may hold commas, doubled quotes
+// and line breaks - NaPTAN's Notes and Landmark columns sometimes do - and a
+// record only ends at a line break outside quotes. Blank lines are skipped.
+async function* csvRecords(chunks) {
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let quoteSeen = false; // the last character in quotes was a quote: closing, or the first of a doubled one
+  let started = false; // the record has content, so a line break ends it
+
+  const endRecord = function* () {
+    fields.push(field);
+    if (started) yield fields;
+    fields = [];
+    field = '';
+    started = false;
+  };
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (quoteSeen) {
+        quoteSeen = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+
+      if (quoted) {
+        if (char === '"') quoteSeen = true;
+        else field += char;
+      } else if (char === '"') {
+        quoted = true;
+        started = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+        started = true;
+      } else if (char === '\n') {
+        yield* endRecord();
+      } else if (char !== '\r') {
+        field += char;
+        started = true;
+      }
+    }
+  }
+
+  yield* endRecord();
+}
+
+// Column names from a header row, without a byte order mark or spaces
+const headerNames = fields => fields.map(header => header.replace(/^\uFEFF/, '').trim());
+
+// Records as objects keyed by the header row. `onHeaders` sees the column
+// names before any record, and can throw to reject the file.
+async function* csvObjects(chunks, { onHeaders = null } = {}) {
+  let headers = null;
+  for await (const fields of csvRecords(chunks)) {
+    if (!headers) {
+      headers = headerNames(fields);
+      if (onHeaders) onHeaders(headers);
+      continue;
+    }
+    const record = {};
+    headers.forEach((header, index) => { record[header] = fields[index]; });
+    yield record;
+  }
+}
+
+module.exports = {
+  csvRecords,
+  csvObjects,
+  headerNames
+};
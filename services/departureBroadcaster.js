@@ -0,0 +1,240 @@
+// Pushes departure-board changes to connected displays over Server-Sent Events.
+// One shared poller serves every connected screen, so the number of upstream
+// BODS calls doesn't grow with the number of displays.
+
+const { londonTimesReplacer } = require('./serviceDay');
+const logger = require('./logger').child({ component: 'stream' });
+
+const DEFAULT_POLL_INTERVAL_MS = 30000;
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 15000;
+const DEFAULT_HISTORY_SIZE = 200;
+const REFRESH_DEBOUNCE_MS = 1000;
+const RECONNECT_DELAY_MS = 5000;
+
+function departureKey(stopId, departure) {
+  const time = departure.journeyRef || new Date(departure.scheduledTime).toISOString();
+  return `${stopId}:${departure.routeNumber}:${time}`;
+}
+
+function withKeys(board) {
+  const keyed = {};
+  for (const [stopId, departures] of Object.entries(board)) {
+    keyed[stopId] = departures.map(departure => ({ key: departureKey(stopId, departure), ...departure }));
+  }
+  return keyed;
+}
+
+function hasChanged(previous, current) {
+  const time = value => (value ? new Date(value).getTime() : null);
+  return previous.status !== current.status ||
+    time(previous.estimatedTime) !== time(current.estimatedTime) ||
+    time(previous.scheduledTime) !== time(current.scheduledTime);
+}
+
+// Per-stop added / updated / removed departures between two keyed boards
+function diffBoards(previous, current) {
+  const changes = {};
+
+  for (const stopId of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+    const before = new Map((previous[stopId] || []).map(departure => [departure.key, departure]));
+    const after = new Map((current[stopId] || []).map(departure => [departure.key, departure]));
+
+    const added = [...after.values()].filter(departure => !before.has(departure.key));
+    const updated = [...after.values()].filter(departure =>
+      before.has(departure.key) && hasChanged(before.get(departure.key), departure)
+    );
+    const removed = [...before.keys()].filter(key => !after.has(key));
+
+    if (added.length || updated.length || removed.length) {
+      changes[stopId] = { added, updated, removed };
+    }
+  }
+
+  return changes;
+}
+
+class DepartureBroadcaster {
+  constructor(bodsService, vehicleCache, options = {}) {
+    this.bodsService = bodsService;
+    this.vehicleCache = vehicleCache;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL_MS;
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+
+    this.clients = new Set();
+    this.boards = new Map(); // venueId -> last keyed board
+    this.history = [];       // recent events, for Last-Event-ID resume
+    this.lastEventId = 0;
+    this.polling = null;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.refreshTimer = null;
+    this.generation = 0;     // bumped by stop(), so a refresh still running then is discarded
+    this.pollingGeneration = 0;
+
+    // Fresh vehicle data may move ETAs: refresh without waiting for the next tick
+    this.onVehicleCacheSet = () => this.scheduleRefresh();
+    this.vehicleCache.on('set', this.onVehicleCacheSet);
+  }
+
+  addClient(req, res, venueId) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = { res, venueId };
+    this.clients.add(client);
+    logger.info('Display connected to stream', { venue: venueId, connected: this.clients.size });
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    if (!this.resume(client, lastEventId) && this.boards.has(venueId)) {
+      this.sendSnapshot(client);
+    }
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      logger.info('Display disconnected from stream', { venue: venueId, connected: this.clients.size });
+      if (this.clients.size === 0) this.stop();
+    });
+
+    this.start();
+    if (!this.boards.has(venueId)) this.refresh();
+  }
+
+  // Replay missed events if the history still reaches back far enough
+  resume(client, lastEventId) {
+    if (!Number.isFinite(lastEventId) || lastEventId > this.lastEventId) return false;
+
+    const oldest = this.history[0];
+    if (lastEventId < this.lastEventId && (!oldest || oldest.id > lastEventId + 1)) return false;
+
+    this.history
+      .filter(event => event.id > lastEventId && event.venueId === client.venueId)
+      .forEach(event => this.write(client, event));
+    return true;
+  }
+
+  sendSnapshot(client) {
+    this.write(client, {
+      id: this.lastEventId,
+      event: 'snapshot',
+      data: {
+        venue: client.venueId,
+        timestamp: new Date(),
+        data: this.boards.get(client.venueId)
+      }
+    });
+  }
+
+  start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.refresh(), this.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    this.pollTimer.unref();
+    this.heartbeatTimer.unref();
+  }
+
+  // With nobody watching the boards go stale, so the next display waits for
+  // a fresh one rather than being sent the last
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.refreshTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.refreshTimer = null;
+    this.boards.clear();
+    this.generation++;
+  }
+
+  close() {
+    this.stop();
+    this.vehicleCache.removeListener('set', this.onVehicleCacheSet);
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+  }
+
+  scheduleRefresh() {
+    // Sets made by our own refresh don't need another one
+    if (this.clients.size === 0 || this.refreshTimer || this.polling) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh();
+    }, REFRESH_DEBOUNCE_MS);
+    this.refreshTimer.unref();
+  }
+
+  // One refresh at a time, covering every venue that has a display watching.
+  // One started before stop() can't update the boards, so another follows it.
+  refresh() {
+    if (this.polling) {
+      return this.pollingGeneration === this.generation ? this.polling : this.polling.then(() => this.refresh());
+    }
+
+    const { generation } = this;
+    this.pollingGeneration = generation;
+    this.polling = (async () => {
+      const venueIds = new Set([...this.clients].map(client => client.venueId));
+      for (const venueId of venueIds) {
+        try {
+          const board = withKeys(await this.bodsService.getVenueData(venueId));
+          if (generation !== this.generation) return;
+          this.update(venueId, board);
+        } catch (error) {
+          logger.error('Stream refresh failed', { venue: venueId, error: error.message });
+        }
+      }
+    })().finally(() => {
+      this.polling = null;
+    });
+
+    return this.polling;
+  }
+
+  update(venueId, board) {
+    const previous = this.boards.get(venueId);
+    this.boards.set(venueId, board);
+
+    if (!previous) {
+      this.publish(venueId, 'snapshot', { venue: venueId, timestamp: new Date(), data: board });
+      return;
+    }
+
+    const changes = diffBoards(previous, board);
+    if (Object.keys(changes).length > 0) {
+      this.publish(venueId, 'departures', { venue: venueId, timestamp: new Date(), changes });
+    }
+  }
+
+  publish(venueId, event, data) {
+    const message = { id: ++this.lastEventId, venueId, event, data };
+    this.history.push(message);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    for (const client of this.clients) {
+      if (client.venueId === venueId) this.write(client, message);
+    }
+  }
+
+  heartbeat() {
+    for (const client of this.clients) {
+      client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+      if (client.res.flush) client.res.flush();
+    }
+  }
+
+  write(client, { id, event, data }) {
+    client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data, londonTimesReplacer)}\n\n`);
+    // compression() buffers responses unless told to flush
+    if (client.res.flush) client.res.flush();
+  }
+}
+
+module.exports = DepartureBroadcaster;
+module.exports.diffBoards = diffBoards;
+module.exports.departureKey = departureKey;
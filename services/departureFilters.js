@@ -0,0 +1,62 @@
+// The part of a board a client asked for: only some routes, operators,
+// destinations or statuses, only within a time window, and only as many as
+// it has room for. Every filter is optional; lists match any of their
+// values, ignoring case.
+
+const DEFAULT_DEPARTURES = 8; // what a board shows unless asked for more
+const MAX_DEPARTURES = 50; // what each stop's cached board keeps
+const MAX_WITHIN_MINUTES = 1440; // timetables are looked up a day ahead
+const DEPARTURE_STATUSES = ['scheduled', 'live', 'cancelled'];
+
+// What passengers can expect: cancelled, live when there is a prediction,
+// otherwise scheduled
+function departureStatus(departure) {
+  if (departure.status === 'cancelled') return 'cancelled';
+  return departure.estimatedTime ? 'live' : 'scheduled';
+}
+
+const departsAt = departure => new Date(departure.estimatedTime || departure.scheduledTime).getTime();
+
+// `after` leaves out departures at or before that time, so a client can page
+// on from the last one it has; `withinMinutes` counts from `now`
+function filterDepartures(departures, filters = {}, now = Date.now()) {
+  const { routes, operators, destination, statuses, withinMinutes, after, limit = DEFAULT_DEPARTURES } = filters;
+  const wanted = values => (values && values.length > 0 ? new Set(values.map(value => value.toLowerCase())) : null);
+  const lower = value => String(value || '').toLowerCase();
+  const routeFilter = wanted(routes);
+  const operatorFilter = wanted(operators);
+  const statusFilter = wanted(statuses);
+  const destinationFilter = destination ? destination.toLowerCase() : null;
+  const from = after === undefined ? -Infinity : new Date(after).getTime();
+  const until = withinMinutes === undefined ? Infinity : new Date(now).getTime() + withinMinutes * 60000;
+
+  return departures
+    .filter(departure =>
+      (!routeFilter || routeFilter.has(lower(departure.routeNumber))) &&
+      (!operatorFilter || operatorFilter.has(lower(departure.operatorCode)) || operatorFilter.has(lower(departure.operator))) &&
+      (!destinationFilter || lower(departure.destination).includes(destinationFilter)) &&
+      (!statusFilter || statusFilter.has(departureStatus(departure))) &&
+      departsAt(departure) > from &&
+      departsAt(departure) <= until
+    )
+    .slice(0, limit);
+}
+
+// Every stop's departures as one list in time order, each with its stop ID,
+// for a display showing all the stands together
+function mergeDepartures(data, limit = DEFAULT_DEPARTURES) {
+  return Object.entries(data)
+    .flatMap(([stopId, departures]) => departures.map(departure => ({ ...departure, stopId })))
+    .sort((a, b) => departsAt(a) - departsAt(b))
+    .slice(0, limit);
+}
+
+module.exports = {
+  filterDepartures,
+  mergeDepartures,
+  departureStatus,
+  DEFAULT_DEPARTURES,
+  MAX_DEPARTURES,
+  MAX_WITHIN_MINUTES,
+  DEPARTURE_STATUSES
+};
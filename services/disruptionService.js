@@ -0,0 +1,178 @@
+const StaleWhileRevalidate = require('./staleWhileRevalidate');
+const { parseSiriSx } = require('./siriSx');
+const logger = require('./logger').child({ component: 'disruptions' });
+
+const DISRUPTIONS_FRESH_SECONDS = 300;
+const DISRUPTIONS_STALE_SECONDS = 3600;
+const ORIGIN_TIME_TOLERANCE_MS = 60000;
+
+// Consequence conditions meaning the bus won't call
+const CANCELLING_CONDITIONS = ['cancelled', 'noService', 'stopCancelled'];
+
+const normalise = value => String(value || '').trim().toLowerCase();
+
+// Operator names vary ("Stagecoach" vs "Stagecoach North East"): match either way round
+function sameOperatorName(a, b) {
+  const first = normalise(a);
+  const second = normalise(b);
+  return Boolean(first && second && (first.includes(second) || second.includes(first)));
+}
+
+function isActiveAt(situation, time) {
+  if (situation.progress === 'closed') return false;
+  if (situation.validityPeriods.length === 0) return true;
+  return situation.validityPeriods.some(period =>
+    (!period.start || period.start <= time) && (!period.end || time < period.end)
+  );
+}
+
+function isOver(situation, time) {
+  return situation.progress === 'closed' ||
+    (situation.validityPeriods.length > 0 && situation.validityPeriods.every(period => period.end && period.end <= time));
+}
+
+function operatorMatches({ ref, name }, service) {
+  if (!ref && !name) return true;
+  if (ref && service.operatorCode && normalise(ref) === normalise(service.operatorCode)) return true;
+  return sameOperatorName(name, service.operator);
+}
+
+function lineMatches(line, service) {
+  const route = normalise(service.routeNumber);
+  return (normalise(line.name) === route || normalise(line.lineRef) === route) &&
+    operatorMatches({ ref: line.operatorRef, name: line.operatorName }, service);
+}
+
+function journeyMatches(journey, service) {
+  if (journey.journeyRef && service.journeyRef) {
+    return journey.journeyRef === service.journeyRef &&
+      (!journey.lineRef || normalise(journey.lineRef) === normalise(service.routeNumber)) &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(journey.dataFrameRef) || journey.dataFrameRef === service.operatingDay);
+  }
+  return Boolean(journey.originAimedDepartureTime && service.originDepartureTime) &&
+    Math.abs(journey.originAimedDepartureTime - service.originDepartureTime) <= ORIGIN_TIME_TOLERANCE_MS &&
+    normalise(journey.lineRef) === normalise(service.routeNumber);
+}
+
+// How specifically a consequence applies to one departure at a stop, or null
+function consequenceScope(consequence, stopId, service) {
+  if (consequence.journeys.some(journey => journeyMatches(journey, service))) return 'journey';
+
+  const atStop = consequence.stops.includes(stopId);
+  const onLine = consequence.lines.some(line => lineMatches(line, service));
+  if (consequence.stops.length > 0 && consequence.lines.length > 0) return atStop && onLine ? 'stop' : null;
+  if (atStop) return 'stop';
+  if (onLine) return 'route';
+
+  // Operator-wide: only on an exact name, as operators span many regions
+  if (consequence.stops.length === 0 && consequence.lines.length === 0 && consequence.journeys.length === 0 &&
+      consequence.operators.some(operator => normalise(operator.name) === normalise(service.operator))) {
+    return 'operator';
+  }
+  return null;
+}
+
+// Situations (SIRI-SX) from BODS, kept only where they touch the configured
+// stops, routes or operators, and matched to individual departures
+class DisruptionService {
+  constructor(source, cache, { stops }) {
+    this.source = source;
+    this.cache = new StaleWhileRevalidate(cache, {
+      freshFor: DISRUPTIONS_FRESH_SECONDS,
+      staleFor: DISRUPTIONS_STALE_SECONDS
+    });
+
+    const configured = Object.values(stops);
+    this.stopRefs = new Set(Object.keys(stops));
+    this.routes = new Set(configured.flatMap(stop => stop.routes).map(normalise));
+    this.operators = new Set(configured.flatMap(stop => stop.operators).map(normalise));
+  }
+
+  // Situations touching none of our stops, routes or operators are dropped
+  // while parsing. AllOperators situations are dropped too: they don't say where.
+  isRelevant(situation) {
+    return situation.consequences.some(consequence =>
+      consequence.stops.some(stopRef => this.stopRefs.has(stopRef)) ||
+      consequence.lines.some(line => this.routes.has(normalise(line.name)) || this.routes.has(normalise(line.lineRef))) ||
+      consequence.journeys.some(journey => this.routes.has(normalise(journey.lineRef))) ||
+      consequence.operators.some(operator => this.operators.has(normalise(operator.name)))
+    );
+  }
+
+  // Resolves to { situations, available }; never rejects, so an outage of
+  // the disruptions feed doesn't take the departure board with it
+  async getSituations() {
+    try {
+      const { value, failedAt } = await this.cache.fetch('disruptions', async () => {
+        logger.debug('Fetching disruptions (SIRI-SX)');
+        const situations = await parseSiriSx(await this.source(), situation => this.isRelevant(situation));
+        logger.info('Fetched disruptions', { relevant: situations.length });
+        return situations;
+      });
+      return { situations: value, available: !failedAt };
+    } catch (error) {
+      logger.warn('Failed to fetch disruptions', { error: error.message });
+      return { situations: [], available: false };
+    }
+  }
+
+  // Active situations affecting a departure, each with how specifically it
+  // applies and whether it stops the bus calling
+  affecting(situations, stopId, service) {
+    const time = service.estimatedTime || service.scheduledTime;
+    const matches = new Map();
+
+    for (const situation of situations) {
+      if (!isActiveAt(situation, time)) continue;
+
+      for (const consequence of situation.consequences) {
+        const scope = consequenceScope(consequence, stopId, service);
+        if (!scope) continue;
+
+        const cancels = scope !== 'operator' && CANCELLING_CONDITIONS.includes(consequence.condition);
+        const existing = matches.get(situation.id);
+        if (existing && !cancels) continue;
+
+        matches.set(situation.id, {
+          id: situation.id,
+          summary: situation.summary,
+          severity: consequence.severity || situation.severity,
+          condition: consequence.condition,
+          scope,
+          cancels: cancels || Boolean(existing && existing.cancels)
+        });
+      }
+    }
+
+    return [...matches.values()];
+  }
+
+  // Current and upcoming situations touching a venue's stops, routes or operators
+  forVenue(situations, venue, time = new Date()) {
+    const stopIds = Object.keys(venue.stops);
+    const routes = Array.from(new Set(Object.values(venue.stops).flatMap(stop => stop.routes)));
+    const operators = Array.from(new Set(Object.values(venue.stops).flatMap(stop => stop.operators)));
+    const sameName = (a, b) => normalise(a) === normalise(b);
+
+    return situations
+      .filter(situation => !isOver(situation, time))
+      .map(situation => {
+        const consequences = situation.consequences;
+        const affectedStops = stopIds.filter(stopId => consequences.some(consequence => consequence.stops.includes(stopId)));
+        const affectedRoutes = routes.filter(route => consequences.some(consequence =>
+          consequence.lines.some(line => sameName(line.name, route) || sameName(line.lineRef, route)) ||
+          consequence.journeys.some(journey => sameName(journey.lineRef, route))
+        ));
+        const affectedOperators = operators.filter(name => consequences.some(consequence =>
+          consequence.operators.some(operator => sameName(name, operator.name))
+        ));
+        return { ...situation, active: isActiveAt(situation, time), affectedStops, affectedRoutes, affectedOperators };
+      })
+      .filter(situation =>
+        situation.affectedStops.length > 0 || situation.affectedRoutes.length > 0 || situation.affectedOperators.length > 0
+      );
+  }
+}
+
+module.exports = DisruptionService;
+module.exports.CANCELLING_CONDITIONS = CANCELLING_CONDITIONS;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONFIG_PATH, DEFAULT_NAPTAN_PATH } = require('./venueConfig');
+const { LOG_LEVELS } = require('./logger');
+
+const REALTIME_PROVIDER_NAMES = ['siri-vm', 'siri-sm', 'gtfs-rt'];
+
+// Every setting the server reads from the environment, parsed by type.
+// Secrets must never be logged or echoed back in responses.
+const SCHEMA = {
+  BODS_API_KEY: { type: 'string', required: true, secret: true, description: 'BODS API key (https://data.bus-data.dft.gov.uk/account/settings/)' },
+  BODS_BASE_URL: { type: 'url', default: 'https://data.bus-data.dft.gov.uk/api/v1', description: 'BODS API root, e.g. a local mock server' },
+  PORT: { type: 'port', default: 3001 },
+  LOG_LEVEL: { type: 'string', default: 'info', oneOf: LOG_LEVELS },
+  CORS_ORIGIN: { type: 'list', default: ['*'], description: 'allowed display origins, comma-separated' },
+  TRUST_PROXY: { type: 'integer', default: 1, description: 'proxy hops in front of the server (Railway has one)' },
+  DATA_DIR: { type: 'path', default: path.join(__dirname, '..', 'data'), description: 'timetable snapshots and subscriptions' },
+  VENUE_CONFIG: { type: 'path', default: DEFAULT_CONFIG_PATH },
+  NAPTAN_FILE: { type: 'path', default: DEFAULT_NAPTAN_PATH },
+  REALTIME_PROVIDERS: { type: 'list', default: ['siri-vm'], oneOf: REALTIME_PROVIDER_NAMES },
+  SIRI_SM_URL: { type: 'url', description: 'may contain {stops} for the comma-separated ATCO codes' },
+  GTFS_RT_URL: { type: 'url', description: 'defaults to the BODS GTFS-RT feed' },
+  GTFS_ROUTES_FILE: { type: 'path', description: 'GTFS routes.txt giving the line name for each GTFS-RT route_id' },
+  SIRI_VM_OPERATORS: { type: 'list', description: 'only use SIRI-VM for these operators (part of the name), comma-separated' },
+  SIRI_SM_OPERATORS: { type: 'list', description: 'only use SIRI-SM for these operators' },
+  GTFS_RT_OPERATORS: { type: 'list', description: 'only use GTFS-RT for these operators' },
+  DISRUPTIONS_URL: { type: 'url', description: 'SIRI-SX, defaults to the BODS feed' },
+  UPSTREAM_TIMEOUT_SECONDS: { type: 'integer', default: 10, min: 1, description: 'per attempt at a BODS or real-time feed call' },
+  DATASET_DOWNLOAD_TIMEOUT_SECONDS: { type: 'integer', default: 180, min: 1, description: 'per attempt at a timetable dataset download' },
+  UPSTREAM_RETRIES: { type: 'integer', default: 2, description: 'retries after a timeout, network error or 5xx, with backoff' },
+  UPSTREAM_FAILURE_THRESHOLD: { type: 'integer', default: 5, min: 1, description: 'failed calls in a row before a feed is paused' },
+  UPSTREAM_COOLDOWN_SECONDS: { type: 'integer', default: 60, min: 1, description: 'how long a failing feed is paused before a trial call' },
+  READINESS_MAX_VEHICLE_AGE_SECONDS: { type: 'integer', default: 300, min: 1, description: 'how recent the last vehicle fetch must be for /health/ready' },
+  DEMO_MODE: { type: 'boolean', default: false, description: 'invent departures when there is no timetable - never for real displays' },
+  ADMIN_API_KEYS: { type: 'list', default: [], secret: true, description: 'keys for the admin endpoints, comma-separated' },
+  RATE_LIMIT_WINDOW_SECONDS: { type: 'integer', default: 60, min: 1 },
+  RATE_LIMIT_MAX: { type: 'integer', default: 120, min: 1, description: 'requests per client per window on /api and /display' },
+  PUNCTUALITY_RETENTION_DAYS: { type: 'integer', default: 365, min: 1, description: 'how long observed departures are kept' },
+  VAPID_PUBLIC_KEY: { type: 'string', description: 'Web Push alerts need a VAPID key pair' },
+  VAPID_PRIVATE_KEY: { type: 'string', secret: true },
+  VAPID_SUBJECT: { type: 'string', default: 'mailto:admin@example.com' }
+};
+
+const BOOLEAN_VALUES = { true: true, '1': true, yes: true, false: false, '0': false, no: false };
+
+function parseValue(name, raw, rule, problems) {
+  switch (rule.type) {
+    case 'string':
+      if (rule.oneOf && !rule.oneOf.includes(raw)) problems.push(`${name} must be one of ${rule.oneOf.join(', ')}`);
+      return raw;
+    case 'path':
+      return raw;
+    case 'port':
+    case 'integer': {
+      const value = Number(raw);
+      const min = rule.type === 'port' ? 1 : rule.min !== undefined ? rule.min : 0;
+      const max = rule.type === 'port' ? 65535 : Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        problems.push(`${name} must be a whole number${max !== Infinity ? ` from ${min} to ${max}` : ` of at least ${min}`}`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (!(raw.toLowerCase() in BOOLEAN_VALUES)) problems.push(`${name} must be true or false`);
+      return BOOLEAN_VALUES[raw.toLowerCase()];
+    case 'url':
+      try {
+        new URL(raw.replace('{stops}', 'stops'));
+      } catch (error) {
+        problems.push(`${name} must be a URL`);
+      }
+      return raw;
+    case 'list': {
+      const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+      if (rule.oneOf) {
+        values
+          .filter(value => !rule.oneOf.includes(value))
+          .forEach(value => problems.push(rule.secret
+            ? `${name} must only contain ${rule.oneOf.join(', ')}`
+            : `${name}: "${value}" must be one of ${rule.oneOf.join(', ')}`));
+      }
+      return values;
+    }
+    default:
+      throw new Error(`Unknown setting type ${rule.type}`);
+  }
+}
+
+// Settings that only make sense together
+function checkCombinations(settings, problems) {
+  if (settings.REALTIME_PROVIDERS.includes('siri-sm') && !settings.SIRI_SM_URL) {
+    problems.push('SIRI_SM_URL is required when REALTIME_PROVIDERS includes siri-sm');
+  }
+  if (settings.REALTIME_PROVIDERS.includes('gtfs-rt') && !settings.GTFS_ROUTES_FILE) {
+    problems.push('GTFS_ROUTES_FILE is required when REALTIME_PROVIDERS includes gtfs-rt');
+  }
+  if (Boolean(settings.VAPID_PUBLIC_KEY) !== Boolean(settings.VAPID_PRIVATE_KEY)) {
+    problems.push('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set together');
+  }
+}
+
+// Local development settings: KEY=value lines from a .env file, each only
+// where the real environment doesn't already set it. A missing file is fine -
+// deployments (Railway) set variables in the environment itself.
+function readEnvFile(file, env = process.env) {
+  if (!fs.existsSync(file)) return false;
+
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const setting = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!setting || env[setting[1]] !== undefined) continue;
+    const quoted = /^(['"])(.*)\1$/.exec(setting[2]);
+    env[setting[1]] = quoted ? quoted[2] : setting[2];
+  }
+  return true;
+}
+
+// The settings as they can be logged: secrets only show whether they are set
+function describeEnvironment(settings) {
+  const described = {};
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    const value = settings[name];
+    const set = Array.isArray(value) ? value.length > 0 : value !== undefined && value !== '';
+    described[name] = rule.secret ? (set ? '[set]' : '[not set]') : value;
+  }
+  return described;
+}
+
+// Read and validate the environment. Throws listing every problem, so a
+// misconfigured deploy fails at startup rather than on the first request.
+function loadEnvironment(env = process.env) {
+  const settings = {};
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    const raw = env[name] !== undefined ? String(env[name]).trim() : '';
+    if (raw === '') {
+      if (rule.required) problems.push(`${name} is required${rule.description ? ` (${rule.description})` : ''}`);
+      settings[name] = rule.default;
+      continue;
+    }
+    settings[name] = parseValue(name, raw, rule, problems);
+  }
+
+  if (problems.length === 0) checkCombinations(settings, problems);
+  if (problems.length > 0) {
+    throw new Error(`Invalid environment:\n  - ${problems.join('\n  - ')}`);
+  }
+  return settings;
+}
+
+module.exports = {
+  loadEnvironment,
+  readEnvFile,
+  describeEnvironment,
+  SCHEMA
+};
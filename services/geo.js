@@ -0,0 +1,72 @@
+const EARTH_RADIUS_METRES = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// A real position: numeric, on the globe, and not the 0,0 feeds send for "no fix"
+function isValidPoint(point) {
+  return Boolean(point) &&
+    Number.isFinite(point.latitude) && Number.isFinite(point.longitude) &&
+    Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180 &&
+    !(point.latitude === 0 && point.longitude === 0);
+}
+
+// Great-circle distance between two { latitude, longitude } points, in metres
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial compass bearing from a to b, in degrees clockwise from north (0-359)
+function bearingBetween(a, b) {
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.round(Math.atan2(y, x) * 180 / Math.PI) + 360) % 360;
+}
+
+// Project a point onto a polyline using a local equirectangular approximation,
+// which is accurate enough over the few kilometres a bus route covers.
+// Returns how far along the line the closest point is and how far off it the point lies.
+function projectOntoPolyline(point, polyline) {
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < polyline.length - 1; i++) {
+    const start = polyline[i];
+    const end = polyline[i + 1];
+    const segmentLength = haversineDistance(start, end);
+
+    const cosLat = Math.cos(toRadians(start.latitude));
+    const ex = (end.longitude - start.longitude) * cosLat;
+    const ey = end.latitude - start.latitude;
+    const px = (point.longitude - start.longitude) * cosLat;
+    const py = point.latitude - start.latitude;
+    const lengthSquared = ex * ex + ey * ey;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+
+    const closest = {
+      latitude: start.latitude + t * (end.latitude - start.latitude),
+      longitude: start.longitude + t * (end.longitude - start.longitude)
+    };
+    const offset = haversineDistance(point, closest);
+
+    if (!best || offset < best.offset) {
+      best = { distanceAlong: travelled + t * segmentLength, offset, segmentIndex: i };
+    }
+    travelled += segmentLength;
+  }
+
+  return best;
+}
+
+module.exports = {
+  isValidPoint,
+  haversineDistance,
+  bearingBetween,
+  projectOntoPolyline
+};
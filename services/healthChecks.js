@@ -0,0 +1,88 @@
+// Readiness: whether this instance has the data to show real departures.
+// Each check is ok, degraded (working, but on saved or partial data) or
+// failing, with the detail behind it; the instance is ready while no check
+// is failing.
+
+const STATUSES = ['ok', 'degraded', 'failing'];
+
+const worstOf = statuses => STATUSES[Math.max(0, ...statuses.map(status => STATUSES.indexOf(status)))];
+
+// Every configured dataset's timetable is loaded, and confirmed by BODS
+// rather than a saved copy
+function checkTimetables(bodsService) {
+  const datasets = bodsService.timetableStatus();
+  const ids = Object.keys(datasets);
+  const missing = ids.filter(id => !datasets[id].loaded);
+  const saved = ids.filter(id => datasets[id].loaded && (datasets[id].snapshot || datasets[id].refreshFailingSince));
+
+  if (missing.length > 0) {
+    return { status: 'failing', message: `No timetable loaded for dataset ${missing.join(', ')}`, datasets };
+  }
+  if (saved.length > 0) {
+    return { status: 'degraded', message: `Timetable for dataset ${saved.join(', ')} may be out of date`, datasets };
+  }
+  return { status: 'ok', message: `${ids.length} timetable datasets loaded`, datasets };
+}
+
+// The newest successful vehicle fetch is recent enough to trust; a feed
+// that has gone quiet while another still answers is only degraded
+function checkVehicles(bodsService, { maxAgeMs, now = Date.now() }) {
+  const feeds = {};
+  for (const [name, { lastSuccessAt }] of Object.entries(bodsService.realtimeStatus())) {
+    const ageSeconds = lastSuccessAt ? Math.round((now - lastSuccessAt.getTime()) / 1000) : null;
+    feeds[name] = { lastSuccessAt, ageSeconds, fresh: ageSeconds !== null && ageSeconds * 1000 <= maxAgeMs };
+  }
+  const details = { maxAgeSeconds: Math.round(maxAgeMs / 1000), feeds };
+  const names = Object.keys(feeds);
+  const fresh = names.filter(name => feeds[name].fresh);
+
+  if (names.length === 0) return { status: 'ok', message: 'No real-time feeds configured', ...details };
+  if (fresh.length === 0) {
+    const ages = names.map(name => feeds[name].ageSeconds).filter(age => age !== null);
+    const message = ages.length > 0
+      ? `Last successful vehicle fetch was ${Math.min(...ages)}s ago`
+      : 'No successful vehicle fetch yet';
+    return { status: 'failing', message, ...details };
+  }
+  if (fresh.length < names.length) {
+    return { status: 'degraded', message: `No recent vehicles from ${names.filter(name => !feeds[name].fresh).join(', ')}`, ...details };
+  }
+  return { status: 'ok', message: 'Vehicle positions are current', ...details };
+}
+
+// No circuit breaker is open on a feed the boards depend on (timetables and
+// the real-time feeds). Others, such as disruptions, only degrade the boards.
+function checkUpstreams(bodsService) {
+  const critical = ['timetables', ...Object.keys(bodsService.realtimeStatus())];
+  const feeds = bodsService.upstream.status();
+  const statusOf = (name, { state }) => {
+    if (state === 'closed') return 'ok';
+    return state === 'open' && critical.includes(name) ? 'failing' : 'degraded';
+  };
+
+  const problems = Object.entries(feeds).filter(([name, feed]) => statusOf(name, feed) !== 'ok');
+  return {
+    status: worstOf(Object.entries(feeds).map(([name, feed]) => statusOf(name, feed))),
+    message: problems.length > 0
+      ? problems.map(([name, feed]) => `${name} circuit ${feed.state}`).join(', ')
+      : 'All upstream circuits closed',
+    feeds
+  };
+}
+
+function checkReadiness(bodsService, { maxVehicleAgeMs, now = Date.now() }) {
+  const checks = {
+    timetables: checkTimetables(bodsService),
+    vehicles: checkVehicles(bodsService, { maxAgeMs: maxVehicleAgeMs, now }),
+    upstreams: checkUpstreams(bodsService)
+  };
+  const status = worstOf(Object.values(checks).map(check => check.status));
+  return { ready: status !== 'failing', status, checks };
+}
+
+module.exports = {
+  checkReadiness,
+  checkTimetables,
+  checkVehicles,
+  checkUpstreams
+};
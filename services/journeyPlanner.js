@@ -0,0 +1,193 @@
+const MIN_CHANGE_SECONDS = 120; // time to get off one bus and onto another at the same stop
+const MAX_CHANGE_WAIT_SECONDS = 3600;
+const DEFAULT_HORIZON_SECONDS = 3 * 3600; // how far ahead first departures are considered
+const DEFAULT_LIMIT = 5;
+
+const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Passengers can get off here (not a pick-up-only or timing-only stop)
+const canAlight = call => call.activity !== 'pickUp' && call.activity !== 'pass';
+
+const callTime = (originDepartureTime, seconds) => new Date(originDepartureTime.getTime() + seconds * 1000);
+
+// First call after `boardIndex` at one of the destination stops, or -1
+function destinationCallIndex(journey, boardIndex, destinations) {
+  for (let index = boardIndex + 1; index < journey.calls.length; index++) {
+    const call = journey.calls[index];
+    if (destinations.has(call.stopRef) && canAlight(call)) return index;
+  }
+  return -1;
+}
+
+// Work out which stops "to" means: an ATCO code, a place configured for the
+// venue, a route whose destination (or a journey whose headsign) matches -
+// meaning that route's terminus - or failing those, stops with a matching
+// name. Returns { name, matchedBy, stopRefs } or null.
+function resolveDestination(timetable, { query, places = {}, routes = {}, originRefs = [] }) {
+  const wanted = normalize(query);
+  if (!wanted) return null;
+
+  if (timetable.stopPoints[query]) {
+    return { name: timetable.stopPoints[query].name, matchedBy: 'stop', stopRefs: [query] };
+  }
+
+  const place = Object.entries(places).find(([key, value]) =>
+    normalize(key) === wanted || normalize(value.name) === wanted
+  );
+  if (place) {
+    return { name: place[1].name || place[0], matchedBy: 'place', stopRefs: place[1].stops };
+  }
+
+  // Where buses from the venue to that destination end up. "Stockton via
+  // Thornaby" ends in Stockton; Thornaby is left to the stop names.
+  const endsIn = destination => normalize(String(destination || '').split(/\s+via\s+/i)[0]).includes(wanted);
+  const routeNames = Object.entries(routes)
+    .filter(([, route]) => endsIn(route.destination))
+    .map(([routeNumber]) => routeNumber);
+  const termini = new Set();
+  for (const journey of timetable.journeys) {
+    const matches = routeNames.includes(journey.lineName) || endsIn(journey.destination);
+    const fromVenue = journey.calls.some(call => originRefs.includes(call.stopRef));
+    if (matches && fromVenue) termini.add(journey.calls[journey.calls.length - 1].stopRef);
+  }
+  for (const originRef of originRefs) termini.delete(originRef);
+  if (termini.size > 0) {
+    return { name: query, matchedBy: 'route', stopRefs: [...termini] };
+  }
+
+  const named = Object.entries(timetable.stopPoints)
+    .filter(([stopRef, stop]) => !originRefs.includes(stopRef) && normalize(stop.name).includes(wanted))
+    .map(([stopRef]) => stopRef);
+  return named.length > 0 ? { name: query, matchedBy: 'stopName', stopRefs: named } : null;
+}
+
+function buildLeg(departure, boardIndex, alightIndex, stopName) {
+  const { journey, originDepartureTime, operatingDay } = departure;
+  const board = journey.calls[boardIndex];
+  const alight = journey.calls[alightIndex];
+
+  return {
+    routeNumber: journey.lineName,
+    operator: journey.operatorName,
+    headsign: journey.destination,
+    journeyRef: journey.journeyCode,
+    operatingDay,
+    from: { stopId: board.stopRef, name: stopName(board.stopRef) },
+    to: { stopId: alight.stopRef, name: stopName(alight.stopRef) },
+    departureTime: callTime(originDepartureTime, board.departure),
+    arrivalTime: callTime(originDepartureTime, alight.arrival),
+    via: journey.calls
+      .slice(boardIndex + 1, alightIndex)
+      .filter(call => call.activity !== 'pass')
+      .map(call => ({ stopId: call.stopRef, name: stopName(call.stopRef), time: callTime(originDepartureTime, call.arrival) }))
+  };
+}
+
+function buildOption(legs) {
+  const departureTime = legs[0].departureTime;
+  const arrivalTime = legs[legs.length - 1].arrivalTime;
+  return {
+    departureTime,
+    arrivalTime,
+    durationMinutes: Math.round((arrivalTime - departureTime) / 60000),
+    changes: legs.length - 1,
+    legs
+  };
+}
+
+// The connection from a first leg that gets to the destination soonest:
+// any later stop on the first bus, then another journey from that same stop
+function bestConnection(timetable, departure, boardIndex, destinations, onward, stopName) {
+  const { journey, originDepartureTime } = departure;
+  let best = null;
+
+  for (let index = boardIndex + 1; index < journey.calls.length; index++) {
+    const transfer = journey.calls[index];
+    if (!canAlight(transfer)) continue;
+
+    const reached = callTime(originDepartureTime, transfer.arrival).getTime();
+    const connections = timetable.getDepartures(transfer.stopRef, {
+      from: new Date(reached + MIN_CHANGE_SECONDS * 1000),
+      until: new Date(reached + MAX_CHANGE_WAIT_SECONDS * 1000),
+      journeys: onward
+    });
+
+    for (const connection of connections) {
+      if (connection.journey === journey) continue;
+      const connectionBoard = connection.journey.calls.indexOf(connection.call);
+      const alightIndex = destinationCallIndex(connection.journey, connectionBoard, destinations);
+      if (alightIndex === -1) continue;
+
+      const second = buildLeg(connection, connectionBoard, alightIndex, stopName);
+      if (!best || second.arrivalTime < best[1].arrivalTime) {
+        best = [buildLeg(departure, boardIndex, index, stopName), second];
+      }
+    }
+  }
+
+  return best;
+}
+
+// Options that leave earlier, arrive later and change more often than
+// another option aren't worth showing
+function dropDominated(options) {
+  const sorted = options.slice().sort((a, b) =>
+    a.arrivalTime - b.arrivalTime || a.changes - b.changes || b.departureTime - a.departureTime
+  );
+  const kept = [];
+  for (const option of sorted) {
+    const dominated = kept.some(other =>
+      other.arrivalTime <= option.arrivalTime && other.departureTime >= option.departureTime &&
+      other.changes <= option.changes
+    );
+    if (!dominated) kept.push(option);
+  }
+  return kept;
+}
+
+// The best next ways from any of the origin stops to any destination stop,
+// direct or with one change, by scheduled time. Only journeys in the
+// timetable can be used, so changes are onto services the loaded datasets
+// include.
+function planJourneys(timetable, {
+  origins,
+  destinations,
+  from = new Date(),
+  horizonSeconds = DEFAULT_HORIZON_SECONDS,
+  limit = DEFAULT_LIMIT,
+  stopName = stopRef => (timetable.stopPoints[stopRef] && timetable.stopPoints[stopRef].name) || stopRef
+}) {
+  const targets = new Set(destinations);
+  const until = new Date(from.getTime() + horizonSeconds * 1000);
+
+  // Only journeys that reach a destination can be the second leg
+  const onward = timetable.journeys.filter(journey =>
+    journey.calls.some((call, index) => index > 0 && targets.has(call.stopRef) && canAlight(call))
+  );
+
+  const options = [];
+  for (const origin of origins) {
+    if (targets.has(origin)) continue;
+
+    for (const departure of timetable.getDepartures(origin, { from, until })) {
+      const boardIndex = departure.journey.calls.indexOf(departure.call);
+      const alightIndex = destinationCallIndex(departure.journey, boardIndex, targets);
+
+      if (alightIndex !== -1) {
+        options.push(buildOption([buildLeg(departure, boardIndex, alightIndex, stopName)]));
+        continue;
+      }
+
+      const legs = bestConnection(timetable, departure, boardIndex, targets, onward, stopName);
+      if (legs) options.push(buildOption(legs));
+    }
+  }
+
+  return dropDominated(options).slice(0, limit);
+}
+
+module.exports = {
+  planJourneys,
+  resolveDestination,
+  MIN_CHANGE_SECONDS
+};
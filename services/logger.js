@@ -0,0 +1,66 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line with the time, level, message
+// and any fields, plus the ID of the request being handled when there is one.
+// debug and info go to stdout, warn and error to stderr.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const LOG_LEVELS = Object.keys(LEVELS);
+
+// Carries { requestId } through everything a request awaits
+const requestContext = new AsyncLocalStorage();
+
+let threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+function setLevel(level) {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+  threshold = LEVELS[level];
+}
+
+// Errors don't serialize to JSON on their own
+function serializeField(value) {
+  if (!(value instanceof Error)) return value;
+  return { message: value.message, ...(value.stack && { stack: value.stack }) };
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < threshold) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context && { requestId: context.requestId }),
+    ...bindings
+  };
+  for (const [name, value] of Object.entries(fields)) entry[name] = serializeField(value);
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// A logger whose lines all carry `bindings`, e.g. { component: 'bods' }
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields = {}) => write('debug', bindings, message, fields),
+    info: (message, fields = {}) => write('info', bindings, message, fields),
+    warn: (message, fields = {}) => write('warn', bindings, message, fields),
+    error: (message, fields = {}) => write('error', bindings, message, fields),
+    child: more => createLogger({ ...bindings, ...more })
+  };
+}
+
+// Run `fn` with every line it logs tagged with the request's ID
+function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+module.exports = {
+  ...createLogger(),
+  createLogger,
+  setLevel,
+  withRequestId,
+  currentRequestId: () => (requestContext.getStore() || {}).requestId,
+  LOG_LEVELS
+};
@@ -0,0 +1,203 @@
+// A small Prometheus metrics registry: counters, gauges and histograms with
+// labels, rendered in the text exposition format for GET /metrics. Metrics
+// kept elsewhere (e.g. NodeCache statistics) are read at scrape time by a
+// metric's collect() function.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // label values in labelNames order -> value
+  }
+
+  // Labels in declared order, missing ones empty, so series keys are stable
+  labelsOf(labels = {}) {
+    const ordered = {};
+    for (const name of this.labelNames) ordered[name] = labels[name] === undefined ? '' : String(labels[name]);
+    return ordered;
+  }
+
+  entry(labels, create) {
+    const ordered = this.labelsOf(labels);
+    const key = JSON.stringify(Object.values(ordered));
+    if (!this.series.has(key)) this.series.set(key, { labels: ordered, ...create() });
+    return this.series.get(key);
+  }
+
+  values() {
+    return [...this.series.values()];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  // For totals counted elsewhere and copied in by collect()
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Returns a function that records the time since now, in seconds, against
+  // `labels` plus any it is given (e.g. a status known only at the end)
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  // Registering the same name again returns the existing metric, so modules
+  // can declare what they record without worrying about load order
+  register(MetricClass, options) {
+    const existing = this.metrics.get(options.name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(options);
+    this.metrics.set(options.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  // Every metric in the text exposition format, after running collectors
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) metric.collect(metric);
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// The registry served on /metrics
+const registry = new MetricsRegistry();
+
+// Hits, misses, hit ratio and size of each named NodeCache, read from its
+// statistics at scrape time
+function registerCacheMetrics(caches, target = registry) {
+  const each = fn => metric => {
+    for (const [name, cache] of Object.entries(caches)) metric.set({ cache: name }, fn(cache.getStats()));
+  };
+  target.counter({ name: 'cache_hits_total', help: 'Cache lookups that found a value', labelNames: ['cache'], collect: each(stats => stats.hits) });
+  target.counter({ name: 'cache_misses_total', help: 'Cache lookups that found nothing', labelNames: ['cache'], collect: each(stats => stats.misses) });
+  target.gauge({
+    name: 'cache_hit_ratio',
+    help: 'Share of cache lookups that found a value',
+    labelNames: ['cache'],
+    collect: each(stats => (stats.hits + stats.misses > 0 ? stats.hits / (stats.hits + stats.misses) : 0))
+  });
+  target.gauge({ name: 'cache_keys', help: 'Entries in the cache', labelNames: ['cache'], collect: each(stats => stats.keys) });
+}
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  registerCacheMetrics,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
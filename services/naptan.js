@@ -0,0 +1,63 @@
+const fs = require('fs');
+const { csvObjects } = require('./csv');
+
+function toStop(record) {
+  const latitude = parseFloat(record.Latitude);
+  const longitude = parseFloat(record.Longitude);
+
+  return {
+    atcoCode: record.ATCOCode,
+    name: record.CommonName,
+    indicator: record.Indicator || null,
+    locality: record.LocalityName || null,
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null
+  };
+}
+
+// ATCO code -> name, indicator and coordinates, from the NaPTAN Stops.csv export
+class NaptanLookup {
+  constructor(stops = {}) {
+    this.stops = stops;
+  }
+
+  // Streams the (large) national CSV, keeping only the wanted stops if a filter is given
+  static async fromCsv(filePath, { atcoCodes = null } = {}) {
+    const wanted = atcoCodes ? new Set(atcoCodes) : null;
+    const stops = {};
+    const onHeaders = headers => {
+      if (!headers.includes('ATCOCode')) {
+        throw new Error(`${filePath} is not a NaPTAN stops CSV (no ATCOCode column)`);
+      }
+    };
+
+    for await (const record of csvObjects(fs.createReadStream(filePath, 'utf8'), { onHeaders })) {
+      if (wanted && !wanted.has(record.ATCOCode)) continue;
+
+      stops[record.ATCOCode] = toStop(record);
+    }
+
+    return new NaptanLookup(stops);
+  }
+
+  static fromFile(filePath) {
+    return new NaptanLookup(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  lookup(atcoCode) {
+    return this.stops[atcoCode] || null;
+  }
+
+  // "Cleveland Centre (Stand O)"
+  displayName(atcoCode) {
+    const stop = this.lookup(atcoCode);
+    if (!stop) return null;
+    return stop.indicator ? `${stop.name} (${stop.indicator})` : stop.name;
+  }
+
+  toJSON() {
+    return this.stops;
+  }
+}
+
+module.exports = NaptanLookup;
@@ -0,0 +1,399 @@
+// The OpenAPI 3 description of /api/v1, served at /api/v1/openapi.json.
+// Requests are checked against its parameters and responses against its
+// schemas (see services/apiV1.js), so it can't drift from what the API does.
+
+const { DEFAULT_DEPARTURES, MAX_DEPARTURES, MAX_WITHIN_MINUTES, DEPARTURE_STATUSES } = require('./departureFilters');
+
+const DATA_QUALITIES = ['unavailable', 'snapshot', 'scheduled', 'live', 'demo'];
+const DEPARTURE_SOURCES = ['timetable', 'realtime_prediction', 'vehicle_tracking', 'demo'];
+
+// A $ref can't carry nullable beside it, so a nullable reference wraps it
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+const venueParameter = {
+  name: 'venue',
+  in: 'query',
+  description: 'Venue ID from /api/venues; the default venue if left out',
+  schema: { type: 'string', pattern: '^[a-z0-9-]+$' }
+};
+
+// A comma-separated list in the query string, e.g. ?route=17A,17B
+const listParameter = (name, description, items = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  description,
+  style: 'form',
+  explode: false,
+  schema: { type: 'array', items }
+});
+
+// Which of a board's departures to return (see services/departureFilters.js)
+const departureFilterParameters = [
+  listParameter('route', 'Only these routes, comma-separated'),
+  listParameter('operator', 'Only these operators (National Operator Code or name), comma-separated'),
+  {
+    name: 'destination',
+    in: 'query',
+    description: 'Only departures whose destination contains this, ignoring case',
+    schema: { type: 'string', minLength: 1 }
+  },
+  listParameter('status', 'Only departures with these statuses, comma-separated', {
+    type: 'string',
+    enum: DEPARTURE_STATUSES
+  }),
+  {
+    name: 'within',
+    in: 'query',
+    description: 'Only departures in the next this many minutes',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_WITHIN_MINUTES }
+  },
+  {
+    name: 'after',
+    in: 'query',
+    description: 'Only departures after this time; give the last one seen to page on from it',
+    schema: { type: 'string', format: 'date-time' }
+  },
+  {
+    name: 'limit',
+    in: 'query',
+    description: 'Most departures per stop, or in all when merged',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_DEPARTURES, default: DEFAULT_DEPARTURES }
+  }
+];
+
+const errorResponses = {
+  400: { description: 'Invalid parameters', content: json(ref('Error')) },
+  404: { description: 'Unknown venue or stop', content: json(ref('Error')) },
+  500: { description: 'Unexpected failure', content: json(ref('Error')) }
+};
+
+const schemas = {
+  Departure: {
+    type: 'object',
+    description: 'One bus leaving a stop. Every field is always present; unknown values are null.',
+    additionalProperties: false,
+    required: [
+      'id', 'stopId', 'routeNumber', 'destination', 'operator', 'operatorCode', 'scheduledTime', 'estimatedTime',
+      'status', 'source', 'scheduledOnly', 'journeyRef', 'direction', 'operatingDay', 'vehicleRef',
+      'realtimeProvider', 'lastOfDay', 'lastHalfHour', 'disruptions'
+    ],
+    properties: {
+      id: { type: 'string', description: 'Stable while the departure is on the board: stop, route and journey' },
+      stopId: { type: 'string', description: 'ATCO code of the stop it leaves from' },
+      routeNumber: { type: 'string' },
+      destination: { type: 'string' },
+      operator: { type: 'string' },
+      operatorCode: nullable({ type: 'string', description: 'National Operator Code' }),
+      scheduledTime: { type: 'string', format: 'date-time' },
+      estimatedTime: nullable({ type: 'string', format: 'date-time', description: 'Predicted departure, when there is one' }),
+      status: {
+        type: 'string',
+        enum: ['scheduled', 'live', 'cancelled'],
+        description: 'live when estimatedTime is a prediction, scheduled when there is only the timetable'
+      },
+      source: {
+        type: 'string',
+        enum: DEPARTURE_SOURCES,
+        description: 'Where the time came from; demo departures are invented and only appear in demo mode'
+      },
+      scheduledOnly: { type: 'boolean', description: 'No prediction: the timetabled time is all there is' },
+      journeyRef: nullable({ type: 'string' }),
+      direction: nullable({ type: 'string' }),
+      operatingDay: nullable({ type: 'string', format: 'date', description: 'Service day the journey runs on' }),
+      vehicleRef: nullable({ type: 'string', description: 'The bus the prediction came from' }),
+      realtimeProvider: nullable({ type: 'string', description: 'The real-time feed the prediction came from' }),
+      lastOfDay: { type: 'boolean' },
+      lastHalfHour: { type: 'boolean', description: 'Within half an hour of the route\'s last departure today' },
+      disruptions: { type: 'array', items: ref('DepartureDisruption') }
+    }
+  },
+  DepartureDisruption: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['id', 'summary', 'severity', 'condition', 'scope'],
+    properties: {
+      id: { type: 'string' },
+      summary: nullable({ type: 'string' }),
+      severity: nullable({ type: 'string' }),
+      condition: nullable({ type: 'string' }),
+      scope: { type: 'string', enum: ['journey', 'stop', 'route', 'operator'] }
+    }
+  },
+  Disruption: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'id', 'summary', 'description', 'severity', 'reason', 'planned', 'active', 'validityPeriods',
+      'affectedStops', 'affectedRoutes', 'affectedOperators', 'infoLinks'
+    ],
+    properties: {
+      id: { type: 'string' },
+      summary: nullable({ type: 'string' }),
+      description: nullable({ type: 'string' }),
+      severity: { type: 'string' },
+      reason: nullable({ type: 'string' }),
+      planned: { type: 'boolean' },
+      active: { type: 'boolean' },
+      validityPeriods: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['start', 'end'],
+          properties: {
+            start: nullable({ type: 'string', format: 'date-time' }),
+            end: nullable({ type: 'string', format: 'date-time' })
+          }
+        }
+      },
+      affectedStops: { type: 'array', items: { type: 'string' } },
+      affectedRoutes: { type: 'array', items: { type: 'string' } },
+      affectedOperators: { type: 'array', items: { type: 'string' } },
+      infoLinks: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Provenance: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['dataQuality', 'cache', 'fetchedAt', 'ageSeconds', 'freshForSeconds', 'sources'],
+    properties: {
+      dataQuality: { type: 'string', enum: DATA_QUALITIES },
+      cache: { type: 'string', enum: ['hit', 'stale', 'miss'] },
+      fetchedAt: { type: 'string', format: 'date-time' },
+      ageSeconds: { type: 'integer', minimum: 0 },
+      freshForSeconds: { type: 'integer', minimum: 0 },
+      sources: {
+        type: 'object',
+        description: 'Departures on the board from each source',
+        additionalProperties: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+  StopBoard: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['stopId', 'name', 'dataQuality', 'departures', 'provenance'],
+    properties: {
+      stopId: { type: 'string' },
+      name: { type: 'string' },
+      dataQuality: { type: 'string', enum: DATA_QUALITIES },
+      departures: { type: 'array', items: ref('Departure') },
+      provenance: ref('Provenance')
+    }
+  },
+  Vehicle: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'vehicleRef', 'routeNumber', 'lineRef', 'destination', 'operatorRef', 'directionRef', 'latitude', 'longitude',
+      'bearing', 'speedKmh', 'occupancy', 'timestamp', 'trail'
+    ],
+    properties: {
+      vehicleRef: { type: 'string' },
+      routeNumber: nullable({ type: 'string' }),
+      lineRef: nullable({ type: 'string' }),
+      destination: nullable({ type: 'string' }),
+      operatorRef: nullable({ type: 'string', description: 'National Operator Code' }),
+      directionRef: nullable({ type: 'string' }),
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 },
+      bearing: nullable({ type: 'number', minimum: 0, maximum: 360, description: 'Degrees clockwise from north' }),
+      speedKmh: nullable({ type: 'number', minimum: 0 }),
+      occupancy: nullable({ type: 'string', enum: ['seatsAvailable', 'standingAvailable', 'full'] }),
+      timestamp: { type: 'string', format: 'date-time', description: 'When the position was reported' },
+      trail: {
+        type: 'array',
+        description: 'Earlier positions, oldest first',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['latitude', 'longitude', 'timestamp'],
+          properties: {
+            latitude: { type: 'number' },
+            longitude: { type: 'number' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      problems: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+// Settings that appear in the document, e.g. how long a vehicle trail can be
+function createOpenApiDocument({ defaultTrailMinutes = 10, maxTrailMinutes = 30 } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Infant Hercules Bus Backend',
+      version: '1.0.0',
+      description: 'Departures, next buses and live vehicle positions for the venues\' bus stops. ' +
+        'Times are in UK time with their offset. The unversioned /api routes these replace are deprecated.'
+    },
+    paths: {
+      '/api/v1/bus-times': {
+        get: {
+          operationId: 'getVenueBusTimes',
+          summary: 'Departures from every stop at a venue',
+          parameters: [
+            venueParameter,
+            ...departureFilterParameters,
+            {
+              name: 'merge',
+              in: 'query',
+              description: 'One list of departures across all the stops, soonest first, in place of each stop\'s board',
+              schema: { type: 'boolean', default: false }
+            }
+          ],
+          responses: {
+            200: {
+              description: 'Each stop\'s board, or with merge=true every stop\'s departures together, ' +
+                'with disruptions affecting the venue',
+              content: json({
+                type: 'object',
+                additionalProperties: false,
+                required: ['success', 'timestamp', 'venue', 'dataQuality', 'disruptions'],
+                properties: {
+                  success: { type: 'boolean', enum: [true] },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  venue: { type: 'string' },
+                  dataQuality: { type: 'string', enum: DATA_QUALITIES, description: 'The least trustworthy of the stops' },
+                  stops: { type: 'array', items: ref('StopBoard'), description: 'Unless merged' },
+                  departures: { type: 'array', items: ref('Departure'), description: 'When merged' },
+                  disruptions: { type: 'array', items: ref('Disruption') }
+                }
+              })
+            },
+            304: { description: 'Departures unchanged since the ETag given in If-None-Match' },
+            ...errorResponses
+          }
+        }
+      },
+      '/api/v1/bus-times/{stopId}': {
+        get: {
+          operationId: 'getStopBusTimes',
+          summary: 'Departures from one stop',
+          parameters: [
+            {
+              name: 'stopId',
+              in: 'path',
+              required: true,
+              description: 'ATCO code of a configured stop',
+              schema: { type: 'string', pattern: '^[0-9A-Za-z]{1,20}$' }
+            },
+            ...departureFilterParameters
+          ],
+          responses: {
+            200: {
+              description: 'The stop\'s board',
+              content: json({
+                type: 'object',
+                additionalProperties: false,
+                required: ['success', 'timestamp', 'stop'],
+                properties: {
+                  success: { type: 'boolean', enum: [true] },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  stop: ref('StopBoard')
+                }
+              })
+            },
+            304: { description: 'Departures unchanged since the ETag given in If-None-Match' },
+            ...errorResponses
+          }
+        }
+      },
+      '/api/v1/next-bus': {
+        get: {
+          operationId: 'getNextBus',
+          summary: 'The next departure from any of a venue\'s stops',
+          parameters: [venueParameter],
+          responses: {
+            200: {
+              description: 'The soonest departure that isn\'t cancelled, or null',
+              content: json({
+                type: 'object',
+                additionalProperties: false,
+                required: ['success', 'timestamp', 'venue', 'nextBus', 'highlighted'],
+                properties: {
+                  success: { type: 'boolean', enum: [true] },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  venue: { type: 'string' },
+                  nextBus: nullable(ref('Departure')),
+                  highlighted: { type: 'boolean', description: 'On one of the venue\'s highlighted routes' }
+                }
+              })
+            },
+            ...errorResponses
+          }
+        }
+      },
+      '/api/v1/vehicles': {
+        get: {
+          operationId: 'getVehicles',
+          summary: 'Current positions of buses around a venue',
+          parameters: [
+            venueParameter,
+            listParameter('route', 'Only these routes (line name or LineRef), comma-separated'),
+            listParameter('operator', 'Only these operators (National Operator Codes), comma-separated'),
+            {
+              name: 'trail',
+              in: 'query',
+              description: 'Minutes of earlier positions to include',
+              schema: { type: 'integer', minimum: 0, maximum: maxTrailMinutes, default: defaultTrailMinutes }
+            },
+            {
+              name: 'format',
+              in: 'query',
+              schema: { type: 'string', enum: ['json', 'geojson'], default: 'json' }
+            }
+          ],
+          responses: {
+            200: {
+              description: 'Vehicles with a current position; a GeoJSON FeatureCollection with format=geojson',
+              content: {
+                ...json({
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['success', 'timestamp', 'venue', 'count', 'vehicles'],
+                  properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    venue: { type: 'string' },
+                    count: { type: 'integer', minimum: 0 },
+                    vehicles: { type: 'array', items: ref('Vehicle') }
+                  }
+                }),
+                'application/geo+json': { schema: { type: 'object' } }
+              }
+            },
+            ...errorResponses
+          }
+        }
+      },
+      '/api/v1/openapi.json': {
+        get: {
+          operationId: 'getOpenApiDocument',
+          summary: 'This document',
+          responses: {
+            200: { description: 'OpenAPI 3 document', content: json({ type: 'object' }) }
+          }
+        }
+      }
+    },
+    components: { schemas }
+  };
+}
+
+module.exports = {
+  createOpenApiDocument
+};
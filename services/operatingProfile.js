@@ -0,0 +1,109 @@
+const { getBankHolidayNames, expandHolidayNames } = require('./bankHolidays');
+
+// ISO day numbers (Monday = 1 ... Sunday = 7) for TransXChange DaysOfWeek elements
+const DAYS_OF_WEEK = {
+  Monday: [1],
+  Tuesday: [2],
+  Wednesday: [3],
+  Thursday: [4],
+  Friday: [5],
+  Saturday: [6],
+  Sunday: [7],
+  MondayToFriday: [1, 2, 3, 4, 5],
+  MondayToSaturday: [1, 2, 3, 4, 5, 6],
+  MondayToSunday: [1, 2, 3, 4, 5, 6, 7],
+  Weekend: [6, 7],
+  NotMonday: [2, 3, 4, 5, 6, 7],
+  NotTuesday: [1, 3, 4, 5, 6, 7],
+  NotWednesday: [1, 2, 4, 5, 6, 7],
+  NotThursday: [1, 2, 3, 5, 6, 7],
+  NotFriday: [1, 2, 3, 4, 6, 7],
+  NotSaturday: [1, 2, 3, 4, 5, 7],
+  NotSunday: [1, 2, 3, 4, 5, 6]
+};
+
+const EVERY_DAY = [1, 2, 3, 4, 5, 6, 7];
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function elementNames(node) {
+  if (!node || typeof node !== 'object') return [];
+  return Object.keys(node).filter(key => key !== '$' && key !== '_');
+}
+
+function parseDateRanges(node) {
+  return asArray(node && node.DateRange).map(range => ({
+    start: range.StartDate,
+    end: range.EndDate || range.StartDate
+  }));
+}
+
+function parseBankHolidayNames(node) {
+  if (!node) return [];
+  const names = elementNames(node).filter(name => name !== 'OtherPublicHoliday');
+  // OtherPublicHoliday carries an explicit date rather than a well-known name
+  const others = asArray(node.OtherPublicHoliday).map(holiday => `date:${holiday.Date}`);
+  return names.concat(others);
+}
+
+// Normalize an xml2js OperatingProfile node into a plain, serializable object
+function parseOperatingProfile(node) {
+  if (!node) return null;
+
+  const regular = node.RegularDayType || {};
+  const holidaysOnly = Object.prototype.hasOwnProperty.call(regular, 'HolidaysOnly');
+
+  let daysOfWeek = holidaysOnly ? [] : EVERY_DAY;
+  if (regular.DaysOfWeek) {
+    const days = new Set();
+    elementNames(regular.DaysOfWeek).forEach(name => {
+      (DAYS_OF_WEEK[name] || []).forEach(day => days.add(day));
+    });
+    daysOfWeek = Array.from(days).sort();
+  }
+
+  const special = node.SpecialDaysOperation || {};
+  const bankHolidays = node.BankHolidayOperation || {};
+
+  return {
+    daysOfWeek,
+    holidaysOnly,
+    specialDaysOfOperation: parseDateRanges(special.DaysOfOperation),
+    specialDaysOfNonOperation: parseDateRanges(special.DaysOfNonOperation),
+    bankHolidaysOfOperation: parseBankHolidayNames(bankHolidays.DaysOfOperation),
+    bankHolidaysOfNonOperation: parseBankHolidayNames(bankHolidays.DaysOfNonOperation)
+  };
+}
+
+function inRanges(dateKey, ranges) {
+  return ranges.some(range => dateKey >= range.start && dateKey <= range.end);
+}
+
+function matchesHoliday(dateKey, holidayNames, configuredNames) {
+  if (configuredNames.includes(`date:${dateKey}`)) return true;
+  const expanded = expandHolidayNames(configuredNames);
+  return holidayNames.some(name => expanded.has(name));
+}
+
+// Does a (normalized) operating profile run on the given date?
+// dateKey is YYYY-MM-DD, isoDay is 1 (Monday) to 7 (Sunday)
+function operatesOn(profile, dateKey, isoDay) {
+  if (!profile) return true;
+
+  if (inRanges(dateKey, profile.specialDaysOfNonOperation)) return false;
+  if (inRanges(dateKey, profile.specialDaysOfOperation)) return true;
+
+  const holidayNames = getBankHolidayNames(dateKey);
+  if (matchesHoliday(dateKey, holidayNames, profile.bankHolidaysOfNonOperation)) return false;
+  if (matchesHoliday(dateKey, holidayNames, profile.bankHolidaysOfOperation)) return true;
+
+  return profile.daysOfWeek.includes(isoDay);
+}
+
+module.exports = {
+  parseOperatingProfile,
+  operatesOn
+};
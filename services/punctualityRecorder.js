@@ -0,0 +1,189 @@
+const { isValidPoint, haversineDistance } = require('./geo');
+const { londonParts, toLondonISO } = require('./serviceDay');
+const logger = require('./logger').child({ component: 'punctuality' });
+
+const DEFAULT_RECORD_INTERVAL_MS = 60000;
+const PASSING_RADIUS_METRES = 60; // a vehicle this close to the stop is calling at it
+const MAX_REPORT_AGE_MS = 2 * 60000; // older vehicle reports say nothing about now
+const PRUNE_INTERVAL_MS = 86400000;
+
+// determineStatus() names, as reported
+const STATUS_BANDS = { early: 'early', onTime: 'onTime', estimated: 'slightlyLate', delayed: 'delayed' };
+
+const CSV_COLUMNS = [
+  'stop_id', 'route', 'operator', 'destination', 'journey_ref', 'operating_day', 'scheduled', 'estimated',
+  'estimate_source', 'passed', 'observed', 'observed_from', 'delay_seconds', 'status', 'cancelled'
+];
+
+const isoOrEmpty = time => (time ? toLondonISO(time) : '');
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+const average = values => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Keeps a history of how departures actually ran. Every venue's board is
+// sampled on an interval, so the last live estimate before a bus leaves is
+// kept, and vehicles seen at a stop mark the journey they were running as
+// having called there.
+class PunctualityRecorder {
+  constructor(bodsService, store, options = {}) {
+    this.bodsService = bodsService;
+    this.store = store;
+    this.recordInterval = options.recordInterval || DEFAULT_RECORD_INTERVAL_MS;
+    this.timer = null;
+    this.recording = null;
+    this.prunedAt = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.record(), this.recordInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One sample at a time; overlapping ticks share the running one
+  record(now = Date.now()) {
+    if (this.recording) return this.recording;
+
+    this.recording = this.runRecord(now).finally(() => {
+      this.recording = null;
+    });
+    return this.recording;
+  }
+
+  async runRecord(now) {
+    for (const venueId of Object.keys(this.bodsService.venues)) {
+      try {
+        const board = await this.bodsService.getVenueData(venueId);
+        for (const [stopId, departures] of Object.entries(board)) {
+          this.store.recordDepartures(stopId, departures, now);
+        }
+
+        const vehicles = await this.bodsService.getVehiclePositions(venueId);
+        this.recordPasses(Object.keys(board), vehicles, now);
+      } catch (error) {
+        logger.error('Punctuality recording failed', { venue: venueId, error: error.message });
+      }
+    }
+
+    if (now - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prunedAt = now;
+      const removed = this.store.pruneOld(now);
+      if (removed > 0) logger.info('Pruned old punctuality records', { removed });
+    }
+  }
+
+  recordPasses(stopIds, vehicles, now) {
+    for (const stopId of stopIds) {
+      const stop = this.bodsService.stops[stopId];
+      if (!isValidPoint(stop)) continue;
+
+      for (const vehicle of vehicles) {
+        const seenAt = new Date(vehicle.timestamp).getTime();
+        if (vehicle.vehicleRef === 'unknown' || !isValidPoint(vehicle) || !(now - seenAt <= MAX_REPORT_AGE_MS)) continue;
+        if (haversineDistance(vehicle, stop) > PASSING_RADIUS_METRES) continue;
+
+        if (this.store.recordPass(stopId, vehicle.vehicleRef, seenAt)) {
+          logger.debug('Vehicle seen at stop', { vehicleRef: vehicle.vehicleRef, stopId });
+        }
+      }
+    }
+  }
+
+  // When a recorded departure actually left: the vehicle seen at the stop if
+  // there was one, otherwise the last live estimate before it went
+  describe(row) {
+    const observed = row.passed_at || row.estimated_at;
+    const delaySeconds = observed && !row.cancelled ? Math.round((observed - row.scheduled_at) / 1000) : null;
+    let status = row.cancelled ? 'cancelled' : 'unobserved';
+    if (delaySeconds !== null) {
+      status = STATUS_BANDS[this.bodsService.determineStatus(row.scheduled_at, observed)];
+    }
+
+    return {
+      stopId: row.stop_id,
+      route: row.route,
+      operator: row.operator,
+      destination: row.destination,
+      journeyRef: row.journey_ref,
+      operatingDay: row.operating_day,
+      scheduledTime: new Date(row.scheduled_at),
+      estimatedTime: row.estimated_at ? new Date(row.estimated_at) : null,
+      estimateSource: row.estimate_source,
+      passedTime: row.passed_at ? new Date(row.passed_at) : null,
+      observedTime: observed && !row.cancelled ? new Date(observed) : null,
+      observedFrom: row.cancelled || !observed ? null : row.passed_at ? 'vehicle' : 'estimate',
+      delaySeconds,
+      status,
+      cancelled: Boolean(row.cancelled)
+    };
+  }
+
+  summarise(departures) {
+    const observed = departures.filter(departure => departure.delaySeconds !== null);
+    const cancelled = departures.filter(departure => departure.cancelled).length;
+    const statuses = {};
+    for (const band of Object.values(STATUS_BANDS)) {
+      statuses[band] = observed.filter(departure => departure.status === band).length;
+    }
+
+    return {
+      departures: departures.length,
+      observed: observed.length,
+      unobserved: departures.length - observed.length - cancelled,
+      cancelled,
+      onTimePercentage: percentage(statuses.onTime, observed.length),
+      cancelledPercentage: percentage(cancelled, observed.length + cancelled),
+      averageDelaySeconds: average(observed.map(departure => departure.delaySeconds)),
+      statuses
+    };
+  }
+
+  // On-time percentage and delays for a route and/or stop over [from, to),
+  // overall and by hour of the day (UK time, by scheduled departure).
+  // Departures never seen live are counted but don't affect the figures.
+  report(filters) {
+    const departures = this.store.query(filters).map(row => this.describe(row));
+
+    const hours = new Map();
+    for (const departure of departures) {
+      const { hour } = londonParts(departure.scheduledTime);
+      if (!hours.has(hour)) hours.set(hour, []);
+      hours.get(hour).push(departure);
+    }
+
+    return {
+      route: filters.route || null,
+      stop: filters.stop || null,
+      from: new Date(filters.from),
+      to: new Date(filters.to),
+      ...this.summarise(departures),
+      byHour: [...hours.keys()].sort((a, b) => a - b).map(hour => ({ hour, ...this.summarise(hours.get(hour)) }))
+    };
+  }
+
+  // Every recorded departure matching the filters, one CSV row each
+  exportCsv(filters) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of this.store.query(filters)) {
+      const departure = this.describe(row);
+      lines.push([
+        departure.stopId, departure.route, departure.operator, departure.destination, departure.journeyRef,
+        departure.operatingDay, isoOrEmpty(departure.scheduledTime), isoOrEmpty(departure.estimatedTime),
+        departure.estimateSource, isoOrEmpty(departure.passedTime), isoOrEmpty(departure.observedTime),
+        departure.observedFrom, departure.delaySeconds, departure.status, departure.cancelled
+      ].map(csvField).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = PunctualityRecorder;
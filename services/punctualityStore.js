@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// How far a vehicle seen at the stop may be from a journey's scheduled time
+// and still be taken as that journey calling
+const PASS_EARLY_WINDOW_MS = 20 * 60000;
+const PASS_LATE_WINDOW_MS = 60 * 60000;
+
+const COLUMNS = [
+  'stop_id', 'route', 'operator', 'destination', 'journey_ref', 'operating_day', 'scheduled_at',
+  'estimated_at', 'estimate_source', 'estimate_seen_at', 'vehicle_ref', 'passed_at', 'cancelled',
+  'first_seen_at', 'last_seen_at'
+];
+
+// journey_ref is '' rather than NULL when a departure has none, since it is
+// part of the key and NULLs never conflict
+const SELECTED = COLUMNS.map(column => (column === 'journey_ref' ? "NULLIF(journey_ref, '') AS journey_ref" : column)).join(', ');
+
+// Version 1 keys departures by journey as well, so two journeys on a route
+// leaving a stop in the same minute are kept apart
+const SCHEMA_VERSION = 1;
+
+const CREATE_DEPARTURES = `
+  CREATE TABLE departures (
+    stop_id TEXT NOT NULL,
+    route TEXT NOT NULL,
+    operator TEXT,
+    destination TEXT,
+    journey_ref TEXT NOT NULL DEFAULT '',
+    operating_day TEXT,
+    scheduled_at INTEGER NOT NULL,
+    estimated_at INTEGER,
+    estimate_source TEXT,
+    estimate_seen_at INTEGER,
+    vehicle_ref TEXT,
+    passed_at INTEGER,
+    cancelled INTEGER NOT NULL DEFAULT 0,
+    first_seen_at INTEGER NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    PRIMARY KEY (stop_id, route, scheduled_at, journey_ref)
+  )
+`;
+
+// Observed departures in a local SQLite file: one row per scheduled departure
+// from a stop, with the last live estimate seen for it and when a vehicle
+// running it was last seen at the stop
+class PunctualityStore {
+  constructor(directory, options = {}) {
+    fs.mkdirSync(directory, { recursive: true });
+    this.db = new Database(path.join(directory, 'punctuality.sqlite'));
+    this.db.pragma('journal_mode = WAL');
+    this.retentionMs = (options.retentionDays || 365) * 86400000;
+
+    this.migrate();
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS departures_route ON departures (route, scheduled_at);
+      CREATE INDEX IF NOT EXISTS departures_scheduled ON departures (scheduled_at);
+    `);
+
+    // A departure seen again keeps its earlier evidence unless there is newer
+    this.upsert = this.db.prepare(`
+      INSERT INTO departures (${COLUMNS.join(', ')})
+      VALUES (${COLUMNS.map(column => `@${column}`).join(', ')})
+      ON CONFLICT (stop_id, route, scheduled_at, journey_ref) DO UPDATE SET
+        operator = excluded.operator,
+        destination = excluded.destination,
+        operating_day = COALESCE(excluded.operating_day, operating_day),
+        estimated_at = COALESCE(excluded.estimated_at, estimated_at),
+        estimate_source = COALESCE(excluded.estimate_source, estimate_source),
+        estimate_seen_at = COALESCE(excluded.estimate_seen_at, estimate_seen_at),
+        vehicle_ref = COALESCE(excluded.vehicle_ref, vehicle_ref),
+        cancelled = excluded.cancelled,
+        last_seen_at = excluded.last_seen_at
+    `);
+    this.findPassed = this.db.prepare(`
+      SELECT rowid FROM departures
+      WHERE stop_id = ? AND vehicle_ref = ? AND cancelled = 0 AND scheduled_at BETWEEN ? AND ?
+      ORDER BY ABS(scheduled_at - ?) LIMIT 1
+    `);
+    this.markPassed = this.db.prepare(
+      'UPDATE departures SET passed_at = MAX(COALESCE(passed_at, 0), ?) WHERE rowid = ?'
+    );
+    this.prune = this.db.prepare('DELETE FROM departures WHERE scheduled_at < ?');
+  }
+
+  // Create the table, or rebuild one from an earlier version with the new key
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version >= SCHEMA_VERSION) return;
+
+    const existing = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'departures'").get();
+    this.db.transaction(() => {
+      if (existing) {
+        this.db.exec('ALTER TABLE departures RENAME TO departures_old');
+        this.db.exec('DROP INDEX IF EXISTS departures_route');
+        this.db.exec('DROP INDEX IF EXISTS departures_scheduled');
+      }
+      this.db.exec(CREATE_DEPARTURES);
+      if (existing) {
+        const columns = COLUMNS.map(column => (column === 'journey_ref' ? "COALESCE(journey_ref, '')" : column));
+        this.db.exec(`INSERT INTO departures (${COLUMNS.join(', ')}) SELECT ${columns.join(', ')} FROM departures_old`);
+        this.db.exec('DROP TABLE departures_old');
+      }
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  // Record a stop's board as seen at `now`. Demo departures are never recorded.
+  recordDepartures(stopId, departures, now = Date.now()) {
+    const record = this.db.transaction(() => {
+      for (const departure of departures) {
+        if (departure.source === 'demo') continue;
+
+        const live = !departure.scheduledOnly && departure.estimatedTime && departure.status !== 'cancelled';
+        this.upsert.run({
+          stop_id: stopId,
+          route: departure.routeNumber,
+          operator: departure.operator || null,
+          destination: departure.destination || null,
+          journey_ref: departure.journeyRef || '',
+          operating_day: departure.operatingDay || null,
+          scheduled_at: new Date(departure.scheduledTime).getTime(),
+          estimated_at: live ? new Date(departure.estimatedTime).getTime() : null,
+          estimate_source: live ? departure.source : null,
+          estimate_seen_at: live ? now : null,
+          vehicle_ref: departure.vehicleRef || null,
+          passed_at: null,
+          cancelled: departure.status === 'cancelled' ? 1 : 0,
+          first_seen_at: now,
+          last_seen_at: now
+        });
+      }
+    });
+    record();
+  }
+
+  // A vehicle was seen at the stop: credit the journey it was running there
+  // whose scheduled time is nearest. Returns whether one was found.
+  recordPass(stopId, vehicleRef, at) {
+    const row = this.findPassed.get(stopId, vehicleRef, at - PASS_LATE_WINDOW_MS, at + PASS_EARLY_WINDOW_MS, at);
+    if (!row) return false;
+    this.markPassed.run(at, row.rowid);
+    return true;
+  }
+
+  // Rows for a route and/or stop scheduled within [from, to), oldest first
+  query({ route, stop, from, to }) {
+    const conditions = ['scheduled_at >= ?', 'scheduled_at < ?'];
+    const parameters = [from, to];
+    if (route) {
+      conditions.push('route = ?');
+      parameters.push(route);
+    }
+    if (stop) {
+      conditions.push('stop_id = ?');
+      parameters.push(stop);
+    }
+    return this.db
+      .prepare(`SELECT ${SELECTED} FROM departures WHERE ${conditions.join(' AND ')} ORDER BY scheduled_at, stop_id, route`)
+      .all(...parameters);
+  }
+
+  pruneOld(now = Date.now()) {
+    return this.prune.run(now - this.retentionMs).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = PunctualityStore;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const { transit_realtime: transitRealtime } = require('gtfs-realtime-bindings');
+const RealtimeProvider = require('./realtimeProvider');
+const { atLondonTime } = require('../serviceDay');
+const { csvObjects } = require('../csv');
+const logger = require('../logger').child({ component: 'gtfs-rt' });
+
+const { OccupancyStatus } = transitRealtime.VehiclePosition;
+
+// GTFS-RT OccupancyStatus, reduced to the SIRI values the rest of the service uses
+const OCCUPANCY = {
+  [OccupancyStatus.EMPTY]: 'seatsAvailable',
+  [OccupancyStatus.MANY_SEATS_AVAILABLE]: 'seatsAvailable',
+  [OccupancyStatus.FEW_SEATS_AVAILABLE]: 'seatsAvailable',
+  [OccupancyStatus.STANDING_ROOM_ONLY]: 'standingAvailable',
+  [OccupancyStatus.CRUSHED_STANDING_ROOM_ONLY]: 'full',
+  [OccupancyStatus.FULL]: 'full',
+  [OccupancyStatus.NOT_ACCEPTING_PASSENGERS]: 'full'
+};
+
+// Decoded messages only have their own property when the feed sent the field;
+// otherwise reading it gives a default (0, or EMPTY for occupancy)
+const sent = (message, field) => Object.prototype.hasOwnProperty.call(message, field);
+
+const toNumber = value => (value === undefined || value === null ? null : Number(value));
+const fromEpoch = seconds => (seconds ? new Date(seconds * 1000) : null);
+
+// GTFS start_date (YYYYMMDD) + start_time (HH:MM:SS, UK time and possibly
+// past 24:00) -> origin departure
+function originDeparture(trip) {
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(trip.startDate || '');
+  const time = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec(trip.startTime || '');
+  if (!date || !time) return null;
+  return atLondonTime(`${date[1]}-${date[2]}-${date[3]}`, time[1] * 3600 + time[2] * 60 + Number(time[3]));
+}
+
+function dataFrame(trip) {
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(trip.startDate || '');
+  return date ? `${date[1]}-${date[2]}-${date[3]}` : null;
+}
+
+// GTFS static routes.txt -> { route_id: route_short_name }
+async function readRouteShortNames(file) {
+  const names = {};
+  for await (const route of csvObjects(fs.createReadStream(file, 'utf8'))) {
+    if (route.route_id && route.route_short_name) names[route.route_id] = route.route_short_name;
+  }
+  return names;
+}
+
+// BODS GTFS-RT feed: VehiclePositions and/or TripUpdates in one FeedMessage.
+// Its route_ids are BODS's own numeric IDs, so matching departures needs the
+// public line names: routeShortNames maps one to the other, or routesFile
+// names the GTFS static routes.txt to read them from on first use.
+class GtfsRtProvider extends RealtimeProvider {
+  constructor(options) {
+    super(options);
+    this.routeShortNames = options.routeShortNames || {};
+    this.routesFile = options.routesFile || null;
+    this.routesLoaded = null;
+  }
+
+  loadRouteShortNames() {
+    if (!this.routesLoaded) {
+      this.routesLoaded = readRouteShortNames(this.routesFile)
+        .then(names => {
+          this.routeShortNames = { ...names, ...this.routeShortNames };
+          logger.info('Loaded GTFS route names', { file: this.routesFile, routes: Object.keys(names).length });
+        })
+        .catch(error => logger.error('Error reading GTFS routes', { file: this.routesFile, error: error.message }));
+    }
+    return this.routesLoaded;
+  }
+
+  lineName(routeId) {
+    return this.routeShortNames[routeId] || routeId || 'unknown';
+  }
+
+  async parse(buffer) {
+    if (this.routesFile) await this.loadRouteShortNames();
+
+    // A body that doesn't decode throws, so the feed counts as unavailable
+    let feed;
+    try {
+      feed = transitRealtime.FeedMessage.decode(new Uint8Array(buffer));
+    } catch (error) {
+      throw new Error(`GTFS-RT response doesn't decode: ${error.message}`);
+    }
+
+    const vehicles = [];
+    const stopVisits = [];
+    const feedTimestamp = toNumber(feed.header && feed.header.timestamp);
+
+    for (const entity of feed.entity) {
+      if (entity.vehicle && entity.vehicle.position) {
+        vehicles.push(this.normalizeVehicle(entity.vehicle, feedTimestamp));
+      }
+      if (entity.tripUpdate) {
+        stopVisits.push(...this.normalizeTripUpdate(entity.tripUpdate));
+      }
+    }
+
+    return { vehicles, stopVisits };
+  }
+
+  normalizeVehicle(vehiclePosition, feedTimestamp) {
+    const trip = vehiclePosition.trip || {};
+    const descriptor = vehiclePosition.vehicle || {};
+    const position = vehiclePosition.position;
+    const routeNumber = this.lineName(trip.routeId);
+
+    return {
+      vehicleRef: descriptor.label || descriptor.id || 'unknown',
+      lineRef: routeNumber,
+      routeNumber,
+      destination: 'Unknown',
+      operatorRef: null,
+      directionRef: null,
+      dataFrameRef: dataFrame(trip),
+      datedVehicleJourneyRef: null,
+      journeyCode: null,
+      originAimedDepartureTime: originDeparture(trip),
+      latitude: position.latitude,
+      longitude: position.longitude,
+      bearing: sent(position, 'bearing') ? Math.round(position.bearing) % 360 : null,
+      speedKmh: sent(position, 'speed') ? Math.round(position.speed * 3.6) : null,
+      occupancy: sent(vehiclePosition, 'occupancyStatus') ? OCCUPANCY[vehiclePosition.occupancyStatus] || null : null,
+      timestamp: fromEpoch(toNumber(vehiclePosition.timestamp) || feedTimestamp) || new Date()
+    };
+  }
+
+  normalizeTripUpdate(tripUpdate) {
+    const trip = tripUpdate.trip || {};
+    const routeNumber = this.lineName(trip.routeId);
+    const cancelled = trip.scheduleRelationship === transitRealtime.TripDescriptor.ScheduleRelationship.CANCELED;
+
+    return (tripUpdate.stopTimeUpdate || [])
+      .filter(update => update.stopId)
+      .map(update => {
+        const event = update.departure || update.arrival || {};
+        const skipped = update.scheduleRelationship ===
+          transitRealtime.TripUpdate.StopTimeUpdate.ScheduleRelationship.SKIPPED;
+
+        return {
+          stopRef: update.stopId,
+          lineRef: routeNumber,
+          routeNumber,
+          destination: null,
+          operatorRef: null,
+          directionRef: null,
+          dataFrameRef: dataFrame(trip),
+          datedVehicleJourneyRef: null,
+          originAimedDepartureTime: originDeparture(trip),
+          aimedDepartureTime: null,
+          expectedDepartureTime: fromEpoch(toNumber(event.time)),
+          delaySeconds: sent(event, 'delay') ? toNumber(event.delay) : null,
+          departureStatus: cancelled || skipped ? 'cancelled' : null,
+          vehicleRef: tripUpdate.vehicle ? tripUpdate.vehicle.label || tripUpdate.vehicle.id : null
+        };
+      });
+  }
+}
+
+module.exports = GtfsRtProvider;
+module.exports.readRouteShortNames = readRouteShortNames;
@@ -0,0 +1,14 @@
+const RealtimeProvider = require('./realtimeProvider');
+const SiriVmProvider = require('./siriVmProvider');
+const SiriSmProvider = require('./siriSmProvider');
+const GtfsRtProvider = require('./gtfsRtProvider');
+const { httpSource, fileSource } = require('./sources');
+
+module.exports = {
+  RealtimeProvider,
+  SiriVmProvider,
+  SiriSmProvider,
+  GtfsRtProvider,
+  httpSource,
+  fileSource
+};
@@ -0,0 +1,29 @@
+// Base class for real-time feeds. Each provider turns its raw payload into
+// the same normalized shape:
+//   vehicles   - positions, as produced by parseSIRIVM
+//   stopVisits - predicted departures at a stop
+class RealtimeProvider {
+  constructor({ name, source, operators = null }) {
+    this.name = name;
+    this.source = source;
+    this.operators = operators; // restrict to these operators, or null for all
+  }
+
+  async fetch() {
+    const payload = await this.source();
+    const { vehicles = [], stopVisits = [] } = await this.parse(payload);
+    return { vehicles, stopVisits };
+  }
+
+  async parse() {
+    throw new Error(`${this.constructor.name} must implement parse()`);
+  }
+
+  coversOperator(operator) {
+    if (!this.operators) return true;
+    const name = String(operator || '').toLowerCase();
+    return this.operators.some(covered => name.includes(covered.toLowerCase()));
+  }
+}
+
+module.exports = RealtimeProvider;
@@ -0,0 +1,53 @@
+const xml2js = require('xml2js');
+const RealtimeProvider = require('./realtimeProvider');
+
+const asArray = value => (value === undefined || value === null ? [] : [].concat(value));
+const toDate = value => (value ? new Date(value) : null);
+
+// Throws on anything that isn't a SIRI document, like parseSiriVm
+async function parseSiriSm(xmlData) {
+  const parser = new xml2js.Parser({ explicitArray: false });
+  const result = await parser.parseStringPromise(xmlData);
+  if (!result || !result.Siri) throw new Error('SIRI-SM response is not a SIRI document');
+
+  const stopVisits = [];
+  const deliveries = asArray(result.Siri?.ServiceDelivery?.StopMonitoringDelivery);
+
+  for (const delivery of deliveries) {
+    for (const visit of asArray(delivery.MonitoredStopVisit)) {
+      const journey = visit.MonitoredVehicleJourney;
+      const call = journey && journey.MonitoredCall;
+      if (!call) continue;
+
+      const framedJourney = journey.FramedVehicleJourneyRef || {};
+
+      stopVisits.push({
+        stopRef: call.StopPointRef || visit.MonitoringRef,
+        lineRef: journey.LineRef || 'unknown',
+        routeNumber: journey.PublishedLineName || journey.LineRef,
+        destination: journey.DestinationName || null,
+        operatorRef: journey.OperatorRef || null,
+        directionRef: journey.DirectionRef || null,
+        dataFrameRef: framedJourney.DataFrameRef || null,
+        datedVehicleJourneyRef: framedJourney.DatedVehicleJourneyRef || null,
+        originAimedDepartureTime: toDate(journey.OriginAimedDepartureTime),
+        aimedDepartureTime: toDate(call.AimedDepartureTime || call.AimedArrivalTime),
+        expectedDepartureTime: toDate(call.ExpectedDepartureTime || call.ExpectedArrivalTime),
+        departureStatus: call.DepartureStatus || null,
+        vehicleRef: journey.VehicleRef || null
+      });
+    }
+  }
+
+  return stopVisits;
+}
+
+// SIRI-SM stop monitoring: predicted departures for the stops we ask about
+class SiriSmProvider extends RealtimeProvider {
+  async parse(xmlData) {
+    return { stopVisits: await parseSiriSm(xmlData) };
+  }
+}
+
+module.exports = SiriSmProvider;
+module.exports.parseSiriSm = parseSiriSm;
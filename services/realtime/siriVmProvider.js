@@ -0,0 +1,85 @@
+const xml2js = require('xml2js');
+const RealtimeProvider = require('./realtimeProvider');
+
+// SIRI Occupancy values, reduced to the three every feed can express
+const OCCUPANCY = {
+  empty: 'seatsAvailable',
+  manySeatsAvailable: 'seatsAvailable',
+  fewSeatsAvailable: 'seatsAvailable',
+  seatsAvailable: 'seatsAvailable',
+  standingAvailable: 'standingAvailable',
+  standingRoomOnly: 'standingAvailable',
+  crushedStandingRoomOnly: 'full',
+  full: 'full',
+  notAcceptingPassengers: 'full'
+};
+
+// A number, or null when the feed sent nothing usable - never 0
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toBearing(value) {
+  const bearing = toNumber(value);
+  return bearing !== null && bearing >= 0 && bearing <= 360 ? Math.round(bearing) % 360 : null;
+}
+
+// Throws on anything that isn't a SIRI document - an error page or a
+// truncated response - so the feed counts as unavailable rather than empty
+async function parseSiriVm(xmlData) {
+  const parser = new xml2js.Parser({ explicitArray: false });
+  const result = await parser.parseStringPromise(xmlData);
+  if (!result || !result.Siri) throw new Error('SIRI-VM response is not a SIRI document');
+
+  const vehicles = [];
+
+  // Navigate SIRI-VM structure
+  if (result.Siri && result.Siri.ServiceDelivery && result.Siri.ServiceDelivery.VehicleMonitoringDelivery) {
+    const delivery = result.Siri.ServiceDelivery.VehicleMonitoringDelivery;
+    const activities = Array.isArray(delivery.VehicleActivity) 
+      ? delivery.VehicleActivity 
+      : [delivery.VehicleActivity];
+
+    for (const activity of activities) {
+      if (activity && activity.MonitoredVehicleJourney) {
+        const journey = activity.MonitoredVehicleJourney;
+        const framedJourney = journey.FramedVehicleJourneyRef || {};
+        const ticketMachine = activity.Extensions?.VehicleJourney?.Operational?.TicketMachine;
+        
+        vehicles.push({
+          vehicleRef: journey.VehicleRef || 'unknown',
+          lineRef: journey.LineRef || 'unknown',
+          routeNumber: journey.PublishedLineName || journey.LineRef,
+          destination: journey.DestinationName || 'Unknown',
+          operatorRef: journey.OperatorRef || null,
+          directionRef: journey.DirectionRef || null,
+          dataFrameRef: framedJourney.DataFrameRef || null,
+          datedVehicleJourneyRef: framedJourney.DatedVehicleJourneyRef || null,
+          journeyCode: ticketMachine?.JourneyCode || null,
+          originAimedDepartureTime: journey.OriginAimedDepartureTime
+            ? new Date(journey.OriginAimedDepartureTime)
+            : null,
+          latitude: toNumber(journey.VehicleLocation?.Latitude),
+          longitude: toNumber(journey.VehicleLocation?.Longitude),
+          bearing: toBearing(journey.Bearing),
+          speedKmh: null,
+          occupancy: OCCUPANCY[journey.Occupancy] || null,
+          timestamp: new Date(activity.RecordedAtTime || journey.RecordedAtTime || Date.now())
+        });
+      }
+    }
+  }
+  
+  return vehicles;
+}
+
+// BODS SIRI-VM vehicle monitoring (the `datafeed` endpoint)
+class SiriVmProvider extends RealtimeProvider {
+  async parse(xmlData) {
+    return { vehicles: await parseSiriVm(xmlData) };
+  }
+}
+
+module.exports = SiriVmProvider;
+module.exports.parseSiriVm = parseSiriVm;
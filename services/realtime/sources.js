@@ -0,0 +1,25 @@
+const fs = require('fs/promises');
+const UpstreamClient = require('../upstreamClient');
+
+// A source is an async function returning the raw feed payload. Providers
+// don't care whether it comes from the network or a recorded fixture file.
+
+// Requests go through `client` as feed `name`, so they get its timeouts,
+// retries and circuit breaker
+function httpSource(url, { binary = false, client = new UpstreamClient(), name = 'feed' } = {}) {
+  return () => {
+    const target = typeof url === 'function' ? url() : url;
+    return client.request(name, target, {
+      read: async response => (binary ? Buffer.from(await response.arrayBuffer()) : response.text())
+    });
+  };
+}
+
+function fileSource(path, { binary = false } = {}) {
+  return () => fs.readFile(path, binary ? undefined : 'utf8');
+}
+
+module.exports = {
+  httpSource,
+  fileSource
+};
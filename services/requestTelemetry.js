@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { registry } = require('./metrics');
+const logger = require('./logger');
+
+// An ID passed in by a proxy or client is kept if it looks like one, so a
+// request can be followed from the display through to our logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestsTotal = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+const requestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route']
+});
+
+// The route pattern rather than the path, so /api/bus-times/:stopId is one
+// series however many stops there are
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Middleware giving every request an ID (echoed in X-Request-Id and on every
+// log line written while handling it), an access log line and HTTP metrics
+function createRequestTelemetry() {
+  return (req, res, next) => {
+    const inbound = req.get('X-Request-Id');
+    req.id = inbound && REQUEST_ID_PATTERN.test(inbound) ? inbound : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const stopTimer = requestDuration.startTimer({ method: req.method });
+    res.once('close', () => {
+      const route = routeOf(req);
+      const seconds = stopTimer({ route });
+      requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      logger.withRequestId(req.id, () => logger.info('Request handled', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        ip: req.ip
+      }));
+    });
+
+    logger.withRequestId(req.id, next);
+  };
+}
+
+module.exports = {
+  createRequestTelemetry
+};
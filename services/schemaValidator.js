@@ -0,0 +1,102 @@
+// Checks values against the subset of OpenAPI 3.0 schemas the API document
+// uses: $ref, allOf, type, nullable, enum, format (date-time, date), pattern,
+// minimum/maximum, minLength, items, properties, required and
+// additionalProperties. Returns every problem found, each with the path to
+// the offending value, so nothing is reported one fix at a time.
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function resolve(schema, document) {
+  if (!schema.$ref) return schema;
+  const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+  if (!target) throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+  return resolve(target, document);
+}
+
+function check(schema, value, path, document, problems) {
+  schema = resolve(schema, document);
+  const type = typeOf(value);
+
+  if (value === null) {
+    if (!schema.nullable && (schema.type !== undefined || schema.allOf)) problems.push(`${path} must not be null`);
+    return;
+  }
+  for (const part of schema.allOf || []) check(part, value, path, document, problems);
+  if (schema.type && !(schema.type === type || (schema.type === 'number' && type === 'integer'))) {
+    problems.push(`${path} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'string') {
+    if (schema.format === 'date-time' && !(DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+      problems.push(`${path} must be a date and time with an offset`);
+    }
+    if (schema.format === 'date' && !DATE.test(value)) problems.push(`${path} must be a date (YYYY-MM-DD)`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${path} must match ${schema.pattern}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+  }
+  if (type === 'integer' || type === 'number') {
+    if (Number.isNaN(value)) problems.push(`${path} must be a number`);
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, document, problems));
+  }
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push(`${path}.${name} is required`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        check(properties[name], propertyValue, `${path}.${name}`, document, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${name} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, propertyValue, `${path}.${name}`, document, problems);
+      }
+    }
+  }
+}
+
+// Problems with `value` against `schema`, whose $refs point into `document`
+function validate(schema, value, document = {}, path = '$') {
+  const problems = [];
+  check(schema, value, path, document, problems);
+  return problems;
+}
+
+// A query or path parameter arrives as a string: convert it to the type its
+// schema declares before checking it
+function coerceParameter(schema, raw) {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return raw.trim() === '' ? raw : Number(raw);
+  }
+  if (schema.type === 'boolean') {
+    return raw === 'true' ? true : raw === 'false' ? false : raw;
+  }
+  if (schema.type === 'array') {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+module.exports = {
+  validate,
+  coerceParameter
+};
@@ -0,0 +1,136 @@
+// UK time for everything the timetable pipeline does, whatever time zone the
+// server runs in. TransXChange times are wall-clock times on an operating
+// day ("25:10" is ten past one the next morning) and buses after midnight
+// belong to the evening before: a service day runs from 04:00 to 04:00.
+const TIME_ZONE = 'Europe/London';
+const SERVICE_DAY_START_SECONDS = 4 * 3600;
+const DAY_SECONDS = 86400;
+const UNAMBIGUOUS_CLOCK_MS = 18 * 3600000; // a bare "HH:MM" this far ahead can't be misread
+
+const partsInLondon = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+const timeInLondon = new Intl.DateTimeFormat('en-GB', { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+const weekdayInLondon = new Intl.DateTimeFormat('en-GB', { timeZone: TIME_ZONE, weekday: 'short' });
+
+const pad = value => String(value).padStart(2, '0');
+
+// Wall-clock fields of an instant in UK time
+function londonParts(time) {
+  const parts = {};
+  for (const { type, value } of partsInLondon.formatToParts(new Date(time))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// UK clocks only change on the hour (UTC), so offsets are cached per hour
+const offsetsByHour = new Map();
+const MAX_CACHED_OFFSETS = 10000;
+
+// Minutes UK time is ahead of UTC at an instant: 0 (GMT) or 60 (BST)
+function londonOffsetMinutes(time) {
+  const hour = Math.floor(new Date(time).getTime() / 3600000);
+  if (!offsetsByHour.has(hour)) {
+    if (offsetsByHour.size >= MAX_CACHED_OFFSETS) offsetsByHour.clear();
+    const parts = londonParts(hour * 3600000);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    offsetsByHour.set(hour, Math.round((wall - hour * 3600000) / 60000));
+  }
+  return offsetsByHour.get(hour);
+}
+
+// "YYYY-MM-DD" calendar date in UK time
+function londonDateKey(time) {
+  const { year, month, day } = londonParts(time);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// ISO day number: Monday = 1 ... Sunday = 7
+function isoDayOf(dateKey) {
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+// The instant a UK wall-clock time happens: `seconds` after midnight on
+// dateKey, past 24:00 meaning the following days. Across the spring gap a
+// time that doesn't exist moves forward by the hour the clocks skip; on the
+// autumn night a time that happens twice is the first (BST) one.
+function atLondonTime(dateKey, seconds) {
+  const wholeDays = Math.floor(seconds / DAY_SECONDS);
+  const [year, month, day] = addDays(dateKey, wholeDays).split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day) + (seconds - wholeDays * DAY_SECONDS) * 1000;
+
+  const before = londonOffsetMinutes(wall - 12 * 3600000);
+  const after = londonOffsetMinutes(wall + 12 * 3600000);
+  for (const offset of [Math.max(before, after), Math.min(before, after)]) {
+    const instant = wall - offset * 60000;
+    if (londonOffsetMinutes(instant) === offset) return new Date(instant);
+  }
+  return new Date(wall - before * 60000);
+}
+
+// "YYYY-MM-DD" of the service day a time falls in
+function serviceDayOf(time) {
+  const { hour, minute, second } = londonParts(time);
+  const date = londonDateKey(time);
+  return hour * 3600 + minute * 60 + second < SERVICE_DAY_START_SECONDS ? addDays(date, -1) : date;
+}
+
+// "HH:MM" in UK time
+function formatClock(time) {
+  return timeInLondon.format(new Date(time));
+}
+
+// "HH:MM", or "Sun 07:15" when it is far enough off to need the day
+function formatUpcoming(time, now = new Date()) {
+  const soon = new Date(time) - now < UNAMBIGUOUS_CLOCK_MS;
+  return soon ? formatClock(time) : `${weekdayInLondon.format(new Date(time))} ${formatClock(time)}`;
+}
+
+// ISO 8601 in UK time with its offset, e.g. "2026-07-01T17:05:00.000+01:00",
+// so clients never have to know which side of a clock change a time is
+function toLondonISO(time) {
+  const date = new Date(time);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const { year, month, day, hour, minute, second } = londonParts(date);
+  const offset = londonOffsetMinutes(date);
+  const milliseconds = String(date.getUTCMilliseconds()).padStart(3, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}.${milliseconds}` +
+    `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// JSON.stringify replacer writing every Date as toLondonISO does. By the time
+// a replacer runs, Date.toJSON has already made a UTC string of the value, so
+// the original is read from the holder.
+function londonTimesReplacer(key, value) {
+  return this[key] instanceof Date ? toLondonISO(this[key]) : value;
+}
+
+module.exports = {
+  TIME_ZONE,
+  londonParts,
+  londonOffsetMinutes,
+  londonDateKey,
+  addDays,
+  isoDayOf,
+  atLondonTime,
+  serviceDayOf,
+  formatClock,
+  formatUpcoming,
+  toLondonISO,
+  londonTimesReplacer
+};
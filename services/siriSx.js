@@ -0,0 +1,119 @@
+const { Readable } = require('stream');
+const { streamXmlRecords } = require('./xmlStream');
+
+const asArray = value => (value === undefined || value === null ? [] : [].concat(value));
+const text = value => (value && typeof value === 'object' ? value._ : value);
+const toDate = value => (text(value) ? new Date(text(value)) : null);
+
+const REASONS = ['MiscellaneousReason', 'PersonnelReason', 'EquipmentReason', 'EnvironmentReason'];
+const SEVERITIES = ['unknown', 'verySlight', 'slight', 'normal', 'severe', 'verySevere'];
+
+function parseOperator(operator) {
+  return { ref: text(operator.OperatorRef) || null, name: text(operator.OperatorName) || null };
+}
+
+// What a consequence (or the situation itself, in older feeds) applies to
+function parseAffects(affects = {}) {
+  const operators = [];
+  const lines = [];
+
+  for (const network of asArray(affects.Networks && affects.Networks.AffectedNetwork)) {
+    const networkOperators = asArray(network.AffectedOperator).map(parseOperator);
+    const networkLines = asArray(network.AffectedLine);
+
+    for (const line of networkLines) {
+      const operator = parseOperator(asArray(line.AffectedOperator)[0] || networkOperators[0] || {});
+      lines.push({
+        lineRef: text(line.LineRef) || null,
+        name: text(line.PublishedLineName) || text(line.LineRef) || null,
+        operatorRef: operator.ref,
+        operatorName: operator.name
+      });
+    }
+    if (networkLines.length === 0) operators.push(...networkOperators);
+  }
+
+  const affectedOperators = affects.Operators || {};
+  operators.push(...asArray(affectedOperators.AffectedOperator).map(parseOperator));
+  const allOperators = affectedOperators.AllOperators !== undefined;
+
+  const stops = asArray(affects.StopPoints && affects.StopPoints.AffectedStopPoint)
+    .map(stop => text(stop.StopPointRef))
+    .filter(Boolean);
+
+  const journeys = asArray(affects.VehicleJourneys && affects.VehicleJourneys.AffectedVehicleJourney)
+    .map(journey => {
+      const framed = journey.FramedVehicleJourneyRef || {};
+      const operator = parseOperator(journey.Operator || {});
+      return {
+        journeyRef: text(framed.DatedVehicleJourneyRef) || text(journey.DatedVehicleJourneyRef) || null,
+        dataFrameRef: text(framed.DataFrameRef) || null,
+        lineRef: text(journey.LineRef) || text(journey.PublishedLineName) || null,
+        operatorRef: operator.ref,
+        originAimedDepartureTime: toDate(journey.OriginAimedDepartureTime)
+      };
+    });
+
+  return { allOperators, operators, lines, stops, journeys };
+}
+
+function parseConsequence(consequence, situationAffects) {
+  const affects = consequence.Affects ? parseAffects(consequence.Affects) : situationAffects;
+  return {
+    condition: text(consequence.Condition) || null,
+    severity: text(consequence.Severity) || null,
+    advice: text(consequence.Advice && consequence.Advice.Details) || null,
+    ...affects
+  };
+}
+
+function parseSituation(element) {
+  const situationAffects = parseAffects(element.Affects);
+  const reasonKey = REASONS.find(key => element[key] !== undefined);
+  const consequences = asArray(element.Consequences && element.Consequences.Consequence)
+    .map(consequence => parseConsequence(consequence, situationAffects));
+  if (consequences.length === 0) consequences.push(parseConsequence({}, situationAffects));
+
+  const severities = consequences.map(consequence => SEVERITIES.indexOf(consequence.severity));
+  return {
+    id: text(element.SituationNumber),
+    version: text(element.Version) || null,
+    participantRef: text(element.ParticipantRef) || null,
+    progress: text(element.Progress) || 'open',
+    planned: text(element.Planned) === 'true',
+    reason: reasonKey ? text(element[reasonKey]) : null,
+    severity: SEVERITIES[Math.max(...severities)] || 'unknown',
+    summary: text(element.Summary) || null,
+    description: text(element.Description) || null,
+    validityPeriods: asArray(element.ValidityPeriod).map(period => ({
+      start: toDate(period.StartTime),
+      end: toDate(period.EndTime)
+    })),
+    infoLinks: asArray(element.InfoLinks && element.InfoLinks.InfoLink).map(link => text(link.Uri)).filter(Boolean),
+    consequences
+  };
+}
+
+function selectSituation(path) {
+  return path.length >= 2 && path[path.length - 1] === 'PtSituationElement' &&
+    path[path.length - 2] === 'Situations';
+}
+
+// Parse a SIRI-SX situation exchange document (string, buffer or stream),
+// keeping the situations for which keep(situation) is true. The national
+// BODS feed is large, so situations are read one at a time.
+async function parseSiriSx(payload, keep = () => true) {
+  const input = typeof payload === 'string' || Buffer.isBuffer(payload) ? Readable.from([payload]) : payload;
+  const situations = [];
+
+  await streamXmlRecords(input, selectSituation, (tag, element) => {
+    const situation = parseSituation(element);
+    if (situation.id && keep(situation)) situations.push(situation);
+  });
+
+  return situations;
+}
+
+module.exports = {
+  parseSiriSx
+};
@@ -0,0 +1,87 @@
+// Stale-while-revalidate on top of a NodeCache, with in-flight request
+// coalescing: concurrent misses for the same key share one loader call, and
+// a stale value is served immediately while a single refresh runs behind it.
+
+const logger = require('./logger').child({ component: 'cache' });
+
+class StaleWhileRevalidate {
+  constructor(cache, { freshFor, staleFor }) {
+    this.cache = cache;
+    this.freshFor = freshFor;   // seconds a value is served without refreshing
+    this.staleFor = staleFor;   // further seconds it may be served while refreshing
+    this.inFlight = new Map();
+    this.failures = new Map(); // key -> when its last load failed, until one succeeds
+  }
+
+  // Resolves to { value, status, storedAt, freshFor, failedAt } where status
+  // is hit, stale or miss, and failedAt is set while refreshes are failing
+  async fetch(key, loader, options = {}) {
+    const entry = this.cache.get(key);
+
+    if (entry) {
+      const age = (Date.now() - entry.storedAt) / 1000;
+      const status = age < entry.freshFor ? 'hit' : 'stale';
+      if (status === 'stale') this.revalidate(key, loader, options);
+
+      return {
+        value: entry.value,
+        status,
+        storedAt: entry.storedAt,
+        freshFor: entry.freshFor,
+        failedAt: this.failures.get(key) || null
+      };
+    }
+
+    const value = await this.load(key, loader, options);
+    const stored = this.cache.get(key) || { storedAt: Date.now(), freshFor: 0 };
+    return { value, status: 'miss', storedAt: stored.storedAt, freshFor: stored.freshFor, failedAt: null };
+  }
+
+  // When refreshing `key` started failing, or null while it is loading fine
+  failedAt(key) {
+    return this.failures.get(key) || null;
+  }
+
+  async get(key, loader, options) {
+    return (await this.fetch(key, loader, options)).value;
+  }
+
+  set(key, value, { freshFor = this.freshFor, staleFor = this.staleFor, storedAt = Date.now() } = {}) {
+    // Keep the entry for its whole stale window from now, even when seeding an
+    // old value (e.g. from disk), so it can be served while it is refreshed
+    this.cache.set(key, { value, storedAt, freshFor }, freshFor + staleFor);
+  }
+
+  load(key, loader, options) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        this.failures.delete(key);
+        this.set(key, value, options);
+        return value;
+      }, error => {
+        this.failures.set(key, Date.now());
+        throw error;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  revalidate(key, loader, options) {
+    if (this.inFlight.has(key)) return;
+
+    this.load(key, loader, options).catch(error => {
+      logger.warn('Background refresh failed, serving stale data', { key, error: error.message });
+    });
+  }
+}
+
+module.exports = StaleWhileRevalidate;
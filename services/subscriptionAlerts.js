@@ -0,0 +1,133 @@
+const { departureKey } = require('./departureBroadcaster');
+const logger = require('./logger').child({ component: 'alerts' });
+
+const DEFAULT_CHECK_INTERVAL_MS = 30000;
+const FORGET_SENT_AFTER_MS = 2 * 3600000; // well past the departure, so it can't come round again
+const EXPIRED_PUSH_STATUSES = [404, 410];
+
+// Evaluates every subscription against its venue's departure boards on each
+// check, alerting once per departure when it comes within the lead time
+class SubscriptionAlerts {
+  constructor(bodsService, store, notifier, options = {}) {
+    this.bodsService = bodsService;
+    this.store = store;
+    this.notifier = notifier;
+    this.checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL_MS;
+    this.timer = null;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch(error => logger.error('Alert check failed', { error: error.message }));
+    }, this.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One check at a time; overlapping ticks share the running one
+  check(now = Date.now()) {
+    if (this.checking) return this.checking;
+
+    this.checking = this.runCheck(now).finally(() => {
+      this.checking = null;
+    });
+    return this.checking;
+  }
+
+  async runCheck(now) {
+    const subscriptions = this.store.list();
+    const venueIds = new Set(subscriptions.map(subscription => subscription.venue));
+
+    for (const venueId of venueIds) {
+      let board;
+      try {
+        board = await this.bodsService.getVenueData(venueId);
+      } catch (error) {
+        logger.error('Alert check failed', { venue: venueId, error: error.message });
+        continue;
+      }
+
+      for (const subscription of subscriptions.filter(subscription => subscription.venue === venueId)) {
+        for (const alert of this.dueAlerts(subscription, board, now)) {
+          await this.deliver(subscription, alert);
+        }
+      }
+    }
+  }
+
+  // Departures on the watched routes and stops that are within the lead time
+  dueAlerts(subscription, board, now) {
+    const venue = this.bodsService.getVenue(subscription.venue);
+    const stopIds = subscription.stops || Object.keys(board);
+    const alerts = [];
+
+    for (const stopId of stopIds) {
+      for (const departure of board[stopId] || []) {
+        if (!subscription.routes.includes(departure.routeNumber) || departure.status === 'cancelled') continue;
+
+        const departs = new Date(departure.estimatedTime || departure.scheduledTime).getTime();
+        const minutesAway = Math.round((departs - now) / 60000);
+        if (departs < now || minutesAway > subscription.leadMinutes) continue;
+
+        const stopName = venue.stops[stopId] ? venue.stops[stopId].name : stopId;
+        alerts.push({
+          key: `${subscription.id}:${departureKey(stopId, departure)}`,
+          forgetAfter: departs + FORGET_SENT_AFTER_MS,
+          payload: {
+            type: 'departure',
+            subscriptionId: subscription.id,
+            name: subscription.name || null,
+            venue: subscription.venue,
+            stopId,
+            stopName,
+            routeNumber: departure.routeNumber,
+            destination: departure.destination,
+            scheduledTime: departure.scheduledTime,
+            estimatedTime: departure.estimatedTime,
+            live: !departure.scheduledOnly,
+            minutesAway,
+            message: `${departure.routeNumber} to ${departure.destination} leaves ${stopName} ` +
+              (minutesAway <= 0 ? 'now' : `in ${minutesAway} min`)
+          }
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  async deliver(subscription, { key, forgetAfter, payload }) {
+    if (this.store.hasSent(key)) return;
+
+    try {
+      await this.notifier.send(subscription.channel, payload);
+      await this.store.markSent(key, forgetAfter);
+      logger.info('Alert sent', { subscriptionId: subscription.id, message: payload.message });
+    } catch (error) {
+      // The browser has dropped the push subscription: stop trying it
+      if (EXPIRED_PUSH_STATUSES.includes(error.statusCode)) {
+        logger.warn('Push subscription has expired, removing it', { subscriptionId: subscription.id });
+        try {
+          await this.store.remove(subscription.id);
+        } catch (removeError) {
+          // Still stored, so the next check finds it expired and tries again
+          logger.error('Failed to remove expired subscription', {
+            subscriptionId: subscription.id,
+            error: removeError.message
+          });
+        }
+        return;
+      }
+      // Not marked as sent, so the next check tries again
+      logger.warn('Alert failed', { subscriptionId: subscription.id, error: error.message });
+    }
+  }
+}
+
+module.exports = SubscriptionAlerts;
@@ -0,0 +1,186 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').child({ component: 'subscriptions' });
+const { webhookUrlProblem } = require('./webhookTarget');
+
+const MAX_LEAD_MINUTES = 120;
+const CHANNEL_TYPES = ['webhook', 'webpush'];
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// What clients see of a subscription: everything but its secret's hash
+const present = ({ secretHash, ...subscription }) => subscription;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+function validateChannel(channel, problems) {
+  if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+    problems.push(`channel.type must be one of ${CHANNEL_TYPES.join(', ')}`);
+    return;
+  }
+
+  if (channel.type === 'webhook') {
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch (error) {
+      problems.push('channel.url must be a URL');
+      return;
+    }
+    const problem = webhookUrlProblem(url);
+    if (problem) problems.push(problem);
+  }
+
+  if (channel.type === 'webpush') {
+    const subscription = channel.subscription;
+    if (!subscription || !isNonEmptyString(subscription.endpoint) || !subscription.keys ||
+        !isNonEmptyString(subscription.keys.p256dh) || !isNonEmptyString(subscription.keys.auth)) {
+      problems.push('channel.subscription must be a browser PushSubscription (endpoint and keys)');
+    }
+  }
+}
+
+// Returns a list of problems with a subscription against the configured
+// venues; an empty list means it can be stored
+function validateSubscription(subscription, venues) {
+  const problems = [];
+  if (!subscription || typeof subscription !== 'object') return ['subscription must be an object'];
+
+  const venue = venues[subscription.venue];
+  if (!venue) problems.push(`venue "${subscription.venue}" is not a configured venue`);
+  if (subscription.name !== undefined && !isNonEmptyString(subscription.name)) problems.push('name must be a string');
+
+  if (!Array.isArray(subscription.routes) || subscription.routes.length === 0 || !subscription.routes.every(isNonEmptyString)) {
+    problems.push('routes must be a non-empty list of route numbers');
+  }
+
+  if (subscription.stops !== undefined) {
+    if (!Array.isArray(subscription.stops) || subscription.stops.length === 0) {
+      problems.push('stops must be a non-empty list of stop IDs');
+    } else if (venue) {
+      subscription.stops
+        .filter(stopId => !venue.stops[stopId])
+        .forEach(stopId => problems.push(`stop ${stopId} is not part of ${subscription.venue}`));
+    }
+  }
+
+  const lead = subscription.leadMinutes;
+  if (!Number.isInteger(lead) || lead < 1 || lead > MAX_LEAD_MINUTES) {
+    problems.push(`leadMinutes must be a whole number from 1 to ${MAX_LEAD_MINUTES}`);
+  }
+
+  validateChannel(subscription.channel, problems);
+  return problems;
+}
+
+// Favourite-route alert subscriptions, plus a record of the alerts already
+// sent so a departure never alerts twice (even across restarts). Everything
+// lives in one JSON file, rewritten atomically on each change.
+// Each subscription gets a secret, returned once when it is created and
+// needed to read, change or delete it; only a hash of it is stored.
+class SubscriptionStore {
+  constructor(directory) {
+    this.file = path.join(directory, 'subscriptions.json');
+    this.subscriptions = {};
+    this.sent = {}; // alert key -> time (ms) after which it can be forgotten
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      // Keep anything created while the file was being read
+      this.subscriptions = { ...stored.subscriptions, ...this.subscriptions };
+      this.sent = { ...stored.sent, ...this.sent };
+      logger.info('Loaded alert subscriptions', { count: Object.keys(this.subscriptions).length });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable subscriptions file', { error: error.message });
+      }
+    }
+    return this;
+  }
+
+  list() {
+    return Object.values(this.subscriptions).map(present);
+  }
+
+  get(id) {
+    return this.subscriptions[id] ? present(this.subscriptions[id]) : null;
+  }
+
+  // Whether `secret` is the one the subscription was created with.
+  // Subscriptions saved before secrets existed have none to match.
+  hasSecret(id, secret) {
+    const subscription = this.subscriptions[id];
+    if (!subscription || !subscription.secretHash || typeof secret !== 'string') return false;
+    return crypto.timingSafeEqual(digest(secret), Buffer.from(subscription.secretHash, 'hex'));
+  }
+
+  async create(fields) {
+    const now = new Date().toISOString();
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const subscription = {
+      id: crypto.randomUUID(),
+      ...fields,
+      secretHash: digest(secret).toString('hex'),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.subscriptions[subscription.id] = subscription;
+    await this.save();
+    return { ...present(subscription), secret };
+  }
+
+  async update(id, fields) {
+    const existing = this.subscriptions[id];
+    if (!existing) return null;
+
+    const subscription = {
+      id,
+      ...fields,
+      secretHash: existing.secretHash,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.subscriptions[id] = subscription;
+    await this.save();
+    return present(subscription);
+  }
+
+  async remove(id) {
+    if (!this.subscriptions[id]) return false;
+    delete this.subscriptions[id];
+    await this.save();
+    return true;
+  }
+
+  hasSent(key) {
+    return key in this.sent;
+  }
+
+  async markSent(key, forgetAfter) {
+    this.sent[key] = forgetAfter;
+
+    const now = Date.now();
+    for (const [key, expiry] of Object.entries(this.sent)) {
+      if (expiry < now) delete this.sent[key];
+    }
+    await this.save();
+  }
+
+  // Writes are queued so two changes never race on the temporary file
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify({ subscriptions: this.subscriptions, sent: this.sent }, null, 2));
+      await fs.rename(temporary, this.file);
+    });
+    return this.writing;
+  }
+}
+
+module.exports = SubscriptionStore;
+module.exports.validateSubscription = validateSubscription;
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const yauzl = require('yauzl');
+const TimetableIndex = require('./timetableIndex');
+const { TimetableBuilder } = require('./transXChange');
+const { parseTransXChangeStream } = require('./transXChangeStream');
+const logger = require('./logger').child({ component: 'timetables' });
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'binary');
+
+async function isZipFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.equals(ZIP_SIGNATURE);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Call readDocument(name, stream) for each XML file in the archive, one at a time
+function forEachZippedDocument(filePath, readDocument) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zip) => {
+      if (openError) return reject(openError);
+
+      const fail = error => {
+        zip.close();
+        reject(error);
+      };
+
+      zip.on('error', fail);
+      zip.on('end', resolve);
+      zip.on('entry', entry => {
+        if (!/\.xml$/i.test(entry.fileName) || entry.fileName.startsWith('__MACOSX/')) {
+          zip.readEntry();
+          return;
+        }
+
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return fail(streamError);
+          readDocument(entry.fileName, stream).then(() => zip.readEntry(), fail);
+        });
+      });
+
+      zip.readEntry();
+    });
+  });
+}
+
+// Read a downloaded BODS timetable dataset (a single TransXChange document or
+// a zip of them) into one timetable index. With stopRefs, only journeys
+// calling at those stops are kept.
+async function readTimetableDataset(filePath, { stopRefs } = {}) {
+  const timetable = new TimetableIndex();
+  let documents = 0;
+
+  const readDocument = async (name, stream) => {
+    const builder = new TimetableBuilder({ stopRefs });
+    try {
+      await parseTransXChangeStream(stream, builder);
+      timetable.merge(builder.build());
+      documents++;
+    } catch (error) {
+      logger.warn('Skipping unreadable TransXChange file', { file: name, error: error.message });
+    }
+  };
+
+  if (await isZipFile(filePath)) {
+    await forEachZippedDocument(filePath, readDocument);
+  } else {
+    await readDocument(filePath, fs.createReadStream(filePath));
+  }
+
+  logger.info('Parsed TransXChange files', { journeys: timetable.journeys.length, files: documents });
+  return timetable.toJSON();
+}
+
+module.exports = {
+  readTimetableDataset
+};
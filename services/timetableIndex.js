@@ -0,0 +1,119 @@
+const { operatesOn } = require('./operatingProfile');
+const { isValidPoint, haversineDistance } = require('./geo');
+const { londonDateKey, addDays, isoDayOf, atLondonTime } = require('./serviceDay');
+
+const DAY_SECONDS = 86400;
+
+class TimetableIndex {
+  constructor(data = {}) {
+    this.stopPoints = data.stopPoints || {};
+    this.tracks = data.tracks || {};
+    this.journeys = data.journeys || [];
+    this.shapes = new Map();
+  }
+
+  merge(data) {
+    Object.assign(this.stopPoints, data.stopPoints);
+    Object.assign(this.tracks, data.tracks);
+    this.journeys.push(...data.journeys);
+    this.shapes.clear();
+    return this;
+  }
+
+  getStopLocation(stopRef) {
+    const stop = this.stopPoints[stopRef];
+    return isValidPoint(stop) ? stop : null;
+  }
+
+  // Journeys on a route that pick up at the given stop
+  getJourneysServing(stopRef, lineName) {
+    return this.journeys.filter(journey =>
+      journey.lineName === lineName && journey.calls.some(call => call.stopRef === stopRef)
+    );
+  }
+
+  // Polyline for a journey's stop sequence, using route track geometry
+  // between stops where the dataset provides it. Shapes are shared between
+  // journeys with the same stopping pattern.
+  getJourneyShape(journey) {
+    const key = journey.calls.map(call => call.stopRef).join('|');
+    if (this.shapes.has(key)) return this.shapes.get(key);
+
+    const points = [];
+    const stopDistances = {};
+    let distance = 0;
+
+    const addPoint = point => {
+      const previous = points[points.length - 1];
+      if (previous) distance += haversineDistance(previous, point);
+      points.push(point);
+    };
+
+    journey.calls.forEach((call, index) => {
+      const location = this.getStopLocation(call.stopRef);
+      const previousCall = journey.calls[index - 1];
+      const track = previousCall && this.tracks[`${previousCall.stopRef}>${call.stopRef}`];
+
+      if (track && points.length > 0) {
+        track.forEach(([latitude, longitude]) => addPoint({ latitude, longitude }));
+      }
+      if (location) {
+        addPoint({ latitude: location.latitude, longitude: location.longitude });
+        if (stopDistances[call.stopRef] === undefined) stopDistances[call.stopRef] = distance;
+      }
+    });
+
+    const shape = points.length >= 2 ? { points, stopDistances } : null;
+    this.shapes.set(key, shape);
+    return shape;
+  }
+
+  hasRoute(lineName) {
+    return this.journeys.some(journey => journey.lineName === lineName);
+  }
+
+  // Does the journey run on an operating day ("YYYY-MM-DD")?
+  runsOn(journey, dateKey) {
+    const { start, end } = journey.operatingPeriod || {};
+    if (start && dateKey < start) return false;
+    if (end && dateKey > end) return false;
+    return operatesOn(journey.operatingProfile, dateKey, isoDayOf(dateKey));
+  }
+
+  // Scheduled departures from a stop between two times, optionally only on
+  // some of the journeys. Operating days are UK dates; journeys are checked
+  // against the previous one too, as they may run past midnight. Times are
+  // UK wall-clock times at the origin plus the timetabled run times.
+  getDepartures(stopRef, { from = new Date(), until, routes, journeys = this.journeys } = {}) {
+    const end = until || new Date(from.getTime() + DAY_SECONDS * 1000);
+    const lastDay = londonDateKey(end);
+    const departures = [];
+
+    for (let day = addDays(londonDateKey(from), -1); day <= lastDay; day = addDays(day, 1)) {
+      for (const journey of journeys) {
+        if (routes && !routes.includes(journey.lineName)) continue;
+
+        const lastIndex = journey.calls.length - 1;
+        const callIndex = journey.calls.findIndex((call, index) =>
+          call.stopRef === stopRef && index < lastIndex && call.activity !== 'setDown' && call.activity !== 'pass'
+        );
+        if (callIndex === -1 || !this.runsOn(journey, day)) continue;
+
+        const call = journey.calls[callIndex];
+        const originDepartureTime = atLondonTime(day, journey.departureTime);
+        const scheduledTime = new Date(originDepartureTime.getTime() + call.departure * 1000);
+        if (scheduledTime < from || scheduledTime > end) continue;
+
+        departures.push({ journey, call, scheduledTime, originDepartureTime, operatingDay: day });
+      }
+    }
+
+    return departures.sort((a, b) => a.scheduledTime - b.scheduledTime);
+  }
+
+  toJSON() {
+    return { stopPoints: this.stopPoints, tracks: this.tracks, journeys: this.journeys };
+  }
+}
+
+module.exports = TimetableIndex;
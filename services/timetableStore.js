@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('./logger').child({ component: 'timetables' });
+
+// Persists each dataset's parsed timetable index to disk so a restart can
+// serve timetables straight away instead of re-downloading the operator data.
+// The file's modification time records when the snapshot was last confirmed
+// to match BODS.
+class TimetableStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(datasetId) {
+    return path.join(this.directory, `timetable-${datasetId}.json`);
+  }
+
+  // Resolves to { datasetId, modified, stopRefs, savedAt, index } or null if nothing is stored
+  async load(datasetId) {
+    const file = this.filePath(datasetId);
+    try {
+      const [contents, stats] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+      return { ...JSON.parse(contents), savedAt: stats.mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable timetable snapshot', { datasetId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async save(datasetId, { modified, stopRefs, index }) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename, so a crash mid-write never leaves a truncated snapshot
+    const target = this.filePath(datasetId);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify({ datasetId, modified, stopRefs, index }));
+    await fs.rename(temporary, target);
+  }
+
+  // Mark a snapshot as still current without rewriting it
+  async touch(datasetId) {
+    const now = new Date();
+    await fs.utimes(this.filePath(datasetId), now, now);
+  }
+}
+
+module.exports = TimetableStore;
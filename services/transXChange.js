@@ -0,0 +1,326 @@
+const { parseOperatingProfile } = require('./operatingProfile');
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node._;
+  return String(node).trim();
+}
+
+function attr(node, name) {
+  return node && node.$ ? node.$[name] : undefined;
+}
+
+// HH:MM:SS -> seconds past midnight
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+}
+
+// ISO 8601 duration (PT1H2M30S) -> seconds
+function parseDuration(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(text(value) || '');
+  if (!match) return 0;
+  const [, days, hours, minutes, seconds] = match;
+  return (parseInt(days || '0', 10) * 86400) +
+    (parseInt(hours || '0', 10) * 3600) +
+    (parseInt(minutes || '0', 10) * 60) +
+    Math.round(parseFloat(seconds || '0'));
+}
+
+function parseAnnotatedStopPoint(ref) {
+  const location = parseLocation(ref.Location) || {};
+  return {
+    name: text(ref.CommonName) || text(ref.StopPointRef),
+    latitude: location.latitude || null,
+    longitude: location.longitude || null
+  };
+}
+
+function parseStopPoint(stop) {
+  const location = parseLocation(stop.Place && stop.Place.Location) || {};
+  return {
+    name: text(stop.Descriptor && stop.Descriptor.CommonName) || text(stop.AtcoCode),
+    latitude: location.latitude || null,
+    longitude: location.longitude || null
+  };
+}
+
+function parseLocation(location) {
+  const point = location && (location.Translation || location);
+  if (!point || point.Latitude === undefined || point.Longitude === undefined) return null;
+  return { latitude: parseFloat(text(point.Latitude)), longitude: parseFloat(text(point.Longitude)) };
+}
+
+// Track geometry between consecutive stops, keyed "fromAtco>toAtco"
+function parseRouteSection(section) {
+  const result = {};
+
+  for (const link of asArray(section.RouteLink)) {
+    const from = text(link.From && link.From.StopPointRef);
+    const to = text(link.To && link.To.StopPointRef);
+    const mappings = asArray(link.Track).reduce((all, track) => all.concat(asArray(track.Mapping)), []);
+    const points = mappings
+      .reduce((all, mapping) => all.concat(asArray(mapping.Location)), [])
+      .map(parseLocation)
+      .filter(Boolean);
+
+    if (from && to && points.length > 0) {
+      result[`${from}>${to}`] = points.map(point => [point.latitude, point.longitude]);
+    }
+  }
+
+  return result;
+}
+
+function parseJourneyPatternSection(section) {
+  return asArray(section.JourneyPatternTimingLink).map(link => ({
+    id: attr(link, 'id'),
+    from: {
+      stopRef: text(link.From && link.From.StopPointRef),
+      activity: text(link.From && link.From.Activity),
+      waitTime: parseDuration(link.From && link.From.WaitTime)
+    },
+    to: {
+      stopRef: text(link.To && link.To.StopPointRef),
+      activity: text(link.To && link.To.Activity),
+      waitTime: parseDuration(link.To && link.To.WaitTime)
+    },
+    runTime: parseDuration(link.RunTime)
+  }));
+}
+
+function parseOperator(operator) {
+  return {
+    code: text(operator.NationalOperatorCode) || text(operator.OperatorCode),
+    name: text(operator.OperatorShortName) || text(operator.TradingName) || text(operator.OperatorCode)
+  };
+}
+
+function parseService(service) {
+  const lines = {};
+  for (const line of asArray(service.Lines && service.Lines.Line)) {
+    lines[attr(line, 'id')] = text(line.LineName);
+  }
+
+  const standardService = service.StandardService || {};
+  const journeyPatterns = {};
+  for (const pattern of asArray(standardService.JourneyPattern)) {
+    journeyPatterns[attr(pattern, 'id')] = {
+      direction: text(pattern.Direction),
+      destination: text(pattern.DestinationDisplay),
+      sectionRefs: asArray(pattern.JourneyPatternSectionRefs).map(text)
+    };
+  }
+
+  const operatingPeriod = service.OperatingPeriod || {};
+  return {
+    serviceCode: text(service.ServiceCode),
+    lines,
+    operatorRef: text(service.RegisteredOperatorRef),
+    destination: text(standardService.Destination),
+    operatingPeriod: {
+      start: text(operatingPeriod.StartDate) || null,
+      end: text(operatingPeriod.EndDate) || null
+    },
+    operatingProfile: parseOperatingProfile(service.OperatingProfile),
+    journeyPatterns
+  };
+}
+
+// Walk the journey pattern's timing links, applying any vehicle journey
+// overrides, to get arrival/departure offsets (seconds) at each stop
+function buildCalls(links, overrides) {
+  const calls = [];
+  let time = 0;
+
+  links.forEach((link, index) => {
+    const override = overrides[link.id] || {};
+    const fromWait = override.fromWait !== undefined ? override.fromWait : link.from.waitTime;
+    const toWait = override.toWait !== undefined ? override.toWait : link.to.waitTime;
+    const runTime = override.runTime !== undefined ? override.runTime : link.runTime;
+
+    if (index === 0) {
+      calls.push({ stopRef: link.from.stopRef, arrival: 0, departure: fromWait, activity: link.from.activity });
+    } else {
+      const previous = calls[calls.length - 1];
+      previous.departure += fromWait;
+      if (link.from.activity) previous.activity = link.from.activity;
+    }
+
+    time = calls[calls.length - 1].departure + runTime;
+    calls.push({ stopRef: link.to.stopRef, arrival: time, departure: time + toWait, activity: link.to.activity });
+  });
+
+  return calls;
+}
+
+function parseTimingLinkOverrides(vehicleJourney) {
+  const overrides = {};
+  for (const link of asArray(vehicleJourney.VehicleJourneyTimingLink)) {
+    const ref = text(link.JourneyPatternTimingLinkRef);
+    if (!ref) continue;
+    overrides[ref] = {};
+    if (link.RunTime) overrides[ref].runTime = parseDuration(link.RunTime);
+    if (link.From && link.From.WaitTime) overrides[ref].fromWait = parseDuration(link.From.WaitTime);
+    if (link.To && link.To.WaitTime) overrides[ref].toWait = parseDuration(link.To.WaitTime);
+  }
+  return overrides;
+}
+
+// Accumulates the elements of one TransXChange document, in document order,
+// into a plain timetable index: stop points, track geometry between stops and
+// every vehicle journey with the offsets at which it calls at each stop.
+//
+// Given stopRefs, only journeys calling at one of those stops are kept (with
+// the stops and track they use), so a large dataset never has to be held in
+// memory as a whole.
+class TimetableBuilder {
+  constructor({ stopRefs } = {}) {
+    this.stopRefs = stopRefs ? new Set(stopRefs) : null;
+    this.stopPoints = {};
+    this.tracks = {};
+    this.sections = {};
+    this.operators = {};
+    this.services = {};
+    this.patternRefs = {};      // VehicleJourneyCode -> JourneyPatternRef
+    this.inheritingJourneys = []; // journeys whose parent hasn't been seen yet
+    this.journeys = [];
+  }
+
+  addAnnotatedStopPoint(ref) {
+    const atcoCode = text(ref.StopPointRef);
+    if (atcoCode) this.stopPoints[atcoCode] = parseAnnotatedStopPoint(ref);
+  }
+
+  addStopPoint(stop) {
+    const atcoCode = text(stop.AtcoCode);
+    if (atcoCode && !this.stopPoints[atcoCode]) this.stopPoints[atcoCode] = parseStopPoint(stop);
+  }
+
+  addRouteSection(section) {
+    Object.assign(this.tracks, parseRouteSection(section));
+  }
+
+  addJourneyPatternSection(section) {
+    this.sections[attr(section, 'id')] = parseJourneyPatternSection(section);
+  }
+
+  addOperator(operator) {
+    this.operators[attr(operator, 'id')] = parseOperator(operator);
+  }
+
+  addService(service) {
+    const parsed = parseService(service);
+    this.services[parsed.serviceCode] = parsed;
+  }
+
+  addVehicleJourney(vj) {
+    // A vehicle journey may inherit its pattern from another vehicle journey
+    const patternRef = text(vj.JourneyPatternRef) || this.patternRefs[text(vj.VehicleJourneyRef)];
+    if (!patternRef && vj.VehicleJourneyRef) {
+      this.inheritingJourneys.push(vj);
+      return;
+    }
+    this.patternRefs[text(vj.VehicleJourneyCode)] = patternRef;
+
+    const journey = this.buildJourney(vj);
+    if (journey && this.servesStops(journey)) this.journeys.push(journey);
+  }
+
+  buildJourney(vj) {
+    const service = this.services[text(vj.ServiceRef)];
+    if (!service) return null;
+
+    const patternRef = text(vj.JourneyPatternRef) || this.patternRefs[text(vj.VehicleJourneyRef)];
+    const pattern = service.journeyPatterns[patternRef];
+    const departureTime = parseTime(text(vj.DepartureTime));
+    if (!pattern || departureTime === null) return null;
+
+    const links = pattern.sectionRefs.reduce((all, ref) => all.concat(this.sections[ref] || []), []);
+    if (links.length === 0) return null;
+
+    const operator = this.operators[text(vj.OperatorRef) || service.operatorRef] || {};
+    const operational = vj.Operational || {};
+    const dayShift = parseInt(text(vj.DepartureDayShift) || '0', 10);
+
+    return {
+      id: `${service.serviceCode}:${text(vj.VehicleJourneyCode)}`,
+      serviceCode: service.serviceCode,
+      lineName: service.lines[text(vj.LineRef)] || Object.values(service.lines)[0],
+      operatorCode: operator.code || null,
+      operatorName: operator.name || null,
+      direction: text(vj.Direction) || pattern.direction || null,
+      destination: text(vj.DestinationDisplay) || pattern.destination || service.destination || null,
+      journeyCode: text(operational.TicketMachine && operational.TicketMachine.JourneyCode) ||
+        text(vj.PrivateCode) || text(vj.VehicleJourneyCode),
+      departureTime: departureTime + dayShift * 86400,
+      operatingPeriod: service.operatingPeriod,
+      operatingProfile: vj.OperatingProfile ? parseOperatingProfile(vj.OperatingProfile) : service.operatingProfile,
+      calls: buildCalls(links, parseTimingLinkOverrides(vj))
+    };
+  }
+
+  servesStops(journey) {
+    return !this.stopRefs || journey.calls.some(call => this.stopRefs.has(call.stopRef));
+  }
+
+  build() {
+    for (const vj of this.inheritingJourneys) {
+      const journey = this.buildJourney(vj);
+      if (journey && this.servesStops(journey)) this.journeys.push(journey);
+    }
+
+    const index = { stopPoints: {}, tracks: {}, journeys: this.journeys };
+    if (!this.stopRefs) {
+      return { ...index, stopPoints: this.stopPoints, tracks: this.tracks };
+    }
+
+    // Only the stops and track the kept journeys use
+    for (const journey of this.journeys) {
+      journey.calls.forEach((call, position) => {
+        if (this.stopPoints[call.stopRef]) index.stopPoints[call.stopRef] = this.stopPoints[call.stopRef];
+        const previous = journey.calls[position - 1];
+        const key = previous && `${previous.stopRef}>${call.stopRef}`;
+        if (key && this.tracks[key]) index.tracks[key] = this.tracks[key];
+      });
+    }
+    return index;
+  }
+}
+
+// Convert a whole parsed (xml2js, explicitArray: false) TransXChange document
+// into a timetable index
+function buildTimetableIndex(document, options) {
+  const transXChange = document && document.TransXChange;
+  const builder = new TimetableBuilder(options);
+  if (!transXChange || !transXChange.Services) return builder.build();
+
+  const stopPoints = transXChange.StopPoints || {};
+  asArray(stopPoints.AnnotatedStopPointRef).forEach(ref => builder.addAnnotatedStopPoint(ref));
+  asArray(stopPoints.StopPoint).forEach(stop => builder.addStopPoint(stop));
+  asArray(transXChange.RouteSections && transXChange.RouteSections.RouteSection)
+    .forEach(section => builder.addRouteSection(section));
+  asArray(transXChange.JourneyPatternSections && transXChange.JourneyPatternSections.JourneyPatternSection)
+    .forEach(section => builder.addJourneyPatternSection(section));
+  const operators = transXChange.Operators || {};
+  asArray(operators.Operator).concat(asArray(operators.LicensedOperator))
+    .forEach(operator => builder.addOperator(operator));
+  asArray(transXChange.Services.Service).forEach(service => builder.addService(service));
+  asArray(transXChange.VehicleJourneys && transXChange.VehicleJourneys.VehicleJourney)
+    .forEach(vj => builder.addVehicleJourney(vj));
+
+  return builder.build();
+}
+
+module.exports = {
+  TimetableBuilder,
+  buildTimetableIndex,
+  parseTime,
+  parseDuration
+};
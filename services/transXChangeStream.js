@@ -0,0 +1,28 @@
+const { streamXmlRecords } = require('./xmlStream');
+
+// The repeated elements of each TransXChange collection, and the builder
+// method that takes them
+const RECORDS = {
+  StopPoints: { AnnotatedStopPointRef: 'addAnnotatedStopPoint', StopPoint: 'addStopPoint' },
+  RouteSections: { RouteSection: 'addRouteSection' },
+  JourneyPatternSections: { JourneyPatternSection: 'addJourneyPatternSection' },
+  Operators: { Operator: 'addOperator', LicensedOperator: 'addOperator' },
+  Services: { Service: 'addService' },
+  VehicleJourneys: { VehicleJourney: 'addVehicleJourney' }
+};
+
+function selectRecord(path) {
+  if (path.length !== 3 || path[0] !== 'TransXChange') return null;
+  return RECORDS[path[1]] ? RECORDS[path[1]][path[2]] : null;
+}
+
+// Stream one TransXChange document into a TimetableBuilder. Only the record
+// being read (one service, one vehicle journey...) is ever held as an object,
+// so memory depends on the builder's filtering rather than the file size.
+function parseTransXChangeStream(input, builder) {
+  return streamXmlRecords(input, selectRecord, (method, record) => builder[method](record));
+}
+
+module.exports = {
+  parseTransXChangeStream
+};
@@ -0,0 +1,214 @@
+const { registry } = require('./metrics');
+const logger = require('./logger').child({ component: 'upstream' });
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+const DEFAULT_FAILURE_THRESHOLD = 5; // failed calls in a row before an upstream is left alone
+const DEFAULT_COOLDOWN_MS = 60000; // how long it is left alone before one trial call
+
+// Gateway errors and rate limiting are worth another try; other statuses
+// mean the upstream answered and asking again won't change the answer
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const requestDuration = registry.histogram({
+  name: 'bods_upstream_request_duration_seconds',
+  help: 'Time taken by each attempt at an upstream call, by feed and timetable dataset',
+  labelNames: ['feed', 'dataset', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 180]
+});
+const requestErrors = registry.counter({
+  name: 'bods_upstream_errors_total',
+  help: 'Failed upstream attempts by feed, timetable dataset and reason (an HTTP status, timeout, network or circuit_open)',
+  labelNames: ['feed', 'dataset', 'reason']
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every call to an upstream feed (BODS timetables, SIRI-VM, GTFS-RT, SIRI-SM,
+// SIRI-SX) goes through here, by feed name. Each attempt has a timeout that
+// covers reading the body, failures that may be temporary are retried after
+// a jittered exponential backoff, and each feed has a circuit breaker: after
+// several failed calls in a row it fails fast for a cooldown, then lets one
+// trial call through to see whether the feed is back.
+class UpstreamClient {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_MS;
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || wait;
+    this.now = options.now || Date.now;
+    this.feeds = new Map();
+  }
+
+  feed(name) {
+    if (!this.feeds.has(name)) {
+      this.feeds.set(name, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null
+      });
+    }
+    return this.feeds.get(name);
+  }
+
+  // Fetch `url` for feed `name` and resolve to read(response) - the body as
+  // text by default. Non-2xx responses reject with the status in the message.
+  // `dataset` labels the call's metrics, for per-dataset timetable downloads.
+  async request(name, url, { timeoutMs = this.timeoutMs, retries = this.retries, read = response => response.text(), dataset = '' } = {}) {
+    const feed = this.feed(name);
+    let trial;
+    try {
+      trial = this.admit(name, feed);
+    } catch (error) {
+      requestErrors.inc({ feed: name, dataset, reason: 'circuit_open' });
+      throw error;
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await this.attempt(name, url, timeoutMs, read, dataset);
+          this.recordSuccess(feed);
+          return result;
+        } catch (error) {
+          if (!error.retryable) {
+            // The feed answered, so it is up even though the answer was no
+            this.close(feed);
+            feed.lastFailureAt = this.now();
+            feed.lastError = error.message;
+            throw error;
+          }
+          if (attempt >= retries) {
+            this.recordFailure(name, feed, error);
+            throw error;
+          }
+          const delay = Math.round(this.random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt));
+          logger.warn('Retrying upstream call', { feed: name, dataset: dataset || undefined, error: error.message, delayMs: delay });
+          await this.sleep(delay);
+        }
+      }
+    } finally {
+      if (trial) feed.trialInFlight = false;
+    }
+  }
+
+  // Throws while the breaker is open; once the cooldown has passed, lets a
+  // single trial call through. Returns whether this call is that trial.
+  admit(name, feed) {
+    if (feed.state === 'closed') return false;
+
+    const openFor = this.now() - feed.openedAt;
+    if (feed.state === 'open' && openFor >= this.cooldownMs) feed.state = 'halfOpen';
+    if (feed.state === 'halfOpen' && !feed.trialInFlight) {
+      feed.trialInFlight = true;
+      return true;
+    }
+
+    const retryIn = Math.max(0, Math.ceil((this.cooldownMs - openFor) / 1000));
+    throw new Error(`${name} is unavailable after repeated failures (circuit open, next try in ${retryIn}s)`);
+  }
+
+  // One try at a call, timed and counted
+  async attempt(name, url, timeoutMs, read, dataset) {
+    const labels = { feed: name, dataset };
+    const stopTimer = requestDuration.startTimer(labels);
+    try {
+      const result = await this.fetchOnce(name, url, timeoutMs, read);
+      stopTimer({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      stopTimer({ outcome: 'error' });
+      requestErrors.inc({ ...labels, reason: error.reason });
+      throw error;
+    }
+  }
+
+  async fetchOnce(name, url, timeoutMs, read) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await this.fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`${name} returned ${response.status}`);
+        error.retryable = RETRYABLE_STATUSES.includes(response.status);
+        error.reason = String(response.status);
+        throw error;
+      }
+      return await read(response);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeout = new Error(`${name} timed out after ${timeoutMs}ms`);
+        timeout.retryable = true;
+        timeout.reason = 'timeout';
+        throw timeout;
+      }
+      if (error.retryable !== undefined) throw error;
+
+      // Anything else is a network failure or a body that broke off
+      const failure = new Error(`${name} failed: ${(error.cause && error.cause.code) || error.message}`);
+      failure.retryable = true;
+      failure.reason = 'network';
+      throw failure;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  close(feed) {
+    feed.state = 'closed';
+    feed.consecutiveFailures = 0;
+    feed.openedAt = null;
+  }
+
+  recordSuccess(feed) {
+    this.close(feed);
+    feed.lastSuccessAt = this.now();
+  }
+
+  recordFailure(name, feed, error) {
+    feed.consecutiveFailures++;
+    feed.lastFailureAt = this.now();
+    feed.lastError = error.message;
+
+    const tripped = feed.state === 'halfOpen' || feed.consecutiveFailures >= this.failureThreshold;
+    if (tripped && feed.state !== 'open') {
+      logger.warn('Circuit open, pausing upstream calls', {
+        feed: name,
+        consecutiveFailures: feed.consecutiveFailures,
+        pauseSeconds: this.cooldownMs / 1000
+      });
+    }
+    if (tripped) {
+      feed.state = 'open';
+      feed.openedAt = this.now();
+    }
+  }
+
+  // Breaker state and last success/failure per feed, for /health
+  status() {
+    const feeds = {};
+    for (const [name, feed] of this.feeds) {
+      feeds[name] = {
+        state: feed.state === 'open' && this.now() - feed.openedAt >= this.cooldownMs ? 'halfOpen' : feed.state,
+        consecutiveFailures: feed.consecutiveFailures,
+        lastSuccessAt: feed.lastSuccessAt ? new Date(feed.lastSuccessAt) : null,
+        lastFailureAt: feed.lastFailureAt ? new Date(feed.lastFailureAt) : null,
+        lastError: feed.lastError,
+        retryAt: feed.state === 'open' ? new Date(feed.openedAt + this.cooldownMs) : null
+      };
+    }
+    return feeds;
+  }
+}
+
+module.exports = UpstreamClient;
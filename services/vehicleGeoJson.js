@@ -0,0 +1,69 @@
+const { toLondonISO } = require('./serviceDay');
+
+// GeoJSON positions are [longitude, latitude]
+const position = point => [point.longitude, point.latitude];
+
+// Properties a map needs to label and style a vehicle
+function vehicleProperties(vehicle) {
+  return {
+    vehicleRef: vehicle.vehicleRef,
+    routeNumber: vehicle.routeNumber,
+    lineRef: vehicle.lineRef,
+    destination: vehicle.destination,
+    operatorRef: vehicle.operatorRef,
+    direction: vehicle.directionRef,
+    bearing: vehicle.bearing,
+    speedKmh: vehicle.speedKmh,
+    occupancy: vehicle.occupancy,
+    recordedAt: toLondonISO(vehicle.timestamp)
+  };
+}
+
+// What identifies a vehicle's features: its ref, or failing that the journey
+// it is running. A vehicle with neither gets features without an id.
+function featureKey(vehicle) {
+  if (vehicle.vehicleRef && vehicle.vehicleRef !== 'unknown') return vehicle.vehicleRef;
+  const journeyRef = vehicle.datedVehicleJourneyRef || vehicle.journeyCode;
+  return journeyRef ? `${vehicle.operatorRef || 'unknown'}:${journeyRef}` : null;
+}
+
+// A FeatureCollection with a Point per vehicle and, where a vehicle has
+// moved, a LineString of its trail ending at its current position. Both
+// carry the vehicleRef so a map can pair them up.
+function toFeatureCollection(vehicles, { generatedAt = new Date() } = {}) {
+  const features = [];
+
+  for (const vehicle of vehicles) {
+    const properties = vehicleProperties(vehicle);
+    const key = featureKey(vehicle);
+    features.push({
+      type: 'Feature',
+      ...(key && { id: `vehicle:${key}` }),
+      geometry: { type: 'Point', coordinates: position(vehicle) },
+      properties: { kind: 'vehicle', ...properties }
+    });
+
+    const trail = (vehicle.trail || []).map(position);
+    const last = trail[trail.length - 1];
+    if (!last || last[0] !== vehicle.longitude || last[1] !== vehicle.latitude) trail.push(position(vehicle));
+    if (trail.length >= 2) {
+      features.push({
+        type: 'Feature',
+        ...(key && { id: `trail:${key}` }),
+        geometry: { type: 'LineString', coordinates: trail },
+        properties: {
+          kind: 'trail',
+          vehicleRef: vehicle.vehicleRef,
+          routeNumber: vehicle.routeNumber,
+          since: toLondonISO(vehicle.trail[0].timestamp)
+        }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', generatedAt: toLondonISO(generatedAt), features };
+}
+
+module.exports = {
+  toFeatureCollection
+};
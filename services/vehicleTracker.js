@@ -0,0 +1,83 @@
+const { isValidPoint, haversineDistance, bearingBetween } = require('./geo');
+
+const MAX_SAMPLES = 120;
+const MAX_SAMPLE_AGE_MS = 30 * 60000; // the longest trail that can be asked for
+const SPEED_WINDOW_MS = 5 * 60000; // speed is averaged over the latest few minutes only
+const MIN_HEADING_METRES = 15; // closer fixes than this are GPS jitter, not a heading
+
+// Keeps the SIRI-VM samples of the last half hour per vehicle, so speed and
+// heading can be observed between successive position reports and recent
+// movements drawn as a trail
+class VehicleTracker {
+  constructor() {
+    this.samples = new Map();
+  }
+
+  record(vehicles) {
+    const cutoff = Date.now() - MAX_SAMPLE_AGE_MS;
+
+    for (const vehicle of vehicles) {
+      if (!isValidPoint(vehicle) || vehicle.vehicleRef === 'unknown') continue;
+
+      const history = this.samples.get(vehicle.vehicleRef) || [];
+      const last = history[history.length - 1];
+      const timestamp = new Date(vehicle.timestamp).getTime();
+
+      // The feed repeats a report until the vehicle sends a new one
+      if (!Number.isFinite(timestamp) || (last && last.timestamp >= timestamp)) continue;
+
+      history.push({ latitude: vehicle.latitude, longitude: vehicle.longitude, timestamp });
+      this.samples.set(vehicle.vehicleRef, history.slice(-MAX_SAMPLES));
+    }
+
+    for (const [vehicleRef, history] of this.samples) {
+      const recent = history.filter(sample => sample.timestamp >= cutoff);
+      if (recent.length === 0) {
+        this.samples.delete(vehicleRef);
+      } else {
+        this.samples.set(vehicleRef, recent);
+      }
+    }
+  }
+
+  getSamples(vehicleRef) {
+    return this.samples.get(vehicleRef) || [];
+  }
+
+  // Where the vehicle has been since `since` (ms), oldest first
+  getTrail(vehicleRef, since) {
+    return this.getSamples(vehicleRef)
+      .filter(sample => sample.timestamp >= since)
+      .map(sample => ({ latitude: sample.latitude, longitude: sample.longitude, timestamp: new Date(sample.timestamp) }));
+  }
+
+  // Average speed in km/h over the latest samples, or null if there is too little data
+  getObservedSpeed(vehicleRef) {
+    const all = this.getSamples(vehicleRef);
+    if (all.length < 2) return null;
+    const history = all.filter(sample => sample.timestamp >= all[all.length - 1].timestamp - SPEED_WINDOW_MS);
+    if (history.length < 2) return null;
+
+    let distance = 0;
+    for (let i = 1; i < history.length; i++) {
+      distance += haversineDistance(history[i - 1], history[i]);
+    }
+    const seconds = (history[history.length - 1].timestamp - history[0].timestamp) / 1000;
+    if (seconds < 10) return null;
+
+    return (distance / 1000) / (seconds / 3600);
+  }
+
+  // Heading in degrees from the last place the vehicle was far enough away
+  // from its latest position, or null while it hasn't moved
+  getObservedBearing(vehicleRef) {
+    const history = this.getSamples(vehicleRef);
+    const latest = history[history.length - 1];
+    for (let i = history.length - 2; i >= 0; i--) {
+      if (haversineDistance(history[i], latest) >= MIN_HEADING_METRES) return bearingBetween(history[i], latest);
+    }
+    return null;
+  }
+}
+
+module.exports = VehicleTracker;
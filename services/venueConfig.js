@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const NaptanLookup = require('./naptan');
+
+const ATCO_CODE = /^[0-9]{3}[0-9A-Z]{1,9}$/;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = value => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+
+function validateBoundingBox(box, where, problems) {
+  if (!box || typeof box !== 'object') {
+    problems.push(`${where}: boundingBox is required`);
+    return;
+  }
+  for (const key of ['minLat', 'maxLat', 'minLon', 'maxLon']) {
+    if (typeof box[key] !== 'number' || !Number.isFinite(box[key])) {
+      problems.push(`${where}: boundingBox.${key} must be a number`);
+    }
+  }
+  if (box.minLat >= box.maxLat) problems.push(`${where}: boundingBox.minLat must be below maxLat`);
+  if (box.minLon >= box.maxLon) problems.push(`${where}: boundingBox.minLon must be below maxLon`);
+}
+
+function validateStop(atcoCode, stop, where, problems) {
+  const at = `${where}.stops.${atcoCode}`;
+  if (!ATCO_CODE.test(atcoCode)) problems.push(`${at}: not a valid ATCO code`);
+  if (!stop || typeof stop !== 'object') {
+    problems.push(`${at}: must be an object`);
+    return;
+  }
+  if (stop.name !== undefined && !isNonEmptyString(stop.name)) problems.push(`${at}: name must be a string`);
+  if (!isStringArray(stop.operators)) problems.push(`${at}: operators must be a non-empty list`);
+  if (!isStringArray(stop.routes)) problems.push(`${at}: routes must be a non-empty list`);
+  if (!isStringArray(stop.datasets)) problems.push(`${at}: datasets must be a non-empty list of BODS dataset IDs`);
+}
+
+function validateRoutes(routes, where, problems) {
+  if (routes === undefined) return;
+  if (!routes || typeof routes !== 'object') {
+    problems.push(`${where}: routes must be an object keyed by route number`);
+    return;
+  }
+  for (const [routeNumber, route] of Object.entries(routes)) {
+    if (route.destination !== undefined && !isNonEmptyString(route.destination)) {
+      problems.push(`${where}.routes.${routeNumber}: destination must be a string`);
+    }
+    if (route.frequency !== undefined && !(typeof route.frequency === 'number' && route.frequency > 0)) {
+      problems.push(`${where}.routes.${routeNumber}: frequency must be a positive number of minutes`);
+    }
+  }
+}
+
+// Named destinations for journey planning, e.g. "station", and their stops
+function validatePlaces(places, where, problems) {
+  if (places === undefined) return;
+  if (!places || typeof places !== 'object') {
+    problems.push(`${where}: places must be an object keyed by place name`);
+    return;
+  }
+  for (const [key, place] of Object.entries(places)) {
+    if (!place || !Array.isArray(place.stops) || place.stops.length === 0 || !place.stops.every(stop => ATCO_CODE.test(stop))) {
+      problems.push(`${where}.places.${key}: stops must be a non-empty list of ATCO codes`);
+    }
+    if (place && place.name !== undefined && !isNonEmptyString(place.name)) {
+      problems.push(`${where}.places.${key}: name must be a string`);
+    }
+  }
+}
+
+// Returns a list of problems; an empty list means the configuration is usable
+function validateVenueConfig(config) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || !config.venues || typeof config.venues !== 'object') {
+    return ['venues must be an object keyed by venue ID'];
+  }
+
+  const venueIds = Object.keys(config.venues);
+  if (venueIds.length === 0) problems.push('at least one venue must be configured');
+  if (config.defaultVenue !== undefined && !venueIds.includes(config.defaultVenue)) {
+    problems.push(`defaultVenue "${config.defaultVenue}" is not a configured venue`);
+  }
+
+  for (const [venueId, venue] of Object.entries(config.venues)) {
+    const where = `venues.${venueId}`;
+    if (!isNonEmptyString(venue.name)) problems.push(`${where}: name is required`);
+    validateBoundingBox(venue.boundingBox, where, problems);
+    validateRoutes(venue.routes, where, problems);
+    validatePlaces(venue.places, where, problems);
+
+    if (!venue.stops || typeof venue.stops !== 'object' || Object.keys(venue.stops).length === 0) {
+      problems.push(`${where}: at least one stop is required`);
+    } else {
+      Object.entries(venue.stops).forEach(([atcoCode, stop]) => validateStop(atcoCode, stop, where, problems));
+    }
+
+    if (venue.highlightedRoutes !== undefined && !Array.isArray(venue.highlightedRoutes)) {
+      problems.push(`${where}: highlightedRoutes must be a list`);
+    }
+  }
+
+  return problems;
+}
+
+// Fill in anything the venue file leaves out (stop names, coordinates and
+// indicators) from the imported NaPTAN data
+function enrichFromNaptan(config, naptan) {
+  for (const venue of Object.values(config.venues)) {
+    for (const [atcoCode, stop] of Object.entries(venue.stops)) {
+      const naptanStop = naptan && naptan.lookup(atcoCode);
+      stop.name = stop.name || (naptan && naptan.displayName(atcoCode)) || atcoCode;
+      if (naptanStop) {
+        stop.indicator = stop.indicator || naptanStop.indicator;
+        stop.latitude = stop.latitude !== undefined ? stop.latitude : naptanStop.latitude;
+        stop.longitude = stop.longitude !== undefined ? stop.longitude : naptanStop.longitude;
+      }
+    }
+  }
+  return config;
+}
+
+// Load, validate and enrich the venue configuration. Throws on any problem so
+// a bad file stops the server at startup rather than misbehaving later.
+function loadVenueConfig(configPath, { naptanPath } = {}) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read venue configuration ${configPath}: ${error.message}`);
+  }
+
+  const problems = validateVenueConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid venue configuration ${configPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const naptan = naptanPath && fs.existsSync(naptanPath) ? NaptanLookup.fromFile(naptanPath) : null;
+  enrichFromNaptan(config, naptan);
+
+  config.defaultVenue = config.defaultVenue || Object.keys(config.venues)[0];
+  return config;
+}
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'venues.json');
+const DEFAULT_NAPTAN_PATH = path.join(__dirname, '..', 'config', 'naptan.json');
+
+module.exports = {
+  loadVenueConfig,
+  validateVenueConfig,
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_NAPTAN_PATH
+};
@@ -0,0 +1,63 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhooks are POSTed from this server to a URL anyone can register, so a
+// subscription must not be able to aim one at the server itself or at
+// anything else only reachable from it: loopback, private (RFC 1918) and
+// shared networks, link-local (including cloud metadata at 169.254.169.254)
+// and their IPv6 equivalents.
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4
+// ranges by BlockList itself
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+// Anything that isn't a valid IP address counts as private
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why a webhook URL can't be used, judged from the URL alone, or null. A
+// host name is only known to be safe once resolved: see publicOnlyLookup.
+function webhookUrlProblem(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) return 'channel.url must be http or https';
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    return 'channel.url must not be a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup for http.request that fails when a host resolves to any
+// private address. Checking the addresses actually connected to means a host
+// can't pass validation and then be re-pointed inside the network.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const inside = addresses.find(({ address }) => isPrivateAddress(address));
+    if (inside) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${inside.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  webhookUrlProblem,
+  publicOnlyLookup
+};
@@ -0,0 +1,85 @@
+const sax = require('sax');
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+// Same shape xml2js gives with explicitArray: false, so parsers written
+// against xml2js output work on streamed records too
+function toValue(node) {
+  const hasAttributes = Object.keys(node.attributes).length > 0;
+  const hasChildren = Object.keys(node.children).length > 0;
+  if (!hasAttributes && !hasChildren) return node.text;
+
+  const value = node.children;
+  if (hasAttributes) value.$ = node.attributes;
+  if (node.text.trim()) value._ = node.text.trim();
+  return value;
+}
+
+function addChild(children, name, value) {
+  if (!(name in children)) {
+    children[name] = value;
+  } else if (Array.isArray(children[name])) {
+    children[name].push(value);
+  } else {
+    children[name] = [children[name], value];
+  }
+}
+
+// Stream an XML document, handing each "record" element to onRecord as an
+// object once it closes. selectRecord(path) sees the element names from the
+// root down (namespace prefixes removed) and returns a truthy tag for
+// elements to collect. Only the record being read is ever held in memory.
+function streamXmlRecords(input, selectRecord, onRecord) {
+  return new Promise((resolve, reject) => {
+    const parser = sax.createStream(true);
+    const path = [];
+    const open = []; // elements of the current record still being read
+    let tag = null;
+
+    const fail = error => {
+      input.unpipe(parser);
+      input.destroy();
+      reject(error);
+    };
+
+    parser.on('opentag', element => {
+      const name = localName(element.name);
+      path.push(name);
+
+      if (open.length === 0) {
+        tag = selectRecord(path);
+        if (!tag) return;
+      }
+      open.push({ attributes: element.attributes, children: {}, text: '' });
+    });
+
+    const onText = value => {
+      if (open.length > 0) open[open.length - 1].text += value;
+    };
+    parser.on('text', onText);
+    parser.on('cdata', onText);
+
+    parser.on('closetag', () => {
+      const name = path.pop();
+      if (open.length === 0) return;
+
+      const value = toValue(open.pop());
+      if (open.length > 0) {
+        addChild(open[open.length - 1].children, name, value);
+      } else {
+        onRecord(tag, value);
+      }
+    });
+
+    parser.on('error', fail);
+    parser.on('end', resolve);
+    input.on('error', fail);
+    input.pipe(parser);
+  });
+}
+
+module.exports = {
+  streamXmlRecords
+};
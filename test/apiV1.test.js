@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+const { validate } = require('../services/schemaValidator');
+
+const STAND_O = '079073279A';
+const STAND_P = '079073279B';
+const STAND_Q = '079073279C';
+
+let server;
+let document;
+
+before(async () => {
+  server = await startTestServer();
+  document = await (await server.request('/api/v1/openapi.json')).json();
+});
+
+after(() => server.close());
+
+async function getJson(url, options) {
+  const response = await server.request(url, options);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// The body matches the schema the document gives for this path and status
+function assertDocumented(path, status, body) {
+  const schema = document.paths[path].get.responses[status].content['application/json'].schema;
+  assert.deepEqual(validate(schema, body, document), []);
+}
+
+test('GET /api/v1/openapi.json describes every v1 operation', async () => {
+  assert.match(document.openapi, /^3\.0\./);
+  assert.deepEqual(Object.keys(document.paths).sort(), [
+    '/api/v1/bus-times',
+    '/api/v1/bus-times/{stopId}',
+    '/api/v1/next-bus',
+    '/api/v1/openapi.json',
+    '/api/v1/vehicles'
+  ]);
+  assert.ok(document.components.schemas.Departure);
+});
+
+test('GET /api/v1/bus-times gives each stand as a documented board', async () => {
+  const { status, body } = await getJson('/api/v1/bus-times');
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/bus-times', 200, body);
+  assert.deepEqual(body.stops.map(stop => stop.stopId), [STAND_O, STAND_P, STAND_Q]);
+
+  // Every departure carries every field, whichever source it came from
+  const fields = document.components.schemas.Departure.required.slice().sort();
+  for (const stop of body.stops) {
+    assert.ok(stop.departures.length > 0);
+    stop.departures.forEach(departure => {
+      assert.deepEqual(Object.keys(departure).sort(), fields);
+      assert.equal(departure.stopId, stop.stopId);
+      if (departure.status !== 'cancelled') assert.equal(departure.status === 'live', departure.estimatedTime !== null);
+    });
+  }
+});
+
+test('GET /api/v1/bus-times answers 304 while the board is unchanged', async () => {
+  const first = await server.request('/api/v1/bus-times');
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+
+  const second = await server.request('/api/v1/bus-times', { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+  assert.equal(second.status, 304);
+});
+
+test('GET /api/v1/bus-times/{stopId} gives one stand with its disruptions', async () => {
+  const { status, body } = await getJson(`/api/v1/bus-times/${STAND_P}`);
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/bus-times/{stopId}', 200, body);
+  assert.equal(body.stop.stopId, STAND_P);
+  assert.ok(body.stop.departures.every(departure =>
+    departure.disruptions.some(disruption => disruption.summary === 'Roadworks on Thornaby Road')));
+});
+
+test('GET /api/v1/bus-times filters departures and can merge the stands', async () => {
+  const { status, body } = await getJson('/api/v1/bus-times?route=17A,17B&status=scheduled,live&limit=3');
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/bus-times', 200, body);
+  const [standO, standP, standQ] = body.stops;
+  assert.deepEqual([standO.departures, standQ.departures], [[], []]);
+  assert.ok(standP.departures.length > 0 && standP.departures.length <= 3);
+  assert.ok(standP.departures.every(departure => departure.status !== 'cancelled'));
+
+  const merged = await getJson('/api/v1/bus-times?merge=true&limit=4');
+  assert.equal(merged.status, 200);
+  assertDocumented('/api/v1/bus-times', 200, merged.body);
+  assert.equal(merged.body.stops, undefined);
+  assert.equal(merged.body.departures.length, 4);
+  const times = merged.body.departures.map(departure => Date.parse(departure.estimatedTime || departure.scheduledTime));
+  assert.deepEqual(times, times.slice().sort((a, b) => a - b));
+
+  // The next page starts after the last departure of this one
+  const last = merged.body.departures[3];
+  const after = encodeURIComponent(last.estimatedTime || last.scheduledTime);
+  const next = await getJson(`/api/v1/bus-times?merge=true&limit=4&after=${after}`);
+  assert.ok(next.body.departures.every(departure => Date.parse(departure.estimatedTime || departure.scheduledTime) > times[3]));
+});
+
+test('GET /api/v1/bus-times/{stopId} takes the same filters', async () => {
+  const { status, body } = await getJson(`/api/v1/bus-times/${STAND_O}?operator=SCNE,Stagecoach&within=1440&limit=50`);
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/bus-times/{stopId}', 200, body);
+  assert.ok(body.stop.departures.length > 8);
+
+  const invalid = await getJson(`/api/v1/bus-times/${STAND_O}?status=late&after=17:30&limit=0`);
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.problems, [
+    'status[0] must be one of scheduled, live, cancelled',
+    'after must be a date and time with an offset',
+    'limit must be at least 1'
+  ]);
+});
+
+test('GET /api/v1 answers 404 for an unknown stop or venue', async () => {
+  const stop = await getJson('/api/v1/bus-times/0000NOTASTOP');
+  assert.equal(stop.status, 404);
+  assertDocumented('/api/v1/bus-times/{stopId}', 404, stop.body);
+
+  const venue = await getJson('/api/v1/next-bus?venue=nowhere');
+  assert.equal(venue.status, 404);
+  assert.equal(venue.body.error, 'Unknown venue: nowhere');
+});
+
+test('GET /api/v1/next-bus gives the soonest departure with its stand', async () => {
+  const [{ status, body }, { body: board }] = await Promise.all([getJson('/api/v1/next-bus'), getJson('/api/v1/bus-times')]);
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/next-bus', 200, body);
+
+  const departsAt = departure => Date.parse(departure.estimatedTime || departure.scheduledTime);
+  const soonest = Math.min(...board.stops.flatMap(stop => stop.departures).map(departsAt));
+  assert.equal(departsAt(body.nextBus), soonest);
+  assert.ok([STAND_O, STAND_P, STAND_Q].includes(body.nextBus.stopId));
+});
+
+test('GET /api/v1/vehicles gives documented vehicles, filtered or as GeoJSON', async () => {
+  const { status, body } = await getJson('/api/v1/vehicles?trail=5');
+  assert.equal(status, 200);
+  assertDocumented('/api/v1/vehicles', 200, body);
+  assert.deepEqual(body.vehicles.map(vehicle => vehicle.vehicleRef).sort(), ['ANEA-1523', 'ANEA-1601']);
+
+  const byRoute = await getJson('/api/v1/vehicles?route=29,X99');
+  assert.deepEqual(byRoute.body.vehicles.map(vehicle => vehicle.vehicleRef), ['ANEA-1601']);
+
+  const geojson = await server.request('/api/v1/vehicles?format=geojson');
+  assert.match(geojson.headers.get('content-type'), /application\/geo\+json/);
+  assert.equal((await geojson.json()).type, 'FeatureCollection');
+});
+
+test('GET /api/v1 rejects parameters the document does not allow', async () => {
+  const { status, body } = await getJson('/api/v1/vehicles?trail=99&format=xml');
+  assert.equal(status, 400);
+  assertDocumented('/api/v1/vehicles', 400, body);
+  assert.deepEqual(body.problems, ['trail must be at most 30', 'format must be one of json, geojson']);
+
+  assert.equal((await getJson('/api/v1/vehicles?trail=soon')).status, 400);
+  assert.equal((await getJson('/api/v1/bus-times?venue=Not%20A%20Slug')).status, 400);
+});
+
+test('the unversioned routes are deprecated aliases of v1', async () => {
+  const stop = await server.request(`/api/bus-times/${STAND_Q}`);
+  assert.equal(stop.headers.get('deprecation'), 'true');
+  assert.equal(stop.headers.get('link'), `</api/v1/bus-times/${STAND_Q}>; rel="successor-version"`);
+  assert.ok(Array.isArray((await stop.json()).data));
+
+  for (const path of ['/api/bus-times', '/api/next-bus', '/api/vehicles']) {
+    const response = await server.request(path);
+    assert.equal(response.headers.get('link'), `</api/v1${path.slice(4)}>; rel="successor-version"`);
+  }
+  assert.equal((await server.request('/api/venues')).headers.get('deprecation'), null);
+});
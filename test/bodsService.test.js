@@ -0,0 +1,415 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeCache = require('node-cache');
+const { transit_realtime: transitRealtime } = require('gtfs-realtime-bindings');
+const BODSService = require('../services/bodsService');
+const TimetableIndex = require('../services/timetableIndex');
+const { GtfsRtProvider, SiriVmProvider, SiriSmProvider } = require('../services/realtime');
+const { londonParts, londonDateKey } = require('../services/serviceDay');
+const { fixture } = require('./support/mockBods');
+
+const STAND = '079073279B';
+const MINUTE = 60000;
+
+const venues = {
+  defaultVenue: 'pub',
+  venues: {
+    pub: {
+      name: 'The Pub',
+      boundingBox: { minLat: 54.57, maxLat: 54.58, minLon: -1.27, maxLon: -1.23 },
+      stops: {
+        [STAND]: { name: 'Stand P', latitude: 54.5761, longitude: -1.2349, operators: ['Arriva'], routes: ['17A', '99'], datasets: ['15890'] }
+      },
+      routes: { '17A': { destination: 'Stockton', frequency: 15 }, 99: { destination: 'Nowhere', frequency: 60 } }
+    }
+  }
+};
+
+// A real-time feed standing in for SIRI-VM / SIRI-SM
+const feed = { name: 'feed', coversOperator: () => true };
+
+function createService(options = {}) {
+  return new BODSService('test-key', new NodeCache(), new NodeCache(), { venues, realtimeProviders: [feed], ...options });
+}
+
+// 17A journeys leaving the stand `minutesAway` from now, whatever the time of day
+function timetableLeavingIn(...minutesAway) {
+  const now = new Date();
+  const { hour, minute, second } = londonParts(now);
+  const secondsNow = hour * 3600 + minute * 60 + second;
+  return new TimetableIndex({
+    journeys: minutesAway.map((minutes, index) => ({
+      journeyCode: `J${index}`,
+      lineName: '17A',
+      operatorName: 'Arriva',
+      operatorCode: 'ANEA',
+      destination: 'Stockton',
+      direction: 'outbound',
+      departureTime: secondsNow + minutes * 60,
+      operatingProfile: null,
+      calls: [
+        { stopRef: STAND, arrival: 0, departure: 0 },
+        { stopRef: '0760ST01', arrival: 1200, departure: 1200 }
+      ]
+    }))
+  });
+}
+
+const realtime = (stopVisits = [], vehicles = []) => ({ feed: { stopVisits, vehicles, available: true } });
+
+test('determineStatus bands the difference from the timetable', () => {
+  const service = createService();
+  const scheduled = new Date('2026-10-16T17:00:00Z');
+  const at = minutes => new Date(scheduled.getTime() + minutes * MINUTE);
+
+  assert.equal(service.determineStatus(scheduled, at(0)), 'onTime');
+  assert.equal(service.determineStatus(scheduled, at(1.5)), 'onTime');
+  assert.equal(service.determineStatus(scheduled, at(-1.5)), 'onTime');
+  assert.equal(service.determineStatus(scheduled, at(3)), 'estimated');
+  assert.equal(service.determineStatus(scheduled, at(5)), 'estimated');
+  assert.equal(service.determineStatus(scheduled, at(6)), 'delayed');
+  assert.equal(service.determineStatus(scheduled, at(-3)), 'estimated');
+  assert.equal(service.determineStatus(scheduled, at(-4)), 'early');
+});
+
+test('timetabled departures are listed soonest first with no live estimate', () => {
+  const service = createService();
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetableLeavingIn(30, 10, 20), realtime());
+
+  assert.deepEqual(departures.map(departure => departure.journeyRef), ['J1', 'J2', 'J0']);
+  for (const departure of departures) {
+    assert.equal(departure.routeNumber, '17A');
+    assert.equal(departure.status, 'scheduled');
+    assert.equal(departure.source, 'timetable');
+    assert.equal(departure.estimatedTime, null);
+    assert.equal(departure.scheduledOnly, true);
+    assert.equal(departure.operatingDay, londonDateKey(departure.scheduledTime));
+  }
+});
+
+test('a board shows eight departures unless asked for more', async () => {
+  const service = createService();
+  const departures = service.processBusServices(STAND, service.stops[STAND],
+    timetableLeavingIn(5, 10, 15, 20, 25, 30, 35, 40, 45, 50), realtime());
+  assert.equal(departures.length, 10);
+
+  service.loadStopTimetable = async () => ({ timetable: new TimetableIndex(), datasets: { 15890: 'live' } });
+  service.buildStopBoard = async () => ({ departures, dataQuality: 'scheduled' });
+  assert.equal((await service.getStopBoard(STAND)).departures.length, 8);
+
+  const { departures: later, provenance } = await service.getStopBoard(STAND, { limit: 20, withinMinutes: 32 });
+  assert.equal(later.length, 6);
+  assert.deepEqual(provenance.sources, { timetable: 6 });
+});
+
+test('a late bus stays on the board until its live estimate has passed', () => {
+  const service = createService();
+  const timetable = timetableLeavingIn(-5, -8, -10, 20);
+  const [late, gone] = timetable.getDepartures(STAND, { from: new Date(Date.now() - 15 * MINUTE), until: new Date() })
+    .sort((a, b) => b.scheduledTime - a.scheduledTime);
+  const visit = (departure, expectedDepartureTime) => ({
+    stopRef: STAND,
+    routeNumber: '17A',
+    datedVehicleJourneyRef: departure.journey.journeyCode,
+    dataFrameRef: departure.operatingDay,
+    expectedDepartureTime
+  });
+
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetable, realtime([
+    visit(late, new Date(Date.now() + 3 * MINUTE)),
+    visit(gone, new Date(Date.now() - MINUTE))
+  ]));
+
+  // J2 left 10 minutes ago with no estimate, and J1's estimate has passed;
+  // all three are back tomorrow
+  const today = departures.filter(departure => departure.scheduledTime < Date.now() + 60 * MINUTE);
+  assert.deepEqual(today.map(departure => departure.journeyRef), ['J0', 'J3']);
+  assert.equal(today[0].status, 'live');
+  assert.ok(today[0].scheduledTime < new Date());
+});
+
+test('a cached timetable gets the latest real-time estimates on every request', async () => {
+  const timetable = timetableLeavingIn(10);
+  const [first] = timetable.getDepartures(STAND);
+  let delayMinutes = 2;
+  const provider = {
+    name: 'feed',
+    coversOperator: () => true,
+    fetch: async () => ({
+      vehicles: [],
+      stopVisits: [{
+        stopRef: STAND,
+        routeNumber: '17A',
+        datedVehicleJourneyRef: 'J0',
+        dataFrameRef: first.operatingDay,
+        expectedDepartureTime: new Date(first.scheduledTime.getTime() + delayMinutes * MINUTE)
+      }]
+    })
+  };
+  const service = createService({ realtimeProviders: [provider], disruptions: false });
+  let loads = 0;
+  service.loadStopTimetable = async () => {
+    loads++;
+    return { timetable, datasets: { 15890: 'live' } };
+  };
+
+  const before = await service.getStopBoard(STAND);
+  assert.deepEqual(before.departures[0].estimatedTime, new Date(first.scheduledTime.getTime() + 2 * MINUTE));
+
+  // The feed refreshes with a new estimate; the timetable is still cached
+  delayMinutes = 6;
+  service.vehicleCache.flushAll();
+  const after = await service.getStopBoard(STAND);
+  assert.equal(after.provenance.cache, 'hit');
+  assert.equal(loads, 1);
+  assert.deepEqual(after.departures[0].estimatedTime, new Date(first.scheduledTime.getTime() + 6 * MINUTE));
+  assert.ok(after.provenance.freshForSeconds <= 30);
+});
+
+test('a stop visit for the journey gives its live estimate', () => {
+  const service = createService();
+  const timetable = timetableLeavingIn(10, 40);
+  const [first] = timetable.getDepartures(STAND);
+  const expected = new Date(first.scheduledTime.getTime() + 4 * MINUTE);
+
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetable, realtime([{
+    stopRef: STAND,
+    lineRef: '17A',
+    routeNumber: '17A',
+    datedVehicleJourneyRef: 'J0',
+    dataFrameRef: first.operatingDay,
+    expectedDepartureTime: expected,
+    vehicleRef: 'ANEA-1523'
+  }]));
+
+  assert.equal(departures[0].status, 'live');
+  assert.equal(departures[0].source, 'realtime_prediction');
+  assert.equal(departures[0].realtimeProvider, 'feed');
+  assert.equal(departures[0].vehicleRef, 'ANEA-1523');
+  assert.deepEqual(departures[0].estimatedTime, expected);
+  assert.equal(departures[0].scheduledOnly, false);
+  assert.equal(departures[1].status, 'scheduled');
+});
+
+test('a GTFS-RT trip update is matched to its timetabled departure by line name', async () => {
+  const timetable = timetableLeavingIn(10, 40);
+  const [first] = timetable.getDepartures(STAND);
+  const { hour, minute, second } = londonParts(first.originDepartureTime);
+  const pad = value => String(value).padStart(2, '0');
+  const expected = new Date(Math.floor(first.scheduledTime.getTime() / 1000) * 1000 + 3 * MINUTE);
+
+  // BODS route_ids are its own numbers; routes.txt gives the line name
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+  const routesFile = path.join(directory, 'routes.txt');
+  fs.writeFileSync(routesFile, 'route_id,agency_id,route_short_name,route_long_name,route_type\r\n' +
+    '4567,OP5,17A,Stockton via Ingleby Barwick,3\r\n4568,OP5,17B,Stockton via Thornaby,3\r\n');
+
+  const feedMessage = transitRealtime.FeedMessage.encode(transitRealtime.FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: Math.floor(Date.now() / 1000) },
+    entity: [{
+      id: 'trip-1',
+      tripUpdate: {
+        trip: {
+          routeId: '4567',
+          startDate: first.operatingDay.replace(/-/g, ''),
+          startTime: `${pad(hour)}:${pad(minute)}:${pad(second)}`
+        },
+        stopTimeUpdate: [
+          { stopId: STAND, departure: { time: expected.getTime() / 1000 } },
+          { stopId: '0760ST01', arrival: { time: expected.getTime() / 1000 + 1200 } }
+        ]
+      }
+    }]
+  })).finish();
+
+  try {
+    const provider = new GtfsRtProvider({ name: 'gtfs-rt', routesFile, source: async () => Buffer.from(feedMessage) });
+    const data = await provider.fetch();
+    assert.equal(data.stopVisits[0].routeNumber, '17A');
+    assert.equal(data.stopVisits[0].delaySeconds, null);
+
+    const service = createService({ realtimeProviders: [provider] });
+    const departures = service.processBusServices(STAND, service.stops[STAND], timetable, {
+      'gtfs-rt': { ...data, available: true }
+    });
+    assert.equal(departures[0].journeyRef, 'J0');
+    assert.equal(departures[0].source, 'realtime_prediction');
+    assert.equal(departures[0].realtimeProvider, 'gtfs-rt');
+    assert.deepEqual(departures[0].estimatedTime, expected);
+    assert.equal(departures[1].status, 'scheduled');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('a feed answering with something it can\'t parse counts as unavailable', async () => {
+  const errorPage = async () => '<html><body><h1>502 Bad Gateway</h1></body></html>';
+  const service = createService({
+    disruptions: false,
+    realtimeProviders: [
+      new SiriVmProvider({ name: 'siri-vm', source: errorPage }),
+      new SiriSmProvider({ name: 'siri-sm', source: async () => '<Siri><ServiceDelivery>' }),
+      new GtfsRtProvider({ name: 'gtfs-rt', source: async () => Buffer.from('<html>Service Unavailable</html>') })
+    ]
+  });
+
+  const realtimeData = await service.getRealtimeData('pub');
+  for (const name of ['siri-vm', 'siri-sm', 'gtfs-rt']) {
+    assert.equal(realtimeData[name].available, false, name);
+    assert.equal(service.realtimeStatus()[name].lastSuccessAt, null, name);
+  }
+  assert.equal(service.assessDataQuality({ 15890: 'live' }, realtimeData, []), 'scheduled');
+});
+
+test('each operator\'s departures use only the feeds configured for it', () => {
+  const service = createService({
+    realtimeProviders: undefined,
+    realtime: { providers: ['siri-vm', 'gtfs-rt'], gtfsRoutesFile: 'routes.txt', operators: { 'gtfs-rt': ['Stagecoach'] } }
+  });
+  const [siriVm, gtfsRt] = service.realtimeProviders.pub;
+  assert.equal(siriVm.coversOperator('Arriva'), true);
+  assert.equal(gtfsRt.coversOperator('Arriva'), false);
+  assert.equal(gtfsRt.coversOperator('Stagecoach North East'), true);
+
+  // The GTFS-RT prediction would be the only one, but it doesn't cover Arriva
+  const timetable = timetableLeavingIn(10);
+  const [first] = timetable.getDepartures(STAND);
+  const visit = {
+    stopRef: STAND,
+    routeNumber: '17A',
+    datedVehicleJourneyRef: 'J0',
+    dataFrameRef: first.operatingDay,
+    expectedDepartureTime: new Date(first.scheduledTime.getTime() + 2 * MINUTE)
+  };
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetable, {
+    'siri-vm': { stopVisits: [], vehicles: [], available: true },
+    'gtfs-rt': { stopVisits: [visit], vehicles: [], available: true }
+  });
+  assert.equal(departures[0].status, 'scheduled');
+});
+
+test('a stop visit from another operating day is not applied', () => {
+  const service = createService();
+  const timetable = timetableLeavingIn(10);
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetable, realtime([{
+    stopRef: STAND,
+    routeNumber: '17A',
+    datedVehicleJourneyRef: 'J0',
+    dataFrameRef: '2001-01-01',
+    expectedDepartureTime: new Date()
+  }]));
+  assert.equal(departures[0].status, 'scheduled');
+});
+
+test('a cancelled stop visit keeps the departure on the board as cancelled', () => {
+  const service = createService();
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetableLeavingIn(10), realtime([{
+    stopRef: STAND,
+    routeNumber: '17A',
+    datedVehicleJourneyRef: 'J0',
+    departureStatus: 'cancelled'
+  }]));
+
+  assert.equal(departures.length, 1);
+  assert.equal(departures[0].status, 'cancelled');
+  assert.equal(departures[0].estimatedTime, null);
+  assert.equal(departures[0].scheduledOnly, false);
+  assert.equal(departures[0].lastOfDay, false);
+});
+
+test('a vehicle reporting its journey gives an estimate from its position', () => {
+  const service = createService();
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetableLeavingIn(10), realtime([], [{
+    vehicleRef: 'ANEA-1523',
+    routeNumber: '17A',
+    lineRef: '17A',
+    directionRef: 'outbound',
+    journeyCode: 'J0',
+    latitude: 54.5743,
+    longitude: -1.2361,
+    timestamp: new Date()
+  }]));
+
+  assert.equal(departures[0].status, 'live');
+  assert.equal(departures[0].source, 'vehicle_tracking');
+  assert.equal(departures[0].vehicleRef, 'ANEA-1523');
+  assert.ok(departures[0].estimatedTime - Date.now() < 5 * MINUTE);
+  assert.equal(departures[0].estimatedTime.getTime() % MINUTE, 0);
+});
+
+test('a disruption closing the stop cancels its departures', () => {
+  const service = createService();
+  const situations = [{
+    id: 'closure',
+    summary: 'Stand P closed',
+    progress: 'open',
+    validityPeriods: [],
+    consequences: [{ condition: 'stopCancelled', severity: 'severe', stops: [STAND], lines: [], journeys: [], operators: [] }]
+  }];
+  const departures = service.processBusServices(STAND, service.stops[STAND], timetableLeavingIn(10), realtime(), situations);
+
+  assert.equal(departures[0].status, 'cancelled');
+  assert.deepEqual(departures[0].disruptions.map(disruption => disruption.id), ['closure']);
+});
+
+test('routes without a timetable are left off unless in demo mode', () => {
+  const timetable = timetableLeavingIn(10);
+  const live = createService();
+  assert.ok(live.processBusServices(STAND, live.stops[STAND], timetable, realtime()).every(departure => departure.routeNumber === '17A'));
+
+  const demo = createService({ demo: true });
+  const departures = demo.processBusServices(STAND, demo.stops[STAND], timetable, realtime());
+  assert.ok(departures.some(departure => departure.routeNumber === '99' && departure.source === 'demo'));
+});
+
+test('the base URL and fetch implementation can be replaced', async () => {
+  const requested = [];
+  const fakeFetch = async url => {
+    requested.push(url);
+    if (url.includes('/dataset/15890/')) {
+      return new Response(JSON.stringify({ id: 15890, modified: '2026-09-01', url: 'http://bods.test/download/15890' }));
+    }
+    if (url.startsWith('http://bods.test/download/15890')) return new Response(fixture('timetable-15890.xml'));
+    return new Response('Not found', { status: 404 });
+  };
+  const service = createService({ baseUrl: 'http://bods.test/api/v1/', fetch: fakeFetch });
+
+  const { timetable, datasets } = await service.fetchTimetableData(['15890']);
+  assert.deepEqual(datasets, { 15890: 'live' });
+  assert.ok(timetable.hasRoute('17A'));
+  assert.deepEqual(requested, [
+    'http://bods.test/api/v1/dataset/15890/?api_key=test-key',
+    'http://bods.test/download/15890?api_key=test-key'
+  ]);
+});
+
+test('a dataset BODS will not serve is reported unavailable', async () => {
+  const service = createService({
+    baseUrl: 'http://bods.test/api/v1',
+    fetch: async () => new Response('', { status: 503 }),
+    upstream: { retries: 0 }
+  });
+  const { timetable, datasets } = await service.fetchTimetableData(['15890']);
+  assert.deepEqual(datasets, { 15890: 'unavailable' });
+  assert.equal(timetable.journeys.length, 0);
+});
+
+test('datasets are fetched side by side', async () => {
+  let inFlight = 0;
+  let most = 0;
+  const fakeFetch = async url => {
+    inFlight++;
+    most = Math.max(most, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+    return new Response('', { status: url.includes('/dataset/18509/') ? 404 : 503 });
+  };
+  const service = createService({ baseUrl: 'http://bods.test/api/v1', fetch: fakeFetch, upstream: { retries: 0 } });
+
+  const { datasets } = await service.fetchTimetableData(['15890', '18509']);
+  assert.deepEqual(datasets, { 15890: 'unavailable', 18509: 'unavailable' });
+  assert.equal(most, 2);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setCacheHeaders } = require('../services/cacheHeaders');
+
+const provenance = { fetchedAt: new Date('2026-10-19T17:00:00Z'), freshForSeconds: 30, ageSeconds: 5, cache: 'hit', cached: true };
+const departures = [{ routeNumber: '17A', scheduledTime: new Date('2026-10-19T17:10:00Z') }];
+
+function etagOf(body) {
+  const headers = {};
+  setCacheHeaders({ set: values => Object.assign(headers, values) }, body, [body.provenance || provenance]);
+  return headers.ETag;
+}
+
+const board = (fields = {}) => ({
+  success: true,
+  timestamp: new Date(),
+  data: departures,
+  serviceStatus: [{ routeNumber: '17A', state: 'running', lastDeparture: { minutesUntil: 42 }, message: 'Last 17A at 18:10' }],
+  provenance,
+  cached: true,
+  dataAgeSeconds: 5,
+  ...fields
+});
+
+test('the ETag ignores when the response was made and how old its data is', () => {
+  assert.equal(
+    etagOf(board()),
+    etagOf(board({
+      timestamp: new Date(Date.now() + 1000),
+      provenance: { ...provenance, ageSeconds: 35, freshForSeconds: 0, cache: 'stale', cached: true },
+      dataAgeSeconds: 35
+    }))
+  );
+});
+
+test('the ETag changes with the service status even when the departures don\'t', () => {
+  const later = board({
+    serviceStatus: [{ routeNumber: '17A', state: 'running', lastDeparture: { minutesUntil: 41 }, message: 'Last 17A at 18:10' }]
+  });
+  assert.notEqual(etagOf(board()), etagOf(later));
+});
+
+test('the ETag changes when a disruption starts or clears, or the data quality changes', () => {
+  const disruption = { id: 'closure', summary: 'High Street closed', severity: 'severe', affectedStops: ['079073279B'] };
+  const quiet = etagOf(board({ dataQuality: 'live', disruptions: [] }));
+  const disrupted = etagOf(board({ dataQuality: 'live', disruptions: [disruption] }));
+
+  assert.notEqual(quiet, disrupted);
+  assert.notEqual(disrupted, etagOf(board({ dataQuality: 'live', disruptions: [{ ...disruption, severity: 'normal' }] })));
+  assert.equal(quiet, etagOf(board({ dataQuality: 'live', disruptions: [] })));
+  assert.notEqual(quiet, etagOf(board({ dataQuality: 'scheduled', disruptions: [] })));
+});
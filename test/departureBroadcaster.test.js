@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const NodeCache = require('node-cache');
+const BODSService = require('../services/bodsService');
+const TimetableIndex = require('../services/timetableIndex');
+const DepartureBroadcaster = require('../services/departureBroadcaster');
+const { londonParts } = require('../services/serviceDay');
+
+const STAND = '079073279B';
+
+// Resolves once `check` passes, polling for up to two seconds
+async function eventually(check) {
+  for (let waited = 0; !check(); waited += 20) {
+    if (waited >= 2000) assert.fail('timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function departure(routeNumber, minutesAway) {
+  return { routeNumber, journeyRef: `${routeNumber}-${minutesAway}`, scheduledTime: new Date(Date.now() + minutesAway * 60000) };
+}
+
+// An SSE request and response, recording the events written to it
+function connect(broadcaster, headers = {}) {
+  const req = new EventEmitter();
+  req.get = name => headers[name];
+  req.query = {};
+  const events = [];
+  const res = {
+    set: () => {},
+    flushHeaders: () => {},
+    end: () => {},
+    write: text => {
+      const event = /^event: (\w+)\ndata: (.*)$/m.exec(text);
+      if (event) events.push({ event: event[1], data: JSON.parse(event[2]) });
+    }
+  };
+  broadcaster.addClient(req, res, 'venue');
+  return { events, disconnect: () => req.emit('close') };
+}
+
+test('a display connecting after the last one left gets a fresh board, not the old one', async () => {
+  let board = { [STAND]: [departure('17A', 5)] };
+  const bodsService = { getVenueData: async () => board };
+  const broadcaster = new DepartureBroadcaster(bodsService, new NodeCache());
+
+  const first = connect(broadcaster);
+  await broadcaster.refresh();
+  assert.deepEqual(first.events.map(({ event }) => event), ['snapshot']);
+  first.disconnect();
+
+  board = { [STAND]: [departure('99', 12)] };
+  const second = connect(broadcaster);
+  await broadcaster.refresh();
+  assert.deepEqual(second.events.map(({ event }) => event), ['snapshot']);
+  assert.equal(second.events[0].data.data[STAND][0].routeNumber, '99');
+
+  broadcaster.close();
+});
+
+test('a refresh still running when the last display leaves doesn\'t bring its board back', async () => {
+  let board = { [STAND]: [departure('17A', 5)] };
+  let release;
+  const bodsService = {
+    getVenueData: () => new Promise(resolve => {
+      const answer = board;
+      release = () => resolve(answer);
+    })
+  };
+  const broadcaster = new DepartureBroadcaster(bodsService, new NodeCache());
+
+  const first = connect(broadcaster);
+  first.disconnect();
+  board = { [STAND]: [departure('99', 12)] };
+  const second = connect(broadcaster);
+  const releaseFirst = release;
+  releaseFirst();
+
+  // The first refresh's board is dropped and another is fetched
+  await eventually(() => release !== releaseFirst);
+  assert.deepEqual(second.events, []);
+  release();
+  await eventually(() => second.events.length > 0);
+  assert.deepEqual(second.events.map(({ event }) => event), ['snapshot']);
+  assert.equal(second.events[0].data.data[STAND][0].routeNumber, '99');
+
+  broadcaster.close();
+});
+
+test('a vehicle moving closer to the stop is pushed as a changed departure', async () => {
+  const { hour, minute, second } = londonParts(new Date());
+  const timetable = new TimetableIndex({
+    journeys: [{
+      journeyCode: 'J0',
+      lineName: '17A',
+      operatorName: 'Arriva',
+      destination: 'Stockton',
+      direction: 'outbound',
+      departureTime: hour * 3600 + minute * 60 + second + 600,
+      operatingProfile: null,
+      calls: [{ stopRef: STAND, arrival: 0, departure: 0 }, { stopRef: '0760ST01', arrival: 1200, departure: 1200 }]
+    }]
+  });
+  const [scheduled] = timetable.getDepartures(STAND);
+
+  // The bus heads north to the stand, a little closer on each report
+  let latitude = 54.55;
+  const vehicleCache = new NodeCache();
+  const feed = {
+    name: 'feed',
+    coversOperator: () => true,
+    fetch: async () => ({
+      stopVisits: [],
+      vehicles: [{
+        vehicleRef: 'ANEA-1523',
+        routeNumber: '17A',
+        datedVehicleJourneyRef: 'J0',
+        dataFrameRef: scheduled.operatingDay,
+        directionRef: 'outbound',
+        latitude,
+        longitude: -1.2349,
+        timestamp: new Date()
+      }]
+    })
+  };
+  const venues = {
+    defaultVenue: 'venue',
+    venues: {
+      venue: {
+        name: 'The Pub',
+        boundingBox: { minLat: 54.5, maxLat: 54.6, minLon: -1.3, maxLon: -1.2 },
+        stops: { [STAND]: { name: 'Stand P', latitude: 54.5761, longitude: -1.2349, operators: ['Arriva'], routes: ['17A'], datasets: ['15890'] } }
+      }
+    }
+  };
+  const service = new BODSService('test-key', new NodeCache(), vehicleCache, { venues, realtimeProviders: [feed], disruptions: false });
+  service.loadStopTimetable = async () => ({ timetable, datasets: { 15890: 'live' } });
+  const broadcaster = new DepartureBroadcaster(service, vehicleCache);
+
+  const display = connect(broadcaster);
+  await eventually(() => display.events.length === 1);
+  const [before] = display.events[0].data.data[STAND];
+  assert.equal(before.source, 'vehicle_tracking');
+
+  // The next feed refresh, as the vehicle cache expires
+  latitude = 54.57;
+  vehicleCache.flushAll();
+  await service.getRealtimeData('venue');
+
+  await eventually(() => display.events.length === 2);
+  assert.equal(display.events[1].event, 'departures');
+  const [after] = display.events[1].data.changes[STAND].updated;
+  assert.ok(new Date(after.estimatedTime) < new Date(before.estimatedTime));
+
+  broadcaster.close();
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { filterDepartures, mergeDepartures, departureStatus } = require('../services/departureFilters');
+
+const NOW = Date.parse('2026-10-16T17:00:00Z');
+const inMinutes = minutes => new Date(NOW + minutes * 60000);
+
+const departure = (routeNumber, minutes, extra = {}) => ({
+  routeNumber,
+  destination: 'Stockton via Thornaby',
+  operator: 'Arriva',
+  operatorCode: 'ANEA',
+  scheduledTime: inMinutes(minutes),
+  estimatedTime: null,
+  status: 'scheduled',
+  ...extra
+});
+
+const board = [
+  departure('17A', 5, { estimatedTime: inMinutes(7), status: 'live' }),
+  departure('17B', 10, { destination: 'Middlesbrough' }),
+  departure('17A', 20, { status: 'cancelled' }),
+  departure('12', 25, { operator: 'Stagecoach', operatorCode: 'SCNE' }),
+  departure('17B', 40)
+];
+const routesOf = departures => departures.map(({ routeNumber, scheduledTime }) => `${routeNumber}+${(scheduledTime - NOW) / 60000}`);
+
+test('a departure is live with a prediction, scheduled without and cancelled regardless', () => {
+  assert.equal(departureStatus(board[0]), 'live');
+  assert.equal(departureStatus(board[1]), 'scheduled');
+  assert.equal(departureStatus({ ...board[2], estimatedTime: inMinutes(20) }), 'cancelled');
+});
+
+test('departures are filtered by route, operator, destination and status', () => {
+  assert.deepEqual(routesOf(filterDepartures(board, { routes: ['17b', '99'] }, NOW)), ['17B+10', '17B+40']);
+  assert.deepEqual(routesOf(filterDepartures(board, { operators: ['scne'] }, NOW)), ['12+25']);
+  assert.deepEqual(routesOf(filterDepartures(board, { operators: ['Stagecoach'] }, NOW)), ['12+25']);
+  assert.deepEqual(routesOf(filterDepartures(board, { destination: 'middles' }, NOW)), ['17B+10']);
+  assert.deepEqual(routesOf(filterDepartures(board, { statuses: ['live', 'cancelled'] }, NOW)), ['17A+5', '17A+20']);
+  assert.equal(filterDepartures(board, { routes: [], operators: [] }, NOW).length, 5);
+});
+
+test('departures are filtered by time and limited in number', () => {
+  assert.deepEqual(routesOf(filterDepartures(board, { withinMinutes: 20 }, NOW)), ['17A+5', '17B+10', '17A+20']);
+  assert.deepEqual(routesOf(filterDepartures(board, { limit: 2 }, NOW)), ['17A+5', '17B+10']);
+
+  // Paging on from the last departure seen leaves it out; a prediction counts
+  const firstPage = filterDepartures(board, { limit: 2 }, NOW);
+  const after = firstPage[1].scheduledTime.toISOString();
+  assert.deepEqual(routesOf(filterDepartures(board, { after, limit: 2 }, NOW)), ['17A+20', '12+25']);
+  assert.deepEqual(routesOf(filterDepartures(board, { after: inMinutes(6) }, NOW)), ['17A+5', '17B+10', '17A+20', '12+25', '17B+40']);
+
+  const many = Array.from({ length: 12 }, (_, index) => departure('17A', index));
+  assert.equal(filterDepartures(many, {}, NOW).length, 8);
+});
+
+test('merged boards are in time order across the stops', () => {
+  const merged = mergeDepartures({
+    O: [departure('12', 3), departure('12', 33)],
+    P: board
+  }, 4);
+  assert.deepEqual(merged.map(({ stopId, routeNumber }) => `${stopId}:${routeNumber}`), ['O:12', 'P:17A', 'P:17B', 'P:17A']);
+  assert.equal(mergeDepartures({ O: [departure('12', 3)] }).length, 1);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadEnvironment, readEnvFile, describeEnvironment } = require('../services/environment');
+
+test('secrets are described only as set or not set', () => {
+  const settings = loadEnvironment({ BODS_API_KEY: 'bods-key-123', ADMIN_API_KEYS: 'admin-1,admin-2' });
+  const described = describeEnvironment(settings);
+
+  assert.equal(described.BODS_API_KEY, '[set]');
+  assert.equal(described.ADMIN_API_KEYS, '[set]');
+  assert.equal(described.VAPID_PRIVATE_KEY, '[not set]');
+  assert.equal(described.PORT, 3001);
+  assert.ok(!JSON.stringify(described).includes('bods-key-123'));
+  assert.ok(!JSON.stringify(described).includes('admin-1'));
+});
+
+test('a .env file fills in only what the environment leaves unset', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bus-env-'));
+  const file = path.join(dir, '.env');
+  fs.writeFileSync(file, '# local\nBODS_API_KEY=from-file\nPORT="4000"\n\nLOG_LEVEL=debug\n');
+  const env = { LOG_LEVEL: 'warn' };
+
+  assert.equal(readEnvFile(file, env), true);
+  assert.deepEqual(env, { BODS_API_KEY: 'from-file', PORT: '4000', LOG_LEVEL: 'warn' });
+  assert.equal(readEnvFile(path.join(dir, 'missing.env'), env), false);
+  fs.rmSync(dir, { recursive: true });
+});
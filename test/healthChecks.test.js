@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkReadiness, checkTimetables, checkVehicles, checkUpstreams } = require('../services/healthChecks');
+
+const NOW = Date.parse('2026-10-16T17:00:00Z');
+const secondsAgo = seconds => new Date(NOW - seconds * 1000);
+
+// Just the parts of BODSService the checks read
+function fakeService({ datasets = {}, realtime = {}, upstreams = {} } = {}) {
+  return {
+    timetableStatus: () => datasets,
+    realtimeStatus: () => realtime,
+    upstream: { status: () => upstreams }
+  };
+}
+
+const loaded = { loaded: true, snapshot: false, refreshFailingSince: null };
+
+test('timetables fail until every dataset is loaded, and are degraded on a saved copy', () => {
+  assert.equal(checkTimetables(fakeService({ datasets: { 15890: loaded, 18509: loaded } })).status, 'ok');
+
+  const missing = checkTimetables(fakeService({ datasets: { 15890: loaded, 18509: { ...loaded, loaded: false } } }));
+  assert.equal(missing.status, 'failing');
+  assert.match(missing.message, /dataset 18509/);
+
+  const saved = checkTimetables(fakeService({ datasets: { 15890: { ...loaded, snapshot: true } } }));
+  assert.equal(saved.status, 'degraded');
+
+  const refreshFailing = checkTimetables(fakeService({ datasets: { 15890: { ...loaded, refreshFailingSince: secondsAgo(60) } } }));
+  assert.equal(refreshFailing.status, 'degraded');
+});
+
+test('vehicles fail when no feed has answered within the threshold', () => {
+  const check = realtime => checkVehicles(fakeService({ realtime }), { maxAgeMs: 300000, now: NOW });
+
+  assert.equal(check({ 'siri-vm': { lastSuccessAt: secondsAgo(30) } }).status, 'ok');
+
+  const stale = check({ 'siri-vm': { lastSuccessAt: secondsAgo(301) } });
+  assert.equal(stale.status, 'failing');
+  assert.equal(stale.message, 'Last successful vehicle fetch was 301s ago');
+  assert.equal(stale.feeds['siri-vm'].ageSeconds, 301);
+
+  assert.equal(check({ 'siri-vm': { lastSuccessAt: null } }).message, 'No successful vehicle fetch yet');
+
+  const partial = check({ 'siri-vm': { lastSuccessAt: secondsAgo(30) }, 'gtfs-rt': { lastSuccessAt: null } });
+  assert.equal(partial.status, 'degraded');
+  assert.match(partial.message, /gtfs-rt/);
+
+  assert.equal(check({}).status, 'ok');
+});
+
+test('an open breaker fails readiness only on a feed the boards depend on', () => {
+  const check = upstreams => checkUpstreams(fakeService({ realtime: { 'siri-vm': {} }, upstreams }));
+
+  assert.equal(check({ timetables: { state: 'closed' }, 'siri-vm': { state: 'closed' } }).status, 'ok');
+  assert.equal(check({ timetables: { state: 'open' } }).status, 'failing');
+  assert.equal(check({ 'siri-vm': { state: 'open' } }).status, 'failing');
+  assert.equal(check({ 'siri-vm': { state: 'halfOpen' } }).status, 'degraded');
+
+  const disruptions = check({ timetables: { state: 'closed' }, 'siri-sx': { state: 'open' } });
+  assert.equal(disruptions.status, 'degraded');
+  assert.equal(disruptions.message, 'siri-sx circuit open');
+});
+
+test('the instance is ready while no check is failing', () => {
+  const healthy = {
+    datasets: { 15890: loaded },
+    realtime: { 'siri-vm': { lastSuccessAt: secondsAgo(30) } },
+    upstreams: { timetables: { state: 'closed' }, 'siri-sx': { state: 'open' } }
+  };
+  const degraded = checkReadiness(fakeService(healthy), { maxVehicleAgeMs: 300000, now: NOW });
+  assert.equal(degraded.ready, true);
+  assert.equal(degraded.status, 'degraded');
+  assert.deepEqual(Object.keys(degraded.checks), ['timetables', 'vehicles', 'upstreams']);
+
+  const failing = checkReadiness(fakeService({ ...healthy, realtime: { 'siri-vm': { lastSuccessAt: null } } }), {
+    maxVehicleAgeMs: 300000,
+    now: NOW
+  });
+  assert.equal(failing.ready, false);
+  assert.equal(failing.checks.vehicles.status, 'failing');
+});
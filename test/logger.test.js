@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../services/logger');
+
+// Log lines written while `fn` runs, parsed, by stream. Anything else (such
+// as the test runner's own report) is passed through.
+async function capture(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const intercept = name => {
+    const original = process[name].write;
+    return test.mock.method(process[name], 'write', function (chunk, ...rest) {
+      if (typeof chunk === 'string' && chunk.startsWith('{"time"')) return lines[name].push(JSON.parse(chunk));
+      return original.call(this, chunk, ...rest);
+    });
+  };
+  const stdout = intercept('stdout');
+  const stderr = intercept('stderr');
+  try {
+    await fn();
+  } finally {
+    stdout.mock.restore();
+    stderr.mock.restore();
+  }
+  return lines;
+}
+
+test.afterEach(() => logger.setLevel('info'));
+
+test('each line is a JSON object with the time, level, message and fields', async () => {
+  const { stdout } = await capture(() => logger.child({ component: 'bods' }).info('Built stop board', { stopId: '079073279B' }));
+
+  assert.equal(stdout.length, 1);
+  const [line] = stdout;
+  assert.match(line.time, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+  assert.deepEqual({ ...line, time: undefined }, {
+    time: undefined,
+    level: 'info',
+    msg: 'Built stop board',
+    component: 'bods',
+    stopId: '079073279B'
+  });
+});
+
+test('warnings and errors go to stderr, with errors serialized', async () => {
+  const { stdout, stderr } = await capture(() => {
+    logger.warn('Slow feed');
+    logger.error('Failed', { error: new Error('boom') });
+  });
+
+  assert.deepEqual(stdout, []);
+  assert.deepEqual(stderr.map(line => line.level), ['warn', 'error']);
+  assert.equal(stderr[1].error.message, 'boom');
+  assert.match(stderr[1].error.stack, /^Error: boom/);
+});
+
+test('lines below the configured level are dropped', async () => {
+  logger.setLevel('warn');
+  const { stdout, stderr } = await capture(() => {
+    logger.debug('Detail');
+    logger.info('Progress');
+    logger.warn('Problem');
+  });
+  assert.deepEqual(stdout, []);
+  assert.equal(stderr.length, 1);
+
+  logger.setLevel('silent');
+  assert.deepEqual((await capture(() => logger.error('Hidden'))).stderr, []);
+
+  assert.throws(() => logger.setLevel('verbose'), /Unknown log level: verbose/);
+});
+
+test('lines logged while handling a request carry its ID, across awaits', async () => {
+  const { stdout } = await capture(async () => {
+    await logger.withRequestId('req-1', async () => {
+      await new Promise(setImmediate);
+      logger.info('Inside');
+      assert.equal(logger.currentRequestId(), 'req-1');
+    });
+    logger.info('Outside');
+  });
+
+  assert.equal(stdout[0].requestId, 'req-1');
+  assert.equal(stdout[1].requestId, undefined);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, registerCacheMetrics } = require('../services/metrics');
+
+test('counters and gauges render one line per label set', () => {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+  const connected = registry.gauge({ name: 'connected', help: 'Connected displays' });
+
+  requests.inc({ route: '/a', status: 200 });
+  requests.inc({ status: 200, route: '/a' }, 2);
+  requests.inc({ route: '/b', status: 500 });
+  connected.set({}, 3);
+
+  assert.equal(registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a",status="200"} 3',
+    'requests_total{route="/b",status="500"} 1',
+    '# HELP connected Connected displays',
+    '# TYPE connected gauge',
+    'connected 3',
+    ''
+  ].join('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const registry = new MetricsRegistry();
+  const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [1, 0.1] });
+
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+  latency.observe({ route: '/a' }, 3);
+
+  assert.deepEqual(registry.render().trim().split('\n').slice(2), [
+    'latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'latency_seconds_bucket{route="/a",le="1"} 2',
+    'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+    'latency_seconds_sum{route="/a"} 3.55',
+    'latency_seconds_count{route="/a"} 3'
+  ]);
+});
+
+test('label values are escaped', () => {
+  const registry = new MetricsRegistry();
+  registry.counter({ name: 'odd_total', help: 'Odd labels', labelNames: ['value'] }).inc({ value: 'say "hi"\\\n' });
+
+  assert.match(registry.render(), /^odd_total\{value="say \\"hi\\"\\\\\\n"\} 1$/m);
+});
+
+test('registering a name again returns the same metric, but not as another type', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter({ name: 'calls_total', help: 'Calls' });
+
+  assert.equal(registry.counter({ name: 'calls_total', help: 'Calls' }), counter);
+  assert.throws(() => registry.gauge({ name: 'calls_total', help: 'Calls' }), /already registered as a counter/);
+});
+
+test('cache statistics are read when the metrics are rendered', () => {
+  const registry = new MetricsRegistry();
+  const stats = { hits: 0, misses: 0, keys: 0 };
+  registerCacheMetrics({ departures: { getStats: () => stats } }, registry);
+
+  assert.match(registry.render(), /^cache_hit_ratio\{cache="departures"\} 0$/m);
+
+  Object.assign(stats, { hits: 3, misses: 1, keys: 2 });
+  const text = registry.render();
+  assert.match(text, /^cache_hits_total\{cache="departures"\} 3$/m);
+  assert.match(text, /^cache_misses_total\{cache="departures"\} 1$/m);
+  assert.match(text, /^cache_hit_ratio\{cache="departures"\} 0\.75$/m);
+  assert.match(text, /^cache_keys\{cache="departures"\} 2$/m);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const NaptanLookup = require('../services/naptan');
+const { csvRecords } = require('../services/csv');
+
+const records = async (...chunks) => {
+  const all = [];
+  for await (const fields of csvRecords(Readable.from(chunks))) all.push(fields);
+  return all;
+};
+
+test('quoted fields keep their commas, quotes and line breaks', async () => {
+  assert.deepEqual(await records('a,"b, ""c""",d\r\n', '\r\n', '"multi\r\nline",,\n'), [
+    ['a', 'b, "c"', 'd'],
+    ['multi\r\nline', '', '']
+  ]);
+  // A record split between chunks, in the middle of a quoted field and a doubled quote
+  assert.deepEqual(await records('x,"one "', '"two"', '" three",y\nlast'), [['x', 'one "two" three', 'y'], ['last']]);
+});
+
+test('a NaPTAN record with a line break in its notes keeps its columns', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'naptan-')), 'Stops.csv');
+  fs.writeFileSync(file, [
+    '﻿ATCOCode,CommonName,Notes,Indicator,LocalityName,Longitude,Latitude',
+    '079073279A,Cleveland Centre,"Stand O,\nby the ""clock""",Stand O,Middlesbrough,-1.2349,54.5761',
+    '079073279B,Cleveland Centre,,Stand P,Middlesbrough,-1.2350,54.5762',
+    ''
+  ].join('\r\n'));
+
+  try {
+    const naptan = await NaptanLookup.fromCsv(file);
+    assert.deepEqual(naptan.lookup('079073279A'), {
+      atcoCode: '079073279A',
+      name: 'Cleveland Centre',
+      indicator: 'Stand O',
+      locality: 'Middlesbrough',
+      latitude: 54.5761,
+      longitude: -1.2349
+    });
+    assert.equal(naptan.displayName('079073279B'), 'Cleveland Centre (Stand P)');
+    assert.equal(Object.keys(naptan.stops).length, 2);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('a CSV without an ATCOCode column is rejected, even with no records', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'naptan-')), 'Stops.csv');
+  fs.writeFileSync(file, 'StopPointRef,CommonName\n');
+
+  try {
+    await assert.rejects(NaptanLookup.fromCsv(file), /not a NaPTAN stops CSV/);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const PunctualityStore = require('../services/punctualityStore');
+
+const STAND = '079073279B';
+const SCHEDULED = Date.parse('2026-10-19T09:00:00Z');
+
+function withDirectory(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'punctuality-'));
+  try {
+    return run(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('two journeys on a route in the same minute are recorded apart', () => withDirectory(directory => {
+  const store = new PunctualityStore(directory);
+  const departure = (journeyRef, operator) => ({
+    routeNumber: '17A', operator, journeyRef, scheduledTime: new Date(SCHEDULED), source: 'timetable', scheduledOnly: true
+  });
+  store.recordDepartures(STAND, [departure('VJ1', 'Arriva'), departure('VJ2', 'Stagecoach')], SCHEDULED - 600000);
+  store.recordDepartures(STAND, [departure('VJ1', 'Arriva'), departure(undefined, 'Go North East')], SCHEDULED - 300000);
+
+  const rows = store.query({ stop: STAND, from: SCHEDULED, to: SCHEDULED + 1 });
+  assert.deepEqual(rows.map(row => [row.journey_ref, row.operator]).sort(), [
+    ['VJ1', 'Arriva'], ['VJ2', 'Stagecoach'], [null, 'Go North East']
+  ].sort());
+  assert.equal(rows.find(row => row.journey_ref === 'VJ1').first_seen_at, SCHEDULED - 600000);
+  store.close();
+}));
+
+test('a database keyed by stop, route and time alone is rebuilt with its rows', () => withDirectory(directory => {
+  const db = new Database(path.join(directory, 'punctuality.sqlite'));
+  db.exec(`
+    CREATE TABLE departures (
+      stop_id TEXT NOT NULL, route TEXT NOT NULL, operator TEXT, destination TEXT, journey_ref TEXT,
+      operating_day TEXT, scheduled_at INTEGER NOT NULL, estimated_at INTEGER, estimate_source TEXT,
+      estimate_seen_at INTEGER, vehicle_ref TEXT, passed_at INTEGER, cancelled INTEGER NOT NULL DEFAULT 0,
+      first_seen_at INTEGER NOT NULL, last_seen_at INTEGER NOT NULL,
+      PRIMARY KEY (stop_id, route, scheduled_at)
+    );
+    CREATE INDEX departures_route ON departures (route, scheduled_at);
+  `);
+  db.prepare(`INSERT INTO departures (stop_id, route, journey_ref, scheduled_at, passed_at, first_seen_at, last_seen_at)
+    VALUES (?, '17A', ?, ?, ?, 1, 2)`).run(STAND, null, SCHEDULED, SCHEDULED + 60000);
+  db.close();
+
+  const store = new PunctualityStore(directory);
+  const [row] = store.query({ route: '17A', from: SCHEDULED, to: SCHEDULED + 1 });
+  assert.equal(row.journey_ref, null);
+  assert.equal(row.passed_at, SCHEDULED + 60000);
+
+  store.recordDepartures(STAND, [{ routeNumber: '17A', journeyRef: 'VJ2', scheduledTime: new Date(SCHEDULED), source: 'timetable' }]);
+  assert.equal(store.query({ route: '17A', from: SCHEDULED, to: SCHEDULED + 1 }).length, 2);
+  store.close();
+
+  // Opening it again leaves it as it is
+  const reopened = new PunctualityStore(directory);
+  assert.equal(reopened.query({ route: '17A', from: SCHEDULED, to: SCHEDULED + 1 }).length, 2);
+  reopened.close();
+}));
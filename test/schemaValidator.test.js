@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, coerceParameter } = require('../services/schemaValidator');
+
+const document = {
+  components: {
+    schemas: {
+      Stop: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['stopId', 'departures'],
+        properties: {
+          stopId: { type: 'string', pattern: '^[0-9A-Z]+$' },
+          departures: { type: 'array', items: { $ref: '#/components/schemas/Departure' } }
+        }
+      },
+      Departure: {
+        type: 'object',
+        required: ['scheduledTime', 'estimatedTime'],
+        properties: {
+          scheduledTime: { type: 'string', format: 'date-time' },
+          estimatedTime: { type: 'string', format: 'date-time', nullable: true },
+          status: { type: 'string', enum: ['scheduled', 'live'] }
+        }
+      }
+    }
+  }
+};
+const stop = { $ref: '#/components/schemas/Stop' };
+
+test('a value matching its schema has no problems', () => {
+  const value = {
+    stopId: '079073279A',
+    departures: [{ scheduledTime: '2026-10-16T18:05:00.000+01:00', estimatedTime: null, status: 'live' }]
+  };
+  assert.deepEqual(validate(stop, value, document), []);
+});
+
+test('every problem is reported with the path to it', () => {
+  const value = {
+    stopId: 'a stop',
+    extra: 1,
+    departures: [{ scheduledTime: '2026-10-16T18:05:00', status: 'late' }]
+  };
+  assert.deepEqual(validate(stop, value, document), [
+    '$.stopId must match ^[0-9A-Z]+$',
+    '$.extra is not allowed',
+    '$.departures[0].estimatedTime is required',
+    '$.departures[0].scheduledTime must be a date and time with an offset',
+    '$.departures[0].status must be one of scheduled, live'
+  ]);
+  assert.deepEqual(validate(stop, null, document), ['$ must not be null']);
+});
+
+test('numbers, arrays and nullable references are checked', () => {
+  const trail = { type: 'integer', minimum: 0, maximum: 30 };
+  assert.deepEqual(validate(trail, 31, {}, 'trail'), ['trail must be at most 30']);
+  assert.deepEqual(validate(trail, 1.5, {}, 'trail'), ['trail must be an integer']);
+  assert.deepEqual(validate(trail, Number('soon'), {}, 'trail'), ['trail must be an integer']);
+  assert.deepEqual(validate({ type: 'number' }, Number('soon'), {}, 'speed'), ['speed must be a number']);
+
+  const nextBus = { allOf: [{ $ref: '#/components/schemas/Departure' }], nullable: true };
+  assert.deepEqual(validate(nextBus, null, document), []);
+  assert.deepEqual(validate(nextBus, {}, document).length, 2);
+});
+
+test('parameters are converted to their declared type before checking', () => {
+  assert.equal(coerceParameter({ type: 'integer' }, '10'), 10);
+  assert.equal(coerceParameter({ type: 'integer' }, ''), '');
+  assert.equal(coerceParameter({ type: 'boolean' }, 'true'), true);
+  assert.deepEqual(coerceParameter({ type: 'array', items: { type: 'string' } }, '17A, 17B,'), ['17A', '17B']);
+  assert.equal(coerceParameter({ type: 'string' }, '17A'), '17A');
+});
@@ -0,0 +1,439 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const STAND_O = '079073279A';
+const STAND_P = '079073279B';
+const STAND_Q = '079073279C';
+const ZONED_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}[+-]\d{2}:\d{2}$/;
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+async function getJson(url, options) {
+  const response = await server.request(url, options);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const departsAt = departure => Date.parse(departure.estimatedTime || departure.scheduledTime);
+
+test('GET /health reports the server healthy', async () => {
+  const { status, body } = await getJson('/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'healthy');
+  assert.match(body.timestamp, ZONED_TIME);
+});
+
+test('GET /api/venues lists the venue and its stands', async () => {
+  const { status, body } = await getJson('/api/venues');
+  assert.equal(status, 200);
+  assert.equal(body.defaultVenue, 'infant-hercules');
+  assert.deepEqual(body.venues[0].stops.map(stop => stop.stopId), [STAND_O, STAND_P, STAND_Q]);
+});
+
+test('GET /api/bus-times gives each stand its timetabled departures, soonest first', async () => {
+  const { status, body } = await getJson('/api/bus-times');
+  assert.equal(status, 200);
+  assert.equal(body.dataQuality, 'live');
+  assert.deepEqual(Object.keys(body.data).sort(), [STAND_O, STAND_P, STAND_Q]);
+
+  for (const departures of Object.values(body.data)) {
+    assert.ok(departures.length > 0 && departures.length <= 8);
+    const times = departures.map(departsAt);
+    assert.deepEqual(times, times.slice().sort((a, b) => a - b));
+    departures.forEach(departure => assert.match(departure.scheduledTime, ZONED_TIME));
+  }
+  assert.ok(body.data[STAND_O].every(departure => departure.routeNumber === '12' && departure.operator === 'Stagecoach'));
+  assert.equal(body.provenance[STAND_P].dataQuality, 'live');
+});
+
+test('GET /health reports when each upstream feed last answered', async () => {
+  const { body } = await getJson('/health');
+  for (const name of ['timetables', 'siri-vm', 'siri-sx']) {
+    assert.equal(body.upstreams[name].state, 'closed');
+    assert.match(body.upstreams[name].lastSuccessAt, ZONED_TIME);
+  }
+});
+
+test('GET /health/live answers while the server is up', async () => {
+  const { status, body } = await getJson('/health/live');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'alive');
+});
+
+test('GET /health/ready passes once timetables and vehicles are loaded', async () => {
+  const { status, body } = await getJson('/health/ready');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.dataStatus, 'ok');
+  assert.deepEqual(Object.keys(body.checks.timetables.datasets).sort(), ['15890', '18509']);
+  assert.ok(Object.values(body.checks.timetables.datasets).every(dataset => dataset.loaded));
+  assert.match(body.checks.vehicles.feeds['siri-vm'].lastSuccessAt, ZONED_TIME);
+  assert.equal(body.checks.upstreams.status, 'ok');
+});
+
+test('GET /api/bus-times answers 304 while the board is unchanged', async () => {
+  const first = await server.request('/api/bus-times');
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  assert.match(first.headers.get('cache-control'), /max-age=\d+/);
+
+  // fetch() marks conditional requests no-cache unless told otherwise
+  const second = await server.request('/api/bus-times', { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+  assert.equal(second.status, 304);
+});
+
+test('GET /api/bus-times filters departures by route, destination and time', async () => {
+  const { status, body } = await getJson('/api/bus-times?route=17b&limit=2');
+  assert.equal(status, 200);
+  assert.ok(body.data[STAND_P].length <= 2);
+  assert.ok(body.data[STAND_P].every(departure => departure.routeNumber === '17B'));
+  assert.deepEqual([body.data[STAND_O], body.data[STAND_Q]], [[], []]);
+
+  const { body: soon } = await getJson('/api/bus-times?within=60&destination=stockton');
+  for (const departures of Object.values(soon.data)) {
+    departures.forEach(departure => {
+      assert.ok(departsAt(departure) <= Date.now() + 60 * 60000);
+      assert.match(departure.destination, /stockton/i);
+    });
+  }
+
+  const [first] = (await getJson('/api/bus-times?limit=1')).body.data[STAND_O];
+  const { body: later } = await getJson(`/api/bus-times?after=${encodeURIComponent(first.estimatedTime || first.scheduledTime)}`);
+  assert.ok(later.data[STAND_O].every(departure => departsAt(departure) > departsAt(first)));
+});
+
+test('GET /api/bus-times?merge=true gives one list across the stands, soonest first', async () => {
+  const [{ status, body }, { body: perStop }] = await Promise.all([
+    getJson('/api/bus-times?merge=true&limit=3'),
+    getJson('/api/bus-times?limit=3')
+  ]);
+  assert.equal(status, 200);
+  assert.equal(body.data, undefined);
+
+  const soonest = Object.entries(perStop.data)
+    .flatMap(([stopId, departures]) => departures.map(departure => ({ stopId, at: departsAt(departure) })))
+    .sort((a, b) => a.at - b.at)
+    .slice(0, 3);
+  assert.deepEqual(body.departures.map(departure => ({ stopId: departure.stopId, at: departsAt(departure) })), soonest);
+});
+
+test('GET /api/bus-times validates its filters', async () => {
+  for (const query of ['limit=0', 'limit=51', 'within=soon', 'after=teatime', 'status=late']) {
+    const { status, body } = await getJson(`/api/bus-times?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.success, false);
+  }
+  assert.equal((await getJson(`/api/bus-times/${STAND_P}?limit=0`)).status, 400);
+});
+
+test('GET /api/bus-times rejects an unknown venue', async () => {
+  const { status, body } = await getJson('/api/bus-times?venue=nowhere');
+  assert.equal(status, 404);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/bus-times/:stopId gives one stand with the disruptions affecting it', async () => {
+  const { status, body } = await getJson(`/api/bus-times/${STAND_P}`);
+  assert.equal(status, 200);
+  assert.equal(body.stopId, STAND_P);
+  assert.ok(body.data.every(departure => departure.routeNumber === '17A'));
+  assert.ok(body.data.every(departure =>
+    departure.disruptions.some(disruption => disruption.summary === 'Roadworks on Thornaby Road')));
+});
+
+test('GET /api/bus-times/:stopId fails for a stop that is not configured', async () => {
+  const { status, body } = await getJson('/api/bus-times/0000NOTASTOP');
+  assert.equal(status, 500);
+  assert.equal(body.stopId, '0000NOTASTOP');
+});
+
+test('GET /api/next-bus gives the soonest departure across the stands', async () => {
+  const [{ body }, { body: board }] = await Promise.all([getJson('/api/next-bus'), getJson('/api/bus-times')]);
+  const soonest = Math.min(...Object.values(board.data).flat().map(departsAt));
+  assert.equal(departsAt(body.nextBus), soonest);
+  assert.equal(body.highlighted, ['17A', '17B'].includes(body.nextBus.routeNumber));
+});
+
+test('GET /api/last-buses covers every configured route', async () => {
+  const { status, body } = await getJson('/api/last-buses');
+  assert.equal(status, 200);
+  const byRoute = Object.fromEntries(body.routes.map(route => [route.routeNumber, route]));
+  assert.deepEqual(Object.keys(byRoute).sort(), ['10', '12', '13', '14', '17A', '17B', '29', '63']);
+  assert.equal(byRoute['10'].state, 'unknown');
+  assert.notEqual(byRoute['17A'].state, 'unknown');
+});
+
+test('GET /api/plan finds direct journeys by the timetable', async () => {
+  const { status, body } = await getJson(`/api/plan?to=Stockton&at=${encodeURIComponent('2026-10-16T17:50:00+01:00')}&limit=2`);
+  assert.equal(status, 200);
+  assert.equal(body.destination.matchedBy, 'route');
+  assert.equal(body.count, 2);
+
+  const [first] = body.options;
+  assert.equal(first.changes, 0);
+  assert.equal(first.departureTime, '2026-10-16T18:04:00.000+01:00');
+  assert.equal(first.legs[0].routeNumber, '17A');
+  assert.equal(first.legs[0].from.stopId, STAND_P);
+});
+
+test('GET /api/plan validates its parameters', async () => {
+  assert.equal((await getJson('/api/plan')).status, 400);
+  assert.equal((await getJson('/api/plan?to=Stockton&at=teatime')).status, 400);
+  assert.equal((await getJson('/api/plan?to=Stockton&limit=50')).status, 400);
+
+  const { status, body } = await getJson('/api/plan?to=Atlantis');
+  assert.equal(status, 404);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/disruptions lists only situations affecting the venue', async () => {
+  const { status, body } = await getJson('/api/disruptions');
+  assert.equal(status, 200);
+  assert.equal(body.available, true);
+  assert.equal(body.count, 1);
+  assert.deepEqual(body.disruptions[0].affectedRoutes, ['17A']);
+});
+
+test('GET /api/stream opens with a snapshot of the boards', async () => {
+  const controller = new AbortController();
+  const response = await server.request('/api/stream', { signal: controller.signal });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (!text.includes('event: snapshot')) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value);
+  }
+  controller.abort();
+  assert.match(text, /event: snapshot\ndata: \{/);
+});
+
+test('GET /api/vehicles drops positions that are missing or stale', async () => {
+  const { status, body } = await getJson('/api/vehicles');
+  assert.equal(status, 200);
+  assert.deepEqual(body.vehicles.map(vehicle => vehicle.vehicleRef).sort(), ['ANEA-1523', 'ANEA-1601']);
+
+  const bus = body.vehicles.find(vehicle => vehicle.vehicleRef === 'ANEA-1523');
+  assert.equal(bus.bearing, 22);
+  assert.equal(bus.occupancy, 'seatsAvailable');
+  assert.ok(Array.isArray(bus.trail));
+});
+
+test('GET /api/vehicles filters by route and operator', async () => {
+  const byRoute = await getJson('/api/vehicles?route=29');
+  assert.deepEqual(byRoute.body.vehicles.map(vehicle => vehicle.vehicleRef), ['ANEA-1601']);
+
+  const byOperator = await getJson('/api/vehicles?operator=SCNE');
+  assert.equal(byOperator.body.count, 0);
+});
+
+test('GET /api/vehicles?format=geojson gives a FeatureCollection', async () => {
+  const response = await server.request('/api/vehicles?format=geojson&trail=0');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /application\/geo\+json/);
+
+  const collection = await response.json();
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.ok(collection.features.every(feature => feature.geometry.type === 'Point'));
+  assert.equal(collection.features.length, 2);
+});
+
+test('GET /api/vehicles validates its parameters', async () => {
+  assert.equal((await getJson('/api/vehicles?format=kml')).status, 400);
+  assert.equal((await getJson('/api/vehicles?trail=90')).status, 400);
+});
+
+test('subscriptions can be created, read, updated and deleted', async () => {
+  const json = { 'Content-Type': 'application/json' };
+  const subscription = {
+    name: 'Home',
+    routes: ['17A'],
+    stops: [STAND_P],
+    leadMinutes: 10,
+    channel: { type: 'webhook', url: 'https://example.com/hook' }
+  };
+
+  const invalid = await getJson('/api/subscriptions', { method: 'POST', headers: json, body: JSON.stringify({ routes: [] }) });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.problems.length > 0);
+
+  for (const url of ['http://169.254.169.254/latest/meta-data', 'http://127.0.0.1:8080/', 'http://[::1]/', 'http://localhost/']) {
+    const rejected = await getJson('/api/subscriptions', {
+      method: 'POST',
+      headers: json,
+      body: JSON.stringify({ ...subscription, channel: { type: 'webhook', url } })
+    });
+    assert.equal(rejected.status, 400, url);
+  }
+
+  const created = await getJson('/api/subscriptions', { method: 'POST', headers: json, body: JSON.stringify(subscription) });
+  assert.equal(created.status, 201);
+  const { id, secret } = created.body.subscription;
+  assert.equal(created.body.subscription.venue, 'infant-hercules');
+  assert.ok(secret);
+  const owner = { Authorization: `Bearer ${secret}` };
+
+  // The ID alone is not enough to manage a subscription
+  for (const method of ['GET', 'PUT', 'DELETE']) {
+    const { status } = await getJson(`/api/subscriptions/${id}`, { method, headers: { ...json, Authorization: 'Bearer guess' } });
+    assert.equal(status, 401, method);
+  }
+
+  const read = await getJson(`/api/subscriptions/${id}`, { headers: owner });
+  assert.equal(read.body.subscription.name, 'Home');
+  assert.equal(read.body.subscription.secret, undefined);
+  assert.equal(read.body.subscription.secretHash, undefined);
+
+  const updated = await getJson(`/api/subscriptions/${id}`, {
+    method: 'PUT',
+    headers: { ...json, ...owner },
+    body: JSON.stringify({ ...subscription, leadMinutes: 5 })
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.subscription.leadMinutes, 5);
+
+  const listed = await getJson('/api/subscriptions', { headers: server.adminHeaders });
+  assert.deepEqual(listed.body.subscriptions.map(entry => entry.id), [id]);
+  assert.equal((await getJson(`/api/subscriptions/${id}`, { headers: server.adminHeaders })).status, 200);
+
+  assert.equal((await getJson(`/api/subscriptions/${id}`, { method: 'DELETE', headers: owner })).status, 200);
+  assert.equal((await getJson(`/api/subscriptions/${id}`, { headers: owner })).status, 404);
+  assert.equal((await getJson(`/api/subscriptions/${id}`, { method: 'DELETE', headers: owner })).status, 404);
+});
+
+test('admin endpoints need the admin key', async () => {
+  for (const url of ['/api/subscriptions', '/api/cache/status']) {
+    const { status, headers } = await getJson(url);
+    assert.equal(status, 401);
+    assert.match(headers.get('www-authenticate'), /Bearer/);
+  }
+
+  const { status, body } = await getJson('/api/cache/status', { headers: { 'X-API-Key': 'wrong' } });
+  assert.equal(status, 401);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/push/public-key is 404 without a VAPID key pair', async () => {
+  assert.equal((await getJson('/api/push/public-key')).status, 404);
+});
+
+test('GET /api/reports/punctuality reports and exports recorded departures', async () => {
+  const report = await getJson(`/api/reports/punctuality?route=17A&stop=${STAND_P}`);
+  assert.equal(report.status, 200);
+  assert.equal(report.body.report.route, '17A');
+  assert.equal(typeof report.body.report.departures, 'number');
+
+  const csv = await server.request('/api/reports/punctuality?format=csv&from=2026-10-01&to=2026-10-02');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /punctuality-all-2026-10-01\.csv/);
+  assert.match(await csv.text(), /^stop_id,route,operator,/);
+});
+
+test('GET /api/reports/punctuality validates its parameters', async () => {
+  assert.equal((await getJson('/api/reports/punctuality?from=2026-10-02&to=2026-10-01')).status, 400);
+  assert.equal((await getJson('/api/reports/punctuality?from=soon')).status, 400);
+  assert.equal((await getJson('/api/reports/punctuality?stop=0000NOTASTOP')).status, 404);
+});
+
+test('GET /display serves a self-refreshing page for the venue or one stand', async () => {
+  const venue = await server.request('/display?refresh=60');
+  assert.equal(venue.status, 200);
+  assert.match(venue.headers.get('content-type'), /text\/html/);
+  const html = await venue.text();
+  assert.match(html, /<title>The Infant Hercules<\/title>/);
+  assert.match(html, /content="60"/);
+
+  const stand = await server.request(`/display/${STAND_P}`);
+  assert.match(await stand.text(), /<h1>Cleveland Centre \(Stand P\)<\/h1>/);
+
+  assert.equal((await server.request('/display/0000NOTASTOP')).status, 404);
+  assert.equal((await server.request('/display?refresh=1')).status, 400);
+});
+
+test('GET /api/board gives fixed-width text or JSON lines', async () => {
+  const text = await server.request('/api/board?width=40');
+  assert.equal(text.status, 200);
+  assert.match(text.headers.get('content-type'), /text\/plain/);
+  const lines = (await text.text()).split('\r\n').filter(Boolean);
+  assert.ok(lines.length > 3);
+  assert.ok(lines.every(line => line.length === 40));
+
+  const jsonl = await server.request(`/api/board?format=jsonl&stop=${STAND_P}`);
+  const records = (await jsonl.text()).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(records[0].type, 'board');
+  assert.ok(records.filter(record => record.type === 'departure').every(record => record.routeNumber === '17A' && record.highlighted));
+  assert.ok(records.some(record => record.type === 'disruption'));
+});
+
+test('GET /api/board validates its parameters', async () => {
+  assert.equal((await getJson('/api/board?format=xml')).status, 400);
+  assert.equal((await getJson('/api/board?width=5')).status, 400);
+  assert.equal((await getJson('/api/board?stop=0000NOTASTOP')).status, 404);
+});
+
+test('unknown endpoints answer 404 with the list of endpoints', async () => {
+  const { status, body } = await getJson('/api/nothing-here');
+  assert.equal(status, 404);
+  assert.ok(body.availableEndpoints.includes('GET /api/bus-times'));
+});
+
+test('every response carries a request ID, keeping one passed in', async () => {
+  const generated = await server.request('/health');
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const passed = await server.request('/health', { headers: { 'X-Request-Id': 'display-7.42' } });
+  assert.equal(passed.headers.get('x-request-id'), 'display-7.42');
+
+  const invalid = await server.request('/health', { headers: { 'X-Request-Id': 'not an id' } });
+  assert.notEqual(invalid.headers.get('x-request-id'), 'not an id');
+});
+
+test('GET /metrics reports requests, upstream calls, caches, vehicles and departure sources', async () => {
+  await server.request('/api/bus-times');
+  await server.request(`/api/bus-times/${STAND_P}`);
+  await server.request('/api/nothing-here');
+
+  const response = await server.request('/metrics');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  const text = await response.text();
+
+  assert.match(text, /^http_requests_total\{method="GET",route="\/api\/bus-times\/:stopId",status="200"\} [1-9]/m);
+  assert.match(text, /^http_requests_total\{method="GET",route="unmatched",status="404"\} [1-9]/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/bus-times"\} [1-9]/m);
+  assert.match(text, /^bods_upstream_request_duration_seconds_count\{feed="timetables",dataset="15890",outcome="success"\} [1-9]/m);
+  assert.match(text, /^bods_upstream_request_duration_seconds_count\{feed="siri-vm",dataset="",outcome="success"\} [1-9]/m);
+  assert.match(text, /^cache_hit_ratio\{cache="timetables"\} (0|1|0\.\d+)$/m);
+  assert.match(text, /^bus_vehicles_seen\{feed="siri-vm"\} [1-9]/m);
+  assert.match(text, /^bus_departures_total\{source="timetable"\} [1-9]/m);
+  assert.match(text, /^bus_departures_source_ratio\{source="timetable"\} (1|0\.\d+)$/m);
+});
+
+test('boards fall back to the saved timetable when BODS stops serving datasets', async () => {
+  server.mock.fail('/api/v1/dataset/');
+  server.mock.fail('/timetable/');
+  try {
+    assert.equal((await getJson('/api/cache/clear', { method: 'POST', headers: server.adminHeaders })).status, 200);
+
+    const { status, body } = await getJson('/api/bus-times');
+    assert.equal(status, 200);
+    assert.equal(body.dataQuality, 'snapshot');
+    assert.ok(Object.values(body.data).every(departures => departures.length > 0));
+
+    const board = await server.request('/api/board');
+    assert.match(await board.text(), /^Timetable may be out of date/);
+  } finally {
+    server.mock.restore();
+  }
+});
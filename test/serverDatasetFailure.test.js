@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const STAND_O = '079073279A';
+const STAND_P = '079073279B';
+
+// Stand O's timetable dataset and the SIRI-VM feed fail from the start, so
+// there is no snapshot of that dataset to fall back to; stand P's downloads
+// as normal
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    failing: ['/api/v1/datafeed/', '/api/v1/dataset/18509/'],
+    env: { UPSTREAM_RETRIES: '0' }
+  });
+});
+
+after(() => server.close());
+
+async function getJson(url) {
+  const response = await server.request(url);
+  return { status: response.status, body: await response.json() };
+}
+
+test('the other stands still show their timetables', async () => {
+  const { status, body } = await getJson('/api/bus-times');
+  assert.equal(status, 200);
+  assert.equal(body.provenance[STAND_P].dataQuality, 'scheduled');
+  assert.ok(body.data[STAND_P].length > 0);
+  assert.ok(body.data[STAND_P].every(departure => departure.scheduledOnly && departure.source === 'timetable'));
+  assert.equal(body.provenance[STAND_O].dataQuality, 'unavailable');
+  assert.deepEqual(body.data[STAND_O], []);
+  // The venue is only as good as its worst stand
+  assert.equal(body.dataQuality, 'unavailable');
+
+  const board = await (await server.request(`/api/board?stop=${STAND_P}&width=60`)).text();
+  assert.match(board, /^Live times unavailable - showing timetable/);
+});
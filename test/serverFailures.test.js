@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const STAND_P = '079073279B';
+
+// BODS is failing from the start, so there is no timetable snapshot on disk
+// to fall back to
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    failing: ['/api/v1/dataset/', '/api/v1/datafeed/', '/api/v1/siri-sx/'],
+    env: { UPSTREAM_RETRIES: '0', UPSTREAM_FAILURE_THRESHOLD: '2' }
+  });
+});
+
+after(() => server.close());
+
+async function getJson(url, options) {
+  const response = await server.request(url, options);
+  return { status: response.status, body: await response.json() };
+}
+
+test('boards say departures are unavailable rather than guess', async () => {
+  const { status, body } = await getJson('/api/bus-times');
+  assert.equal(status, 200);
+  assert.equal(body.dataQuality, 'unavailable');
+  assert.ok(Object.values(body.data).every(departures => departures.length === 0));
+  assert.ok(Object.values(body.provenance).every(stop => stop.freshForSeconds <= 60));
+
+  const stop = await getJson(`/api/bus-times/${STAND_P}`);
+  assert.equal(stop.body.dataQuality, 'unavailable');
+  assert.deepEqual(stop.body.data, []);
+});
+
+test('next bus and last buses have nothing to report', async () => {
+  assert.equal((await getJson('/api/next-bus')).body.nextBus, null);
+
+  const { body } = await getJson('/api/last-buses');
+  assert.equal(body.dataQuality, 'unavailable');
+  assert.equal(body.running, 0);
+});
+
+test('journey planning answers 503 without timetables', async () => {
+  const { status, body } = await getJson('/api/plan?to=Stockton');
+  assert.equal(status, 503);
+  assert.equal(body.dataQuality, 'unavailable');
+});
+
+test('disruptions are reported as unavailable', async () => {
+  const { status, body } = await getJson('/api/disruptions');
+  assert.equal(status, 200);
+  assert.equal(body.available, false);
+  assert.equal(body.count, 0);
+});
+
+test('displays and signs show that departures are unavailable', async () => {
+  const page = await (await server.request('/display')).text();
+  assert.match(page, /Departure information unavailable/);
+  assert.match(page, /No departures/);
+
+  const text = await (await server.request('/api/board?width=60')).text();
+  assert.match(text, /^Departure information unavailable/);
+});
+
+test('vehicles are an empty list when the feed fails', async () => {
+  const { status, body } = await getJson('/api/vehicles');
+  assert.equal(status, 200);
+  assert.deepEqual(body.vehicles, []);
+});
+
+test('GET /metrics counts the failed upstream calls', async () => {
+  const text = await (await server.request('/metrics')).text();
+  assert.match(text, /^bods_upstream_errors_total\{feed="timetables",dataset="18509",reason="503"\} [1-9]/m);
+  assert.match(text, /^bods_upstream_errors_total\{feed="siri-vm",dataset="",reason="503"\} [1-9]/m);
+  assert.match(text, /^bods_upstream_errors_total\{feed="timetables",dataset="\d+",reason="circuit_open"\} [1-9]/m);
+});
+
+test('GET /health/ready fails every check while BODS is down', async () => {
+  const { status, body } = await getJson('/health/ready');
+  assert.equal(status, 503);
+  assert.equal(body.status, 'not_ready');
+  assert.equal(body.checks.timetables.status, 'failing');
+  assert.equal(body.checks.vehicles.status, 'failing');
+  assert.equal(body.checks.vehicles.message, 'No successful vehicle fetch yet');
+  assert.equal(body.checks.upstreams.status, 'failing');
+  assert.match(body.checks.upstreams.message, /timetables circuit open/);
+
+  assert.equal((await server.request('/health/live')).status, 200);
+});
+
+test('GET /health shows the breakers open on the failing feeds', async () => {
+  const { status, body } = await getJson('/health');
+  assert.equal(status, 200);
+  for (const name of ['timetables', 'siri-vm']) {
+    assert.equal(body.upstreams[name].state, 'open');
+    assert.equal(body.upstreams[name].lastSuccessAt, null);
+    assert.match(body.upstreams[name].lastError, /returned 503/);
+  }
+});
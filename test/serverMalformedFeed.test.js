@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+// The SIRI-VM feed answers 200, but with an HTML error page instead of SIRI
+let server;
+
+before(async () => {
+  server = await startTestServer({ garbled: ['/api/v1/datafeed/'], env: { UPSTREAM_RETRIES: '0' } });
+});
+
+after(() => server.close());
+
+async function getJson(url) {
+  const response = await server.request(url);
+  return { status: response.status, body: await response.json() };
+}
+
+test('boards show the timetable alone, not live', async () => {
+  const { body } = await getJson('/api/bus-times');
+  assert.equal(body.dataQuality, 'scheduled');
+});
+
+test('GET /health/ready is not ready on a feed that answers with an error page', async () => {
+  const { status, body } = await getJson('/health/ready');
+  assert.equal(status, 503);
+  assert.equal(body.checks.timetables.status, 'ok');
+  assert.equal(body.checks.vehicles.status, 'failing');
+  assert.equal(body.checks.vehicles.message, 'No successful vehicle fetch yet');
+  assert.equal(body.checks.vehicles.feeds['siri-vm'].lastSuccessAt, null);
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const STAND_P = '079073279B';
+
+// Timetables download as normal but the SIRI-VM feed never answers
+let server;
+
+before(async () => {
+  server = await startTestServer({ failing: ['/api/v1/datafeed/'], env: { UPSTREAM_RETRIES: '0' } });
+});
+
+after(() => server.close());
+
+async function getJson(url) {
+  const response = await server.request(url);
+  return { status: response.status, body: await response.json() };
+}
+
+test('boards show the timetable alone', async () => {
+  const { status, body } = await getJson('/api/bus-times');
+  assert.equal(status, 200);
+  assert.equal(body.dataQuality, 'scheduled');
+  for (const departures of Object.values(body.data)) {
+    assert.ok(departures.length > 0);
+    assert.ok(departures.every(departure => departure.scheduledOnly && departure.source === 'timetable'));
+  }
+
+  const board = await (await server.request(`/api/board?stop=${STAND_P}&width=60`)).text();
+  assert.match(board, /^Live times unavailable - showing timetable/);
+});
+
+test('there are no vehicles to show', async () => {
+  const { status, body } = await getJson('/api/vehicles');
+  assert.equal(status, 200);
+  assert.deepEqual(body.vehicles, []);
+});
+
+test('GET /health tells the failing feed from the working ones', async () => {
+  const { body } = await getJson('/health');
+  assert.equal(body.upstreams.timetables.state, 'closed');
+  assert.ok(body.upstreams.timetables.lastSuccessAt);
+  assert.ok(body.upstreams['siri-vm'].consecutiveFailures > 0);
+  assert.equal(body.upstreams['siri-vm'].lastSuccessAt, null);
+});
+
+test('GET /health/ready is not ready on timetables alone', async () => {
+  const { status, body } = await getJson('/health/ready');
+  assert.equal(status, 503);
+  assert.equal(body.checks.timetables.status, 'ok');
+  assert.equal(body.checks.vehicles.status, 'failing');
+});
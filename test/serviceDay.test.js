@@ -0,0 +1,108 @@
+// Server time zone must not matter: run as if the host were somewhere else
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  atLondonTime,
+  serviceDayOf,
+  londonDateKey,
+  londonOffsetMinutes,
+  isoDayOf,
+  addDays,
+  formatClock,
+  formatUpcoming,
+  toLondonISO,
+  londonTimesReplacer
+} = require('../services/serviceDay');
+
+const at = (dateKey, clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return atLondonTime(dateKey, hours * 3600 + minutes * 60).toISOString();
+};
+
+test('wall-clock times are GMT in winter and BST in summer', () => {
+  assert.equal(at('2026-01-15', '17:00'), '2026-01-15T17:00:00.000Z');
+  assert.equal(at('2026-07-01', '17:00'), '2026-07-01T16:00:00.000Z');
+});
+
+test('times past 24:00 fall on the following day', () => {
+  assert.equal(at('2026-07-03', '25:10'), '2026-07-04T00:10:00.000Z');
+  assert.equal(at('2026-01-09', '24:00'), '2026-01-10T00:00:00.000Z');
+});
+
+test('spring forward: times in the missing hour move forward by an hour', () => {
+  // Sunday 29 March 2026: 01:00 GMT becomes 02:00 BST
+  assert.equal(at('2026-03-29', '00:30'), '2026-03-29T00:30:00.000Z');
+  assert.equal(at('2026-03-29', '01:30'), '2026-03-29T01:30:00.000Z');
+  assert.equal(at('2026-03-29', '02:00'), '2026-03-29T01:00:00.000Z');
+  assert.equal(at('2026-03-29', '03:00'), '2026-03-29T02:00:00.000Z');
+  assert.equal(at('2026-03-28', '25:30'), '2026-03-29T01:30:00.000Z');
+});
+
+test('fall back: times in the repeated hour are the first (BST) occurrence', () => {
+  // Sunday 25 October 2026: 02:00 BST becomes 01:00 GMT
+  assert.equal(at('2026-10-25', '00:30'), '2026-10-24T23:30:00.000Z');
+  assert.equal(at('2026-10-25', '01:30'), '2026-10-25T00:30:00.000Z');
+  assert.equal(at('2026-10-25', '02:30'), '2026-10-25T02:30:00.000Z');
+  assert.equal(at('2026-10-24', '25:30'), '2026-10-25T00:30:00.000Z');
+  assert.equal(at('2026-10-25', '17:00'), '2026-10-25T17:00:00.000Z');
+});
+
+test('offsets change at 01:00 UTC on clock-change Sundays', () => {
+  assert.equal(londonOffsetMinutes('2026-03-29T00:59:59Z'), 0);
+  assert.equal(londonOffsetMinutes('2026-03-29T01:00:00Z'), 60);
+  assert.equal(londonOffsetMinutes('2026-10-25T00:59:59Z'), 60);
+  assert.equal(londonOffsetMinutes('2026-10-25T01:00:00Z'), 0);
+});
+
+test('calendar dates are UK dates, not UTC or server dates', () => {
+  assert.equal(londonDateKey('2026-07-01T23:30:00Z'), '2026-07-02');
+  assert.equal(londonDateKey('2026-01-01T23:30:00Z'), '2026-01-01');
+  assert.equal(isoDayOf('2026-03-29'), 7);
+  assert.equal(isoDayOf('2026-03-30'), 1);
+  assert.equal(addDays('2026-03-28', 2), '2026-03-30');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+});
+
+test('buses after midnight belong to the previous service day', () => {
+  assert.equal(serviceDayOf('2026-07-04T00:10:00Z'), '2026-07-03'); // 01:10 BST Saturday
+  assert.equal(serviceDayOf('2026-07-04T02:59:00Z'), '2026-07-03'); // 03:59 BST
+  assert.equal(serviceDayOf('2026-07-04T03:00:00Z'), '2026-07-04'); // 04:00 BST
+  assert.equal(serviceDayOf('2026-01-10T03:59:00Z'), '2026-01-09');
+  assert.equal(serviceDayOf('2026-01-10T04:00:00Z'), '2026-01-10');
+});
+
+test('the service day boundary holds across both clock changes', () => {
+  // Saturday night into the short Sunday
+  assert.equal(serviceDayOf('2026-03-29T01:30:00Z'), '2026-03-28'); // 02:30 BST
+  assert.equal(serviceDayOf('2026-03-29T03:00:00Z'), '2026-03-29'); // 04:00 BST
+  // Saturday night into the long Sunday
+  assert.equal(serviceDayOf('2026-10-25T00:30:00Z'), '2026-10-24'); // first 01:30
+  assert.equal(serviceDayOf('2026-10-25T01:30:00Z'), '2026-10-24'); // second 01:30
+  assert.equal(serviceDayOf('2026-10-25T03:59:00Z'), '2026-10-24');
+  assert.equal(serviceDayOf('2026-10-25T04:00:00Z'), '2026-10-25');
+});
+
+test('clock times are shown in UK time', () => {
+  assert.equal(formatClock('2026-07-01T16:05:00Z'), '17:05');
+  assert.equal(formatClock('2026-01-01T16:05:00Z'), '16:05');
+  assert.equal(formatUpcoming('2026-07-02T05:00:00Z', new Date('2026-07-01T21:00:00Z')), '06:00');
+  assert.equal(formatUpcoming('2026-07-05T06:15:00Z', new Date('2026-07-03T21:00:00Z')), 'Sun 07:15');
+});
+
+test('serialized times carry their UK offset', () => {
+  assert.equal(toLondonISO('2026-07-01T16:00:00Z'), '2026-07-01T17:00:00.000+01:00');
+  assert.equal(toLondonISO('2026-01-01T16:00:00.250Z'), '2026-01-01T16:00:00.250+00:00');
+  assert.equal(toLondonISO('2026-10-25T00:30:00Z'), '2026-10-25T01:30:00.000+01:00');
+  assert.equal(toLondonISO('2026-10-25T01:30:00Z'), '2026-10-25T01:30:00.000+00:00');
+  assert.equal(toLondonISO('not a date'), null);
+
+  const json = JSON.stringify({ departs: new Date('2026-07-01T16:00:00Z'), text: 'x', nested: [new Date('2026-01-01T00:00:00Z')] }, londonTimesReplacer);
+  assert.deepEqual(JSON.parse(json), {
+    departs: '2026-07-01T17:00:00.000+01:00',
+    text: 'x',
+    nested: ['2026-01-01T00:00:00.000+00:00']
+  });
+  assert.equal(new Date(JSON.parse(json).departs).toISOString(), '2026-07-01T16:00:00.000Z');
+});
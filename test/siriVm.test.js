@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NodeCache = require('node-cache');
+const BODSService = require('../services/bodsService');
+const { isValidPoint } = require('../services/geo');
+const { fixture } = require('./support/mockBods');
+
+const service = new BODSService('test-key', new NodeCache(), new NodeCache(), { disruptions: false, realtimeProviders: [] });
+
+test('vehicle activities are read from a SIRI-VM delivery', async () => {
+  const vehicles = await service.parseSIRIVM(fixture('siri-vm.xml'));
+
+  assert.equal(vehicles.length, 4);
+  assert.deepEqual(vehicles[0], {
+    vehicleRef: 'ANEA-1523',
+    lineRef: '17A',
+    routeNumber: '17A',
+    destination: 'Stockton',
+    operatorRef: 'ANEA',
+    directionRef: 'outbound',
+    dataFrameRef: '2026-10-16',
+    datedVehicleJourneyRef: '1800',
+    journeyCode: '1800',
+    originAimedDepartureTime: new Date('2026-10-16T17:00:00Z'),
+    latitude: 54.5752,
+    longitude: -1.2355,
+    bearing: 22,
+    speedKmh: null,
+    occupancy: 'seatsAvailable',
+    timestamp: new Date('2026-10-16T16:59:41Z')
+  });
+  assert.equal(vehicles[1].occupancy, 'standingAvailable');
+  assert.equal(vehicles[1].bearing, null);
+  assert.equal(vehicles[1].journeyCode, null);
+});
+
+test('a vehicle with no fix is not given a position on the map', async () => {
+  const [, , noFix] = await service.parseSIRIVM(fixture('siri-vm.xml'));
+  assert.equal(noFix.vehicleRef, 'SCNE-21344');
+  assert.equal(isValidPoint(noFix), false);
+});
+
+test('missing or unreadable coordinates are null, not zero', async () => {
+  const xml = fixture('siri-vm.xml')
+    .replace('<Longitude>-1.2355</Longitude>', '<Longitude></Longitude>')
+    .replace('<Latitude>54.5752</Latitude>', '<Latitude>north</Latitude>');
+  const [vehicle] = await service.parseSIRIVM(xml);
+  assert.equal(vehicle.latitude, null);
+  assert.equal(vehicle.longitude, null);
+});
+
+test('a delivery with a single vehicle activity is read too', async () => {
+  const xml = `<Siri><ServiceDelivery><VehicleMonitoringDelivery><VehicleActivity>
+    <RecordedAtTime>2026-10-16T17:59:41+01:00</RecordedAtTime>
+    <MonitoredVehicleJourney><LineRef>12</LineRef><VehicleRef>SCNE-1</VehicleRef>
+      <VehicleLocation><Longitude>-1.23</Longitude><Latitude>54.57</Latitude></VehicleLocation>
+    </MonitoredVehicleJourney></VehicleActivity></VehicleMonitoringDelivery></ServiceDelivery></Siri>`;
+  const vehicles = await service.parseSIRIVM(xml);
+  assert.equal(vehicles.length, 1);
+  assert.equal(vehicles[0].routeNumber, '12');
+  assert.equal(vehicles[0].destination, 'Unknown');
+});
+
+test('an empty feed gives no vehicles', async () => {
+  assert.deepEqual(await service.parseSIRIVM('<Siri><ServiceDelivery /></Siri>'), []);
+});
+
+test('a truncated response or an error page is rejected, not read as no vehicles', async () => {
+  await assert.rejects(service.parseSIRIVM('<Siri><ServiceDelivery>'));
+  await assert.rejects(service.parseSIRIVM('<html><body><h1>502 Bad Gateway</h1></body></html>'), /not a SIRI document/);
+  await assert.rejects(service.parseSIRIVM(''), /not a SIRI document/);
+});
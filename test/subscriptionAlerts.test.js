@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SubscriptionAlerts = require('../services/subscriptionAlerts');
+
+const STAND = '079073279B';
+
+const subscription = {
+  id: 'sub-1',
+  venue: 'venue',
+  routes: ['12'],
+  leadMinutes: 10,
+  channel: { type: 'webpush', subscription: {} }
+};
+
+const bodsService = {
+  getVenue: () => ({ stops: { [STAND]: { name: 'Stand B' } } }),
+  getVenueData: async () => ({
+    [STAND]: [{ routeNumber: '12', destination: 'Hemlington', journeyRef: 'VJ1', scheduledTime: new Date(Date.now() + 5 * 60000) }]
+  })
+};
+
+test('a check carries on when an expired push subscription cannot be removed', async () => {
+  const store = {
+    list: () => [subscription],
+    hasSent: () => false,
+    markSent: async () => {},
+    remove: async () => { throw new Error('disk full'); }
+  };
+  const notifier = {
+    send: async () => { throw Object.assign(new Error('Gone'), { statusCode: 410 }); }
+  };
+  const alerts = new SubscriptionAlerts(bodsService, store, notifier);
+
+  await alerts.check();
+  assert.equal(alerts.checking, null);
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'bods');
+const ISO_WITH_ZONE = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})/g;
+
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Recorded real-time feeds are replayed as if they had just been fetched:
+// every zoned timestamp moves by however long ago the response was recorded
+function replay(xml, now = Date.now()) {
+  const recordedAt = Date.parse(/<ResponseTimestamp>([^<]+)</.exec(xml)[1]);
+  return xml.replace(ISO_WITH_ZONE, time => new Date(Date.parse(time) + now - recordedAt).toISOString());
+}
+
+// A stand-in for the BODS API on localhost, serving the recorded fixtures:
+// dataset metadata and TransXChange downloads, SIRI-VM and SIRI-SX. fail()
+// makes every path under a prefix answer with an error status instead, and
+// garble() with a 200 whose body is an HTML error page.
+function startMockBods({ apiKey = 'test-key' } = {}) {
+  const failures = new Map();
+  const requests = [];
+  let origin;
+
+  const routes = [
+    [/^\/api\/v1\/dataset\/(\d+)\/$/, (res, [, datasetId]) => {
+      const metadata = JSON.parse(fixture(`dataset-${datasetId}.json`));
+      metadata.url = `${origin}/timetable/dataset/${datasetId}/download/`;
+      send(res, 200, 'application/json', JSON.stringify(metadata));
+    }],
+    // As operators publish them: a zip of TransXChange files where there is
+    // one recorded, otherwise a single document
+    [/^\/timetable\/dataset\/(\d+)\/download\/$/, (res, [, datasetId]) => {
+      const zipped = path.join(FIXTURES, `timetable-${datasetId}.zip`);
+      if (fs.existsSync(zipped)) return send(res, 200, 'application/zip', fs.readFileSync(zipped));
+      send(res, 200, 'application/xml', fixture(`timetable-${datasetId}.xml`));
+    }],
+    [/^\/api\/v1\/datafeed\/$/, res => send(res, 200, 'application/xml', replay(fixture('siri-vm.xml')))],
+    [/^\/api\/v1\/siri-sx\/$/, res => send(res, 200, 'application/xml', fixture('siri-sx.xml'))]
+  ];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, origin);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const failure = [...failures].find(([prefix]) => url.pathname.startsWith(prefix));
+    if (failure) return send(res, failure[1].status, failure[1].type, failure[1].body);
+    if (url.searchParams.get('api_key') !== apiKey) {
+      return send(res, 401, 'application/json', JSON.stringify({ detail: 'Invalid token.' }));
+    }
+
+    for (const [pattern, handle] of routes) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      try {
+        return handle(res, match);
+      } catch (error) {
+        return send(res, 404, 'application/json', JSON.stringify({ detail: 'Not found.' }));
+      }
+    }
+    send(res, 404, 'application/json', JSON.stringify({ detail: 'Not found.' }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        origin,
+        baseUrl: `${origin}/api/v1`,
+        apiKey,
+        requests,
+        fail: (prefix, status = 503) =>
+          failures.set(prefix, { status, type: 'application/json', body: JSON.stringify({ detail: 'Mock failure' }) }),
+        garble: prefix =>
+          failures.set(prefix, { status: 200, type: 'text/html', body: '<html><body><h1>Bad Gateway</h1></body></html>' }),
+        restore: () => failures.clear(),
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(body);
+}
+
+module.exports = {
+  startMockBods,
+  replay,
+  fixture,
+  FIXTURES
+};
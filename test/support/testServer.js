@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockBods } = require('./mockBods');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// The real app, configured against a mock BODS server and a scratch data
+// directory, listening on a free port. server.js reads its settings when it
+// is first required, so each test file gets one app; `failing` lists mock
+// paths that answer 503 from the start, `garbled` ones that answer with an
+// error page, and `env` overrides settings.
+// The app's logging is silenced: the test runner reads the report from
+// stdout and mistakes a log line straight after a result for part of it.
+async function startTestServer({ failing = [], garbled = [], env = {} } = {}) {
+  const mock = await startMockBods();
+  failing.forEach(prefix => mock.fail(prefix));
+  garbled.forEach(prefix => mock.garble(prefix));
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bus-backend-'));
+
+  Object.assign(process.env, {
+    BODS_API_KEY: mock.apiKey,
+    BODS_BASE_URL: mock.baseUrl,
+    DATA_DIR: dataDir,
+    ADMIN_API_KEYS: ADMIN_KEY,
+    RATE_LIMIT_MAX: '10000',
+    LOG_LEVEL: 'silent',
+    ...env
+  });
+  const app = require('../../server');
+  await app.ready;
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    mock,
+    adminHeaders: { Authorization: `Bearer ${ADMIN_KEY}` },
+    request: (url, options) => fetch(`${origin}${url}`, options),
+    close: async () => {
+      app.shutdown();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await mock.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  startTestServer,
+  ADMIN_KEY
+};
@@ -0,0 +1,104 @@
+// Server time zone must not matter: run as if the host were on the other side of the world
+process.env.TZ = 'Pacific/Auckland';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TimetableIndex = require('../services/timetableIndex');
+const { parseOperatingProfile } = require('../services/operatingProfile');
+
+const HOUR = 3600;
+
+function journey(journeyCode, departureTime, days, calls = [['A', 0], ['B', 10 * 60], ['C', 20 * 60]]) {
+  return {
+    journeyCode,
+    lineName: '1',
+    destination: 'C',
+    departureTime,
+    operatingProfile: parseOperatingProfile({ RegularDayType: { DaysOfWeek: Object.fromEntries(days.map(day => [day, ''])) } }),
+    calls: calls.map(([stopRef, seconds]) => ({ stopRef, arrival: seconds, departure: seconds }))
+  };
+}
+
+const departuresFrom = (timetable, stopRef, from, until) =>
+  timetable.getDepartures(stopRef, { from: new Date(from), until: new Date(until) })
+    .map(departure => [departure.journey.journeyCode, departure.scheduledTime.toISOString(), departure.operatingDay]);
+
+test('a daily 17:00 journey leaves at 17:00 UK time in winter and summer', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('daily', 17 * HOUR, ['MondayToSunday'])] });
+
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-01-15T00:00:00Z', '2026-01-16T00:00:00Z'),
+    [['daily', '2026-01-15T17:00:00.000Z', '2026-01-15']]);
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-07-15T00:00:00Z', '2026-07-16T00:00:00Z'),
+    [['daily', '2026-07-15T16:00:00.000Z', '2026-07-15']]);
+});
+
+test('the clocks going forward moves departures an hour earlier in UTC', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('daily', 17 * HOUR, ['MondayToSunday'])] });
+
+  assert.deepEqual(departuresFrom(timetable, 'B', '2026-03-28T00:00:00Z', '2026-03-30T00:00:00Z'), [
+    ['daily', '2026-03-28T17:10:00.000Z', '2026-03-28'],
+    ['daily', '2026-03-29T16:10:00.000Z', '2026-03-29']
+  ]);
+});
+
+test('the clocks going back moves departures an hour later in UTC', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('daily', 17 * HOUR, ['MondayToSunday'])] });
+
+  assert.deepEqual(departuresFrom(timetable, 'B', '2026-10-24T00:00:00Z', '2026-10-26T00:00:00Z'), [
+    ['daily', '2026-10-24T16:10:00.000Z', '2026-10-24'],
+    ['daily', '2026-10-25T17:10:00.000Z', '2026-10-25']
+  ]);
+});
+
+test('journeys after midnight belong to the operating day they started on', () => {
+  // 25:10 on a Friday-only profile is 01:10 on Saturday morning
+  const timetable = new TimetableIndex({ journeys: [journey('late', 25 * HOUR + 10 * 60, ['Friday'])] });
+
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-07-03T12:00:00Z', '2026-07-05T12:00:00Z'),
+    [['late', '2026-07-04T00:10:00.000Z', '2026-07-03']]);
+  // Nothing on Saturday night: Saturday isn't in the profile
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-07-04T12:00:00Z', '2026-07-06T12:00:00Z'), []);
+});
+
+test('a Friday-only 24:30 journey on clock-change weekends', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('late', 24 * HOUR + 30 * 60, ['Friday'])] });
+
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-03-27T12:00:00Z', '2026-03-30T12:00:00Z'),
+    [['late', '2026-03-28T00:30:00.000Z', '2026-03-27']]);
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-10-23T12:00:00Z', '2026-10-26T12:00:00Z'),
+    [['late', '2026-10-23T23:30:00.000Z', '2026-10-23']]);
+});
+
+test('Saturday night journeys run through the clock change on elapsed time', () => {
+  // Leaves 00:50 BST on the short night; 40 minutes later the clocks say 02:30
+  const spring = new TimetableIndex({
+    journeys: [journey('night', 24 * HOUR + 50 * 60, ['Saturday'], [['A', 0], ['B', 40 * 60], ['C', 50 * 60]])]
+  });
+  const [springDeparture] = spring.getDepartures('B', { from: new Date('2026-03-28T12:00:00Z'), until: new Date('2026-03-29T12:00:00Z') });
+  assert.equal(springDeparture.originDepartureTime.toISOString(), '2026-03-29T00:50:00.000Z');
+  assert.equal(springDeparture.scheduledTime.toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(springDeparture.operatingDay, '2026-03-28');
+
+  // Leaves 00:50 BST on the long night; 40 minutes later the clocks say 01:30 BST
+  const autumn = new TimetableIndex({
+    journeys: [journey('night', 24 * HOUR + 50 * 60, ['Saturday'], [['A', 0], ['B', 40 * 60], ['C', 50 * 60]])]
+  });
+  const [autumnDeparture] = autumn.getDepartures('B', { from: new Date('2026-10-24T12:00:00Z'), until: new Date('2026-10-25T12:00:00Z') });
+  assert.equal(autumnDeparture.originDepartureTime.toISOString(), '2026-10-24T23:50:00.000Z');
+  assert.equal(autumnDeparture.scheduledTime.toISOString(), '2026-10-25T00:30:00.000Z');
+  assert.equal(autumnDeparture.operatingDay, '2026-10-24');
+});
+
+test('operating days are checked against the UK calendar', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('sunday', 9 * HOUR, ['Sunday'])] });
+
+  assert.equal(timetable.runsOn(timetable.journeys[0], '2026-03-29'), true);
+  assert.equal(timetable.runsOn(timetable.journeys[0], '2026-03-28'), false);
+  assert.deepEqual(departuresFrom(timetable, 'A', '2026-03-28T00:00:00Z', '2026-03-30T00:00:00Z'),
+    [['sunday', '2026-03-29T08:00:00.000Z', '2026-03-29']]);
+});
+
+test('the last stop is not a departure', () => {
+  const timetable = new TimetableIndex({ journeys: [journey('daily', 17 * HOUR, ['MondayToSunday'])] });
+  assert.deepEqual(departuresFrom(timetable, 'C', '2026-07-15T00:00:00Z', '2026-07-16T00:00:00Z'), []);
+});
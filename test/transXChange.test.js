@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const xml2js = require('xml2js');
+const { readTimetableDataset } = require('../services/timetableDataset');
+const { buildTimetableIndex, parseTime, parseDuration } = require('../services/transXChange');
+const { fixture, FIXTURES } = require('./support/mockBods');
+
+const ARRIVA = path.join(FIXTURES, 'timetable-15890.xml');
+
+test('times and durations', () => {
+  assert.equal(parseTime('07:05:30'), 7 * 3600 + 5 * 60 + 30);
+  assert.equal(parseTime('17:00'), 17 * 3600);
+  assert.equal(parseTime('25:10:00'), 25 * 3600 + 10 * 60);
+  assert.equal(parseTime('soon'), null);
+  assert.equal(parseDuration('PT1H2M30S'), 3750);
+  assert.equal(parseDuration('PT45S'), 45);
+  assert.equal(parseDuration('P1D'), 86400);
+  assert.equal(parseDuration('nonsense'), 0);
+});
+
+test('a dataset is read into stops, track and journeys with their calls', async () => {
+  const timetable = await readTimetableDataset(ARRIVA);
+
+  assert.equal(timetable.journeys.length, 28);
+  assert.deepEqual(timetable.stopPoints['079073279B'], { name: 'Cleveland Centre (Stand P)', latitude: 54.5761, longitude: -1.2349 });
+  assert.equal(timetable.tracks['0790BS01>079073279B'].length, 3);
+
+  const journey = timetable.journeys.find(candidate => candidate.journeyCode === '1800');
+  assert.equal(journey.lineName, '17A');
+  assert.equal(journey.operatorCode, 'ANEA');
+  assert.equal(journey.operatorName, 'Arriva');
+  assert.equal(journey.destination, 'Stockton');
+  assert.equal(journey.direction, 'outbound');
+  assert.equal(journey.departureTime, 18 * 3600);
+  assert.deepEqual(journey.operatingProfile.daysOfWeek, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(journey.calls, [
+    { stopRef: '0790BS01', arrival: 0, departure: 0, activity: 'pickUp' },
+    { stopRef: '079073279B', arrival: 180, departure: 240, activity: undefined },
+    { stopRef: '0760TH01', arrival: 960, departure: 960, activity: undefined },
+    { stopRef: '0760ST01', arrival: 1560, departure: 1560, activity: 'setDown' }
+  ]);
+});
+
+test('a departure day shift puts the journey past 24:00', async () => {
+  const timetable = await readTimetableDataset(ARRIVA);
+  const journey = timetable.journeys.find(candidate => candidate.journeyCode === '0030');
+  assert.equal(journey.departureTime, 24 * 3600 + 30 * 60);
+});
+
+test('a journey can inherit its pattern from another vehicle journey', async () => {
+  const timetable = await readTimetableDataset(ARRIVA);
+  const journey = timetable.journeys.find(candidate => candidate.journeyCode === '2922');
+  assert.equal(journey.lineName, '29');
+  assert.deepEqual(journey.calls.map(call => call.stopRef), ['0790BS01', '079073279C', '0790RC01']);
+  assert.deepEqual(journey.operatingProfile.daysOfWeek, [1, 2, 3, 4, 5, 6]);
+});
+
+test('only journeys calling at the wanted stops are kept', async () => {
+  const timetable = await readTimetableDataset(ARRIVA, { stopRefs: ['079073279C'] });
+
+  assert.equal(timetable.journeys.length, 9);
+  assert.ok(timetable.journeys.every(journey => journey.lineName === '29'));
+  assert.deepEqual(Object.keys(timetable.stopPoints).sort(), ['079073279C', '0790BS01', '0790RC01']);
+  assert.deepEqual(timetable.tracks, {});
+});
+
+test('a whole parsed document gives the same timetable as streaming it', async () => {
+  const document = await new xml2js.Parser({ explicitArray: false }).parseStringPromise(fixture('timetable-18509.xml'));
+  const streamed = await readTimetableDataset(path.join(FIXTURES, 'timetable-18509.xml'));
+
+  assert.deepEqual(JSON.parse(JSON.stringify(buildTimetableIndex(document))), JSON.parse(JSON.stringify(streamed)));
+});
+
+test('a zipped dataset is read from every TransXChange file in the archive', async () => {
+  // Dataset 18509's journeys split between two files, beside a README and
+  // macOS metadata that must be skipped
+  const zipped = await readTimetableDataset(path.join(FIXTURES, 'timetable-18509.zip'));
+  const single = await readTimetableDataset(path.join(FIXTURES, 'timetable-18509.xml'));
+
+  assert.equal(zipped.journeys.length, 17);
+  assert.deepEqual(
+    zipped.journeys.map(journey => journey.journeyCode).sort(),
+    single.journeys.map(journey => journey.journeyCode).sort()
+  );
+  assert.ok(zipped.journeys.every(journey => journey.lineName === '12' && journey.operatorCode === 'SCNE'));
+  assert.deepEqual(Object.keys(zipped.stopPoints).sort(), ['079073279A', '0790CN01']);
+  assert.equal(zipped.stopPoints['079073279A'].name, 'Cleveland Centre (Stand O)');
+
+  const filtered = await readTimetableDataset(path.join(FIXTURES, 'timetable-18509.zip'), { stopRefs: ['079073279B'] });
+  assert.deepEqual(filtered.journeys, []);
+});
+
+test('a document that is not TransXChange gives an empty timetable', async () => {
+  assert.deepEqual(buildTimetableIndex({ Siri: {} }), { stopPoints: {}, tracks: {}, journeys: [] });
+});
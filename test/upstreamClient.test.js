@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UpstreamClient = require('../services/upstreamClient');
+
+// A fetch answering from a list of statuses (or thrown errors), one per call
+function scriptedFetch(...answers) {
+  const calls = [];
+  const fetch = async url => {
+    calls.push(url);
+    const answer = answers[Math.min(calls.length, answers.length) - 1];
+    if (answer instanceof Error) throw answer;
+    return new Response(`answer ${calls.length}`, { status: answer });
+  };
+  return { fetch, calls };
+}
+
+// Sleeps are recorded rather than waited for, and the clock is moved by hand
+function createClient(fetch, options = {}) {
+  const sleeps = [];
+  let now = Date.parse('2026-10-16T17:00:00Z');
+  const client = new UpstreamClient({
+    fetch,
+    random: () => 1,
+    sleep: async ms => sleeps.push(ms),
+    now: () => now,
+    ...options
+  });
+  return { client, sleeps, advance: ms => { now += ms; } };
+}
+
+test('a successful call resolves to the body and records the success', async () => {
+  const { fetch } = scriptedFetch(200);
+  const { client } = createClient(fetch);
+
+  assert.equal(await client.request('siri-vm', 'http://feed.test/'), 'answer 1');
+  const { 'siri-vm': status } = client.status();
+  assert.equal(status.state, 'closed');
+  assert.equal(status.lastSuccessAt.toISOString(), '2026-10-16T17:00:00.000Z');
+});
+
+test('server errors and network failures are retried with exponential backoff', async () => {
+  const { fetch, calls } = scriptedFetch(503, new TypeError('fetch failed'), 200);
+  const { client, sleeps } = createClient(fetch, { retries: 2 });
+
+  assert.equal(await client.request('timetables', 'http://bods.test/'), 'answer 3');
+  assert.equal(calls.length, 3);
+  assert.deepEqual(sleeps, [500, 1000]);
+});
+
+test('backoff is jittered', async () => {
+  const { fetch } = scriptedFetch(503, 200);
+  const { client, sleeps } = createClient(fetch, { random: () => 0.25 });
+
+  await client.request('timetables', 'http://bods.test/');
+  assert.deepEqual(sleeps, [125]);
+});
+
+test('client errors are not retried and do not count against the feed', async () => {
+  const { fetch, calls } = scriptedFetch(404);
+  const { client } = createClient(fetch, { failureThreshold: 1 });
+
+  await assert.rejects(client.request('timetables', 'http://bods.test/'), /timetables returned 404/);
+  assert.equal(calls.length, 1);
+  assert.equal(client.status().timetables.state, 'closed');
+  assert.equal(client.status().timetables.lastSuccessAt, null);
+});
+
+test('an attempt that takes too long is abandoned and retried', async () => {
+  let calls = 0;
+  const fetch = (url, { signal }) => {
+    calls++;
+    if (calls === 2) return Promise.resolve(new Response('late but fine'));
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+  };
+  const { client } = createClient(fetch, { timeoutMs: 20, retries: 1 });
+
+  assert.equal(await client.request('siri-vm', 'http://feed.test/'), 'late but fine');
+  assert.equal(calls, 2);
+
+  const { client: impatient } = createClient(fetch, { timeoutMs: 20, retries: 0 });
+  calls = 2;
+  await assert.rejects(impatient.request('siri-vm', 'http://feed.test/'), /siri-vm timed out after 20ms/);
+});
+
+test('the timeout covers reading the body', async () => {
+  const fetch = async (url, { signal }) => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('partial'));
+      signal.addEventListener('abort', () => controller.error(signal.reason));
+    }
+  }));
+  const { client } = createClient(fetch, { timeoutMs: 20, retries: 0 });
+
+  await assert.rejects(client.request('timetables', 'http://bods.test/'), /timed out/);
+});
+
+test('the breaker opens after repeated failures and fails fast until the cooldown ends', async () => {
+  const { fetch, calls } = scriptedFetch(503, 503, 503, 200);
+  const { client, advance } = createClient(fetch, { retries: 0, failureThreshold: 3, cooldownMs: 60000 });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await assert.rejects(client.request('siri-sx', 'http://bods.test/'), /siri-sx returned 503/);
+  }
+  assert.equal(client.status()['siri-sx'].state, 'open');
+  assert.equal(client.status()['siri-sx'].retryAt.toISOString(), '2026-10-16T17:01:00.000Z');
+
+  await assert.rejects(client.request('siri-sx', 'http://bods.test/'), /circuit open, next try in 60s/);
+  assert.equal(calls.length, 3);
+
+  advance(60000);
+  assert.equal(client.status()['siri-sx'].state, 'halfOpen');
+  assert.equal(await client.request('siri-sx', 'http://bods.test/'), 'answer 4');
+  assert.equal(client.status()['siri-sx'].state, 'closed');
+  assert.equal(client.status()['siri-sx'].consecutiveFailures, 0);
+});
+
+test('a failed trial call reopens the breaker, and only one trial runs at a time', async () => {
+  let release;
+  const answers = [503, 503];
+  const fetch = async () => {
+    if (answers.length > 0) return new Response('', { status: answers.shift() });
+    await new Promise(resolve => { release = resolve; });
+    return new Response('back');
+  };
+  const { client, advance } = createClient(fetch, { retries: 0, failureThreshold: 1, cooldownMs: 1000 });
+
+  await assert.rejects(client.request('gtfs-rt', 'http://feed.test/'));
+  advance(1000);
+  await assert.rejects(client.request('gtfs-rt', 'http://feed.test/'), /gtfs-rt returned 503/);
+  assert.equal(client.status()['gtfs-rt'].state, 'open');
+
+  advance(1000);
+  const trial = client.request('gtfs-rt', 'http://feed.test/');
+  await assert.rejects(client.request('gtfs-rt', 'http://feed.test/'), /circuit open/);
+  await new Promise(setImmediate);
+  release();
+  assert.equal(await trial, 'back');
+});
+
+test('each feed has its own breaker', async () => {
+  const { fetch } = scriptedFetch(503, 200);
+  const { client } = createClient(fetch, { retries: 0, failureThreshold: 1 });
+
+  await assert.rejects(client.request('timetables', 'http://bods.test/'));
+  assert.equal(await client.request('siri-vm', 'http://bods.test/'), 'answer 2');
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(client.status()).map(([name, status]) => [name, status.state])),
+    { timetables: 'open', 'siri-vm': 'closed' }
+  );
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VehicleTracker = require('../services/vehicleTracker');
+const { toFeatureCollection } = require('../services/vehicleGeoJson');
+const { isValidPoint, bearingBetween } = require('../services/geo');
+
+const MINUTE = 60000;
+
+// A bus heading due east along a line of latitude, one report a minute
+function reports(now, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    vehicleRef: 'BUS1',
+    latitude: 54.575,
+    longitude: -1.26 + index * 0.005,
+    timestamp: new Date(now - (count - 1 - index) * MINUTE)
+  }));
+}
+
+test('positions with no fix, out of range or at 0,0 are not valid', () => {
+  assert.equal(isValidPoint({ latitude: 54.575, longitude: -1.25 }), true);
+  assert.equal(isValidPoint({ latitude: null, longitude: -1.25 }), false);
+  assert.equal(isValidPoint({ latitude: NaN, longitude: -1.25 }), false);
+  assert.equal(isValidPoint({ latitude: 0, longitude: 0 }), false);
+  assert.equal(isValidPoint({ latitude: 95, longitude: -1.25 }), false);
+});
+
+test('bearings are degrees clockwise from north', () => {
+  const from = { latitude: 54.575, longitude: -1.25 };
+  assert.equal(bearingBetween(from, { latitude: 54.585, longitude: -1.25 }), 0);
+  assert.equal(bearingBetween(from, { latitude: 54.575, longitude: -1.24 }), 90);
+  assert.equal(bearingBetween(from, { latitude: 54.565, longitude: -1.25 }), 180);
+  assert.equal(bearingBetween(from, { latitude: 54.575, longitude: -1.26 }), 270);
+});
+
+test('trails keep the positions reported since a time, oldest first', () => {
+  const now = Date.now();
+  const tracker = new VehicleTracker();
+  reports(now, 5).forEach(report => tracker.record([report]));
+
+  const trail = tracker.getTrail('BUS1', now - 2 * MINUTE);
+  assert.equal(trail.length, 3);
+  assert.deepEqual(trail.map(point => point.longitude), [-1.25, -1.245, -1.24]);
+  assert.ok(trail[0].timestamp instanceof Date);
+  assert.deepEqual(tracker.getTrail('SOMEONE ELSE', 0), []);
+});
+
+test('repeated and invalid reports are not added to the trail', () => {
+  const now = Date.now();
+  const tracker = new VehicleTracker();
+  const [first, second] = reports(now, 2);
+  tracker.record([first, first, { ...second, latitude: null }, { ...second, timestamp: 'never' }]);
+  assert.equal(tracker.getSamples('BUS1').length, 1);
+});
+
+test('speed and heading are observed from recent positions', () => {
+  const now = Date.now();
+  const tracker = new VehicleTracker();
+  reports(now, 4).forEach(report => tracker.record([report]));
+
+  // 0.005 degrees of longitude at 54.575N is about 322 metres a minute
+  assert.equal(Math.round(tracker.getObservedSpeed('BUS1')), 19);
+  assert.equal(tracker.getObservedBearing('BUS1'), 90);
+});
+
+test('a vehicle that has not moved has no heading', () => {
+  const now = Date.now();
+  const tracker = new VehicleTracker();
+  tracker.record([{ vehicleRef: 'BUS1', latitude: 54.575, longitude: -1.25, timestamp: new Date(now - MINUTE) }]);
+  tracker.record([{ vehicleRef: 'BUS1', latitude: 54.57501, longitude: -1.25, timestamp: new Date(now) }]);
+  assert.equal(tracker.getObservedBearing('BUS1'), null);
+});
+
+test('GeoJSON has a point per vehicle and a trail line ending where it is now', () => {
+  const now = Date.now();
+  const trail = reports(now, 3).slice(0, 2).map(({ latitude, longitude, timestamp }) => ({ latitude, longitude, timestamp }));
+  const vehicles = [
+    { vehicleRef: 'BUS1', routeNumber: '17A', latitude: 54.575, longitude: -1.25, timestamp: new Date(now), bearing: 90, speedKmh: 19, occupancy: 'full', trail },
+    { vehicleRef: 'BUS2', routeNumber: '12', latitude: 54.571, longitude: -1.24, timestamp: new Date(now), trail: [] }
+  ];
+
+  const collection = toFeatureCollection(vehicles, { generatedAt: new Date(now) });
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features.map(feature => [feature.id, feature.geometry.type]), [
+    ['vehicle:BUS1', 'Point'],
+    ['trail:BUS1', 'LineString'],
+    ['vehicle:BUS2', 'Point']
+  ]);
+
+  const [point, line] = collection.features;
+  assert.deepEqual(point.geometry.coordinates, [-1.25, 54.575]);
+  assert.equal(point.properties.occupancy, 'full');
+  assert.deepEqual(line.geometry.coordinates, [...trail.map(sample => [sample.longitude, sample.latitude]), [-1.25, 54.575]]);
+});
+
+test('a vehicle without a ref is identified by its journey, or not at all', () => {
+  const now = Date.now();
+  const vehicles = [
+    { vehicleRef: 'unknown', operatorRef: 'SCNE', datedVehicleJourneyRef: '1042', routeNumber: '12', latitude: 54.575, longitude: -1.25, timestamp: new Date(now) },
+    { vehicleRef: 'unknown', operatorRef: null, datedVehicleJourneyRef: null, routeNumber: '12', latitude: 54.571, longitude: -1.24, timestamp: new Date(now) }
+  ];
+
+  const [journey, anonymous] = toFeatureCollection(vehicles).features;
+  assert.equal(journey.id, 'vehicle:SCNE:1042');
+  assert.ok(!('id' in anonymous));
+});
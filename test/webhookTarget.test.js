@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { isPrivateAddress, webhookUrlProblem, publicOnlyLookup } = require('../services/webhookTarget');
+const AlertNotifier = require('../services/alertNotifier');
+
+test('loopback, private and link-local addresses are private', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not an address'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('webhook URLs naming an internal host are refused', () => {
+  assert.equal(webhookUrlProblem(new URL('https://example.com/hook')), null);
+  assert.equal(webhookUrlProblem(new URL('ftp://example.com/hook')), 'channel.url must be http or https');
+  for (const url of ['http://localhost:3000/', 'http://api.localhost/', 'http://[::ffff:7f00:1]/', 'http://2130706433/']) {
+    assert.match(webhookUrlProblem(new URL(url)), /loopback, private or link-local/, url);
+  }
+});
+
+test('a host resolving to a private address is refused when connecting', async () => {
+  const error = await new Promise(resolve => publicOnlyLookup('localhost', {}, resolve));
+  assert.match(error.message, /resolves to a private address/);
+});
+
+test('webhooks are not sent to internal addresses', async () => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = new AlertNotifier();
+    await assert.rejects(notifier.sendWebhook(`http://127.0.0.1:${server.address().port}/`, {}), /Webhook refused/);
+    assert.equal(received, 0);
+  } finally {
+    server.close();
+  }
+});